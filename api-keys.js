@@ -0,0 +1,315 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+const { lookupError } = require("./errors");
+
+/**
+ * Default requests per minute for a new key
+ */
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT, 10) || 60;
+
+/**
+ * Default bill lookups per day (UTC) for a new key
+ */
+const DEFAULT_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA, 10) || 1000;
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Creates an API key store, persisted to a JSON file when a path is given
+ *
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once
+ * when it is issued. Each record also keeps the key's lookups of the day
+ * (`usage: { day, lookups }`), so a restart does not reset the quota.
+ *
+ * @param {Object} [options] - Store options
+ * @param {string|null} [options.filePath] - JSON file (default API_KEYS_FILE
+ *   or .data/api-keys.json); null keeps keys in memory
+ * @returns {Object} Store with `keys` (Map by id) and save()
+ */
+function createApiKeyStore(options = {}) {
+  const filePath =
+    options.filePath !== undefined
+      ? options.filePath
+      : process.env.API_KEYS_FILE || path.join(__dirname, ".data", "api-keys.json");
+  const keys = new Map();
+
+  if (filePath) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      (stored.keys || []).forEach((record) => keys.set(record.id, record));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.error("Error loading API keys file", { error: error.message });
+      }
+    }
+  }
+
+  // Serialize writes so concurrent changes never interleave. Saves made
+  // while a write is queued share it, as it writes the state at its start.
+  let pendingWrite = Promise.resolve();
+  let queuedWrite = null;
+  const save = () => {
+    if (!filePath) {
+      return pendingWrite;
+    }
+    if (queuedWrite) {
+      return queuedWrite;
+    }
+    queuedWrite = pendingWrite = pendingWrite
+      .then(async () => {
+        queuedWrite = null;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify({ keys: [...keys.values()] }));
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((error) => {
+        logger.error("Error writing API keys file", { error: error.message });
+      });
+    return pendingWrite;
+  };
+
+  return {
+    filePath,
+    keys,
+    save,
+  };
+}
+
+let store = createApiKeyStore();
+
+// Per-minute rate windows per key id: { windowStart, requests }. They are
+// short-lived and kept in memory; daily lookups are stored with the key.
+const rateWindows = new Map();
+
+/**
+ * Replaces the API key store (e.g. an in-memory one in tests) and resets
+ * the rate windows
+ *
+ * @param {Object} newStore - Store from createApiKeyStore
+ */
+function setApiKeyStore(newStore) {
+  store = newStore;
+  rateWindows.clear();
+}
+
+/**
+ * Hashes a key for storage and lookup
+ *
+ * @param {string} key - Plaintext key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * Validates a positive whole-number limit
+ *
+ * @returns {string|null} Error message or null when valid
+ */
+function validateLimit(name, value) {
+  if (value === undefined) {
+    return null;
+  }
+  return Number.isInteger(value) && value > 0
+    ? null
+    : `${name} must be a positive whole number`;
+}
+
+/**
+ * Returns an API key record without its hash, with today's usage
+ *
+ * @param {Object} record - Stored key record
+ * @returns {Object} Public key details
+ */
+function toPublicKey(record) {
+  const { hash, usage, ...rest } = record;
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    ...rest,
+    lookupsToday: usage && usage.day === today ? usage.lookups : 0,
+  };
+}
+
+/**
+ * Issues a new API key
+ *
+ * @param {Object} [options] - Key options
+ * @param {string} [options.name] - Label for the key's owner
+ * @param {number} [options.rateLimit] - Requests per minute (default API_KEY_RATE_LIMIT or 60)
+ * @param {number} [options.dailyQuota] - Bill lookups per UTC day (default API_KEY_DAILY_QUOTA or 1000)
+ * @returns {Promise<Object>} { success, key, apiKey } where `key` is the plaintext
+ *   key (only returned here), or a coded failure (see errors.js)
+ */
+async function issueApiKey(options = {}) {
+  const { name = null, rateLimit, dailyQuota } = options;
+  const error = validateLimit("rateLimit", rateLimit) || validateLimit("dailyQuota", dailyQuota);
+
+  if (error) {
+    return lookupError("INVALID_REQUEST", error);
+  }
+
+  const key = `pitc_${crypto.randomBytes(24).toString("hex")}`;
+  const record = {
+    id: `key_${crypto.randomBytes(8).toString("hex")}`,
+    name: name ? String(name) : null,
+    prefix: key.slice(0, 12),
+    hash: hashKey(key),
+    rateLimit: rateLimit || DEFAULT_RATE_LIMIT,
+    dailyQuota: dailyQuota || DEFAULT_DAILY_QUOTA,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  store.keys.set(record.id, record);
+  await store.save();
+
+  return {
+    success: true,
+    key,
+    apiKey: toPublicKey(record),
+  };
+}
+
+/**
+ * Lists issued keys, including revoked ones
+ *
+ * @returns {Array<Object>} Public key details
+ */
+function listApiKeys() {
+  return [...store.keys.values()].map(toPublicKey);
+}
+
+/**
+ * Revokes a key; requests with it are rejected from then on
+ *
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} The revoked key, or null if unknown
+ */
+async function revokeApiKey(id) {
+  const record = store.keys.get(id);
+
+  if (!record) {
+    return null;
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await store.save();
+  }
+  return toPublicKey(record);
+}
+
+/**
+ * Looks up an active key
+ *
+ * @param {string} key - Plaintext key from the request
+ * @returns {Object|null} Stored key record, or null if unknown or revoked
+ */
+function findApiKey(key) {
+  if (!key) {
+    return null;
+  }
+
+  const hash = hashKey(key);
+  for (const record of store.keys.values()) {
+    if (record.hash === hash) {
+      return record.revokedAt ? null : record;
+    }
+  }
+  return null;
+}
+
+/**
+ * Counts a request against a key's rate limit and daily quota
+ *
+ * The rate limit counts requests per fixed one-minute window in memory;
+ * the quota counts bill lookups per UTC day on the key record, which is
+ * saved whenever lookups are counted. A rejected request uses up neither.
+ *
+ * @param {Object} record - Stored key record
+ * @param {Object} [options] - Options
+ * @param {number} [options.lookups=1] - Bill lookups the request makes (batch size)
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} { allowed, reason, retryAfterSeconds, rateLimit: { limit, remaining, resetAt },
+ *   quota: { limit, remaining, resetAt } } where reason is "rate_limited" or "quota_exceeded"
+ */
+function consumeApiKey(record, options = {}) {
+  const { lookups = 1, now = Date.now() } = options;
+  const day = new Date(now).toISOString().slice(0, 10);
+  const window = rateWindows.get(record.id) || { windowStart: now, requests: 0 };
+
+  if (now - window.windowStart >= RATE_WINDOW_MS) {
+    window.windowStart = now;
+    window.requests = 0;
+  }
+  rateWindows.set(record.id, window);
+  if (!record.usage || record.usage.day !== day) {
+    record.usage = { day, lookups: 0 };
+  }
+  const { usage } = record;
+
+  const windowResetAt = window.windowStart + RATE_WINDOW_MS;
+  const dayResetAt = Date.parse(`${day}T00:00:00Z`) + 24 * 60 * 60 * 1000;
+
+  let reason = null;
+  let retryAfterSeconds = null;
+  if (window.requests >= record.rateLimit) {
+    reason = "rate_limited";
+    retryAfterSeconds = Math.ceil((windowResetAt - now) / 1000);
+  } else if (usage.lookups + lookups > record.dailyQuota) {
+    reason = "quota_exceeded";
+    retryAfterSeconds = Math.ceil((dayResetAt - now) / 1000);
+  } else {
+    window.requests++;
+    if (lookups > 0) {
+      usage.lookups += lookups;
+      store.save();
+    }
+  }
+
+  return {
+    allowed: reason === null,
+    reason,
+    retryAfterSeconds,
+    rateLimit: {
+      limit: record.rateLimit,
+      remaining: Math.max(record.rateLimit - window.requests, 0),
+      resetAt: Math.ceil(windowResetAt / 1000),
+    },
+    quota: {
+      limit: record.dailyQuota,
+      remaining: Math.max(record.dailyQuota - usage.lookups, 0),
+      resetAt: Math.ceil(dayResetAt / 1000),
+    },
+  };
+}
+
+/**
+ * Compares a presented admin token with the configured one in constant time
+ *
+ * @param {string} presented - Token from the request
+ * @param {string} expected - Configured token
+ * @returns {boolean}
+ */
+function tokensMatch(presented, expected) {
+  const a = Buffer.from(hashKey(presented));
+  const b = Buffer.from(hashKey(expected));
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  consumeApiKey,
+  tokensMatch,
+  createApiKeyStore,
+  setApiKeyStore,
+  DEFAULT_RATE_LIMIT,
+  DEFAULT_DAILY_QUOTA,
+};
@@ -0,0 +1,189 @@
+const {
+  validateReferenceNumber,
+  getCompanyByCode,
+  COMPANIES,
+} = require("./pitc-bill");
+const { getCachedPITCBill } = require("./cache");
+const { inferCompany } = require("./reference");
+const { lookupError } = require("./errors");
+
+/**
+ * Default number of bills fetched in parallel by getPITCBills
+ */
+const DEFAULT_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY, 10) || 4;
+
+/**
+ * Upper bound for the concurrency a caller may request
+ */
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Runs an async mapper over items with at most `limit` calls in flight
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} mapper - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.min(Math.max(limit, 1), items.length) },
+    worker
+  );
+  await Promise.all(workers);
+
+  return results;
+}
+
+/**
+ * Validates a single batch item without fetching it
+ *
+ * The company defaults to the one encoded in the reference number, else HESCO.
+ *
+ * @param {Object} item - { refNo, company, searchBy, ruCode }
+ * @returns {Object} { valid, error, code } or { valid, refNo, company, searchBy, ruCode }
+ */
+function validateBatchItem(item) {
+  if (!item || typeof item !== "object") {
+    return {
+      valid: false,
+      code: "INVALID_REQUEST",
+      error: "Item must be an object with refNo and company",
+    };
+  }
+
+  const { refNo, searchBy, ruCode } = item;
+  const company =
+    item.company ||
+    ((!searchBy || searchBy === "refno") && inferCompany(refNo)) ||
+    "hesco";
+
+  const companyInfo = getCompanyByCode(company);
+  if (!companyInfo) {
+    return {
+      valid: false,
+      code: "INVALID_COMPANY",
+      error: `Invalid company code. Supported: ${Object.keys(COMPANIES)
+        .map((k) => k.toLowerCase())
+        .join(", ")}`,
+    };
+  }
+
+  const validation = validateReferenceNumber(refNo, {
+    searchBy,
+    ruCode,
+    company: companyInfo.code,
+  });
+  if (!validation.valid) {
+    return validation;
+  }
+
+  return {
+    valid: true,
+    refNo: validation.refNo,
+    company: companyInfo.code,
+    searchBy: validation.searchBy,
+    ruCode: validation.ruCode,
+  };
+}
+
+/**
+ * Fetches many bills with bounded concurrency
+ *
+ * Invalid items are reported without contacting the portal. Results keep
+ * the input order and carry the item's index, so successes and failures
+ * can be matched back to the request. Lookups go through the bill cache.
+ *
+ * @param {Array<Object>} items - Array of { refNo, company, searchBy, ruCode }
+ * @param {Object} [options] - Batch options
+ * @param {number} [options.concurrency] - Parallel lookups (1-10, default BATCH_CONCURRENCY or 4)
+ * @param {boolean} [options.fresh=false] - Bypass cached bills
+ * @param {string} [options.requestId] - Request ID for the lookups' log entries
+ * @param {number} [options.retries] - getPITCBill retries per lookup
+ * @param {number} [options.timeout] - getPITCBill timeout per portal request (ms)
+ * @param {string} [options.proxyUrl] - getPITCBill proxy
+ * @returns {Promise<Object>} { results, summary }
+ *
+ * @example
+ * const { results, summary } = await getPITCBills(
+ *   [
+ *     { refNo: "06113530462901", company: "lesco" },
+ *     { refNo: "12345678901234", company: "hesco" },
+ *   ],
+ *   { concurrency: 2 }
+ * );
+ */
+async function getPITCBills(items, options = {}) {
+  const concurrency = Math.min(
+    Math.max(parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY, 1),
+    MAX_CONCURRENCY
+  );
+  const startedAt = Date.now();
+
+  const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+    const validation = validateBatchItem(item);
+    if (!validation.valid) {
+      return {
+        index,
+        ...lookupError(validation.code || "INVALID_REQUEST", validation.error, {
+          refNo: item?.refNo ?? null,
+          company: item?.company ?? null,
+        }),
+      };
+    }
+
+    const { result, cache } = await getCachedPITCBill(
+      validation.refNo,
+      validation.company,
+      {
+        searchBy: validation.searchBy,
+        ruCode: validation.ruCode,
+        fresh: options.fresh,
+        requestId: options.requestId,
+        retries: options.retries,
+        timeout: options.timeout,
+        proxyUrl: options.proxyUrl,
+      }
+    );
+
+    return {
+      index,
+      refNo: validation.refNo,
+      company: validation.company,
+      cache: cache.status,
+      ...result,
+    };
+  });
+
+  const succeeded = results.filter((r) => r.success).length;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      partial: results.filter((r) => r.partial).length,
+      concurrency,
+      durationMs: Date.now() - startedAt,
+    },
+  };
+}
+
+module.exports = {
+  getPITCBills,
+  validateBatchItem,
+  mapWithConcurrency,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+};
@@ -0,0 +1,133 @@
+/**
+ * Provider-independent bill lookup
+ *
+ * A provider adapter (see providers.js) knows how to fetch and parse one
+ * utility's bill pages. lookupBill runs its fetch and parse steps and does
+ * the work shared by every provider: checking the parsed bill for required
+ * fields, recording parse metrics, snapshotting pages that parse
+ * partially, computing the payment status and consumption insights.
+ * withPaymentStatus refreshes the payment status of cached results.
+ */
+
+const { findMissingFields, getPaymentStatus } = require("./bill-model");
+const { analyzeConsumption } = require("./insights");
+const { recordParseCoverage } = require("./metrics");
+const { getSnapshotStore } = require("./snapshots");
+const { logger } = require("./logger");
+const { lookupError, withErrorCode } = require("./errors");
+
+/**
+ * Fetches and parses a bill through a provider adapter
+ *
+ * @param {Object} provider - Provider adapter
+ * @param {Object} query - Validated query from provider.validate ({ refNo, company, ... })
+ * @param {Object} [options] - Passed to provider.fetch
+ * @param {string} [options.requestId] - API request ID, added to log entries
+ * @returns {Promise<Object>} Bill data with consumption `insights`, or a coded
+ *   error (see errors.js; failures without a code get UPSTREAM_ERROR).
+ *   Bills missing required fields have `partial: true` and list them in
+ *   `missingFields`; the page is saved as a snapshot (see snapshots.js).
+ */
+async function lookupBill(provider, query, options = {}) {
+  const log = logger.child({
+    requestId: options.requestId,
+    provider: provider.id,
+    company: query.company,
+  });
+  const company = provider.companies.find((c) => c.code === query.company);
+
+  // -------------------------------------------------------------------------
+  // STEP 1: Fetch the bill page
+  // -------------------------------------------------------------------------
+  const page = await provider.fetch(query, options);
+  if (!page.success) {
+    return withErrorCode(page);
+  }
+
+  // -------------------------------------------------------------------------
+  // STEP 2: Parse it and check for required fields
+  // -------------------------------------------------------------------------
+  let billData;
+  try {
+    billData = provider.parse(page.html, query);
+  } catch (error) {
+    log.error("Error parsing bill page", { refNo: query.refNo, error });
+    billData = null;
+  }
+  if (!billData) {
+    return lookupError("PARSE_FAILED", "Could not parse the bill page", {
+      refNo: query.refNo,
+      company: query.company,
+    });
+  }
+  billData.rawHtml = billData.rawHtml ?? page.html;
+
+  const missingFields = findMissingFields(billData, company?.requiredFields);
+  const partial = missingFields.length > 0 || Boolean(billData.parseError);
+  recordParseCoverage(query.company, billData, missingFields);
+
+  // -------------------------------------------------------------------------
+  // STEP 3: Keep pages the parser no longer understands for new fixtures
+  // -------------------------------------------------------------------------
+  if (partial) {
+    log.warn("Bill page parsed with required fields missing", {
+      refNo: query.refNo,
+      missingFields,
+      parseError: billData.parseError,
+    });
+    await getSnapshotStore()?.save({
+      company: query.company,
+      refNo: query.refNo,
+      html: page.html,
+      missingFields,
+      unparsedFields: billData.unparsedFields,
+      parseError: billData.parseError,
+    });
+  }
+
+  return withPaymentStatus({
+    success: true,
+    partial,
+    missingFields,
+    refNo: query.refNo,
+    searchBy: query.searchBy,
+    provider: provider.id,
+    company: query.company,
+    companyName: company?.name,
+    data: billData,
+    insights: analyzeConsumption(billData),
+  });
+}
+
+/**
+ * Sets the payment status of a bill result as of now
+ *
+ * The status depends on the current date (a bill turns overdue without
+ * changing), so it is worked out whenever a result is served rather than
+ * kept with it: cached results get it again on every hit.
+ *
+ * @param {Object} result - Result from lookupBill
+ * @param {Date} [now] - Current time
+ * @returns {Object} Copy of a successful result with `data.payment.status`,
+ *   or the result itself for failures
+ */
+function withPaymentStatus(result, now = new Date()) {
+  if (!result.success || !result.data) {
+    return result;
+  }
+
+  const { status, ...payment } = result.data.payment || {};
+  const paymentStatus = getPaymentStatus(result.data, now);
+  return {
+    ...result,
+    data: {
+      ...result.data,
+      payment: paymentStatus ? { ...payment, status: paymentStatus } : payment,
+    },
+  };
+}
+
+module.exports = {
+  lookupBill,
+  withPaymentStatus,
+};
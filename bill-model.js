@@ -0,0 +1,550 @@
+/**
+ * Bill model definitions and value normalizers
+ *
+ * PITC bill pages render every value as display text ("Rs. 4,512",
+ * "15 NOV 25", "1,234"). This module maps known row labels to typed
+ * fields and converts their values into plain numbers and ISO dates.
+ */
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+/**
+ * Known bill fields
+ *
+ * Each entry maps one or more normalized row labels (exact match) to a
+ * section/key in the bill model and the type its value is parsed as.
+ */
+const BILL_FIELDS = [
+  {
+    section: "consumerDetails",
+    key: "name",
+    type: "text",
+    labels: ["name", "consumer name", "customer name"],
+  },
+  {
+    section: "consumerDetails",
+    key: "address",
+    type: "text",
+    labels: ["address", "consumer address"],
+  },
+  {
+    section: "consumerDetails",
+    key: "customerId",
+    type: "text",
+    labels: ["customer id", "consumer id", "cust id"],
+  },
+  {
+    section: "billDetails",
+    key: "tariff",
+    type: "text",
+    labels: ["tariff"],
+  },
+  {
+    section: "billDetails",
+    key: "billMonth",
+    type: "month",
+    labels: ["bill month", "billing month"],
+  },
+  {
+    section: "billDetails",
+    key: "issueDate",
+    type: "date",
+    labels: ["issue date", "bill date"],
+  },
+  {
+    section: "billDetails",
+    key: "dueDate",
+    type: "date",
+    labels: ["due date"],
+  },
+  {
+    section: "billDetails",
+    key: "readingDate",
+    type: "date",
+    labels: ["reading date"],
+  },
+  {
+    section: "billDetails",
+    key: "readingStatus",
+    type: "text",
+    labels: ["reading status", "meter status", "mtr status"],
+  },
+  {
+    section: "billDetails",
+    key: "previousReading",
+    type: "integer",
+    labels: ["previous reading"],
+  },
+  {
+    section: "billDetails",
+    key: "currentReading",
+    type: "integer",
+    labels: ["current reading", "present reading"],
+  },
+  {
+    section: "billDetails",
+    key: "unitsConsumed",
+    type: "integer",
+    labels: ["units", "units consumed", "consumption"],
+  },
+  {
+    section: "charges",
+    key: "electricityCharges",
+    type: "amount",
+    labels: ["electricity charges", "cost of electricity"],
+  },
+  {
+    section: "charges",
+    key: "fpa",
+    type: "amount",
+    labels: ["fpa", "fuel price adjustment", "fuel adjustment", "f.p.a", "fpa charges"],
+  },
+  {
+    section: "charges",
+    key: "fcSurcharge",
+    type: "amount",
+    labels: ["fc surcharge", "f.c surcharge", "financing cost surcharge", "fc sur"],
+  },
+  {
+    section: "charges",
+    key: "qta",
+    type: "amount",
+    labels: ["qta", "quarterly tariff adjustment", "qtr tariff adj", "q.t.a"],
+  },
+  {
+    section: "charges",
+    key: "meterRent",
+    type: "amount",
+    labels: ["meter rent", "meter rent/service rent", "service rent"],
+  },
+  {
+    section: "charges",
+    key: "electricityDuty",
+    type: "amount",
+    labels: ["electricity duty", "e.duty", "e-duty", "ed"],
+  },
+  {
+    section: "charges",
+    key: "gst",
+    type: "amount",
+    labels: ["gst", "general sales tax", "sales tax"],
+  },
+  {
+    section: "charges",
+    key: "furtherTax",
+    type: "amount",
+    labels: ["further tax", "f.tax"],
+  },
+  {
+    section: "charges",
+    key: "extraTax",
+    type: "amount",
+    labels: ["extra tax", "ex.tax"],
+  },
+  {
+    section: "charges",
+    key: "incomeTax",
+    type: "amount",
+    labels: ["income tax", "i.tax", "it"],
+  },
+  {
+    section: "charges",
+    key: "tvFee",
+    type: "amount",
+    labels: ["ptv fee", "tv fee", "t.v fee", "ptv license fee"],
+  },
+  {
+    section: "charges",
+    key: "totalAmount",
+    type: "amount",
+    labels: [
+      "amount payable",
+      "total amount",
+      "payable within due date",
+      "amount payable within due date",
+    ],
+  },
+  {
+    section: "charges",
+    key: "amountAfterDueDate",
+    type: "amount",
+    labels: [
+      "after due date",
+      "amount after due date",
+      "payable after due date",
+      "amount payable after due date",
+    ],
+  },
+  {
+    section: "payment",
+    key: "reportedStatus",
+    type: "text",
+    labels: ["payment status", "bill status"],
+  },
+  {
+    section: "payment",
+    key: "lastPaymentDate",
+    type: "date",
+    labels: ["last payment date", "payment date", "last paid on", "paid on"],
+  },
+  {
+    section: "payment",
+    key: "lastPaymentAmount",
+    type: "amount",
+    labels: ["last payment", "last payment amount", "amount paid", "paid amount"],
+  },
+  {
+    section: "payment",
+    key: "arrears",
+    type: "amount",
+    labels: ["arrears", "arrear", "arrear amount", "arrears amount"],
+  },
+  {
+    section: "payment",
+    key: "installment",
+    type: "amount",
+    labels: ["installment", "instalment", "installment amount", "instalment amount"],
+  },
+  {
+    section: "payment",
+    key: "deferredAmount",
+    type: "amount",
+    labels: ["deferred amount", "deferred arrears", "deferred"],
+  },
+];
+
+/**
+ * Computed payment statuses (payment.status), see getPaymentStatus
+ */
+const PAYMENT_STATUSES = ["paid", "unpaid", "overdue", "partially_paid"];
+
+/**
+ * Offset of Pakistan Standard Time (UTC+5), in which due dates fall
+ */
+const PKT_OFFSET_MS = 5 * 60 * 60 * 1000;
+
+/**
+ * Fields every bill page is expected to yield
+ *
+ * A parse that misses any of them is returned as `partial`: the portal
+ * answered with a bill page, but its markup no longer matches the parser.
+ * Paths are "<section>.<key>" from BILL_FIELDS, or "history" for a
+ * non-empty history grid. Companies can override the list with
+ * `requiredFields` in COMPANIES.
+ */
+const REQUIRED_FIELDS = [
+  "consumerDetails.name",
+  "billDetails.billMonth",
+  "billDetails.dueDate",
+  "billDetails.unitsConsumed",
+  "charges.totalAmount",
+];
+
+/**
+ * Columns of the consumption/payment history grid
+ *
+ * Header cells are matched by exact (normalized) label; every column
+ * except `month` is optional.
+ */
+const HISTORY_COLUMNS = [
+  { key: "month", type: "month", labels: ["month", "bill month"] },
+  { key: "units", type: "integer", labels: ["units", "consumption"] },
+  {
+    key: "billAmount",
+    type: "amount",
+    labels: ["bill", "bill amount", "amount"],
+  },
+  {
+    key: "payment",
+    type: "amount",
+    labels: ["payment", "paid", "payment amount", "amount paid"],
+  },
+];
+
+/**
+ * Normalizes a row label for lookup: lowercase, collapsed whitespace,
+ * without trailing colons or dots
+ *
+ * @param {string} label - Raw label text
+ * @returns {string} Normalized label
+ */
+function normalizeLabel(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s:.]+$/, "")
+    .trim();
+}
+
+/**
+ * Finds the field definition for a row label
+ *
+ * @param {string} label - Raw label text
+ * @returns {Object|null} Field definition or null if the label is unknown
+ */
+function findField(label) {
+  const normalized = normalizeLabel(label);
+  return BILL_FIELDS.find((field) => field.labels.includes(normalized)) || null;
+}
+
+/**
+ * Parses a PKR amount ("Rs. 4,512", "4512.50", "(120)") into a number
+ *
+ * @param {string} value - Display value
+ * @returns {number|null} Amount in PKR or null if not parseable
+ */
+function parseAmount(value) {
+  let text = String(value ?? "")
+    .replace(/rs\.?|pkr/gi, "")
+    .replace(/[,\s]/g, "");
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+
+  if (!/^-?\d+(\.\d+)?$/.test(text)) {
+    return null;
+  }
+
+  return sign * Number(text);
+}
+
+/**
+ * Parses a whole number ("1,234") into an integer
+ *
+ * @param {string} value - Display value
+ * @returns {number|null} Integer or null if not parseable
+ */
+function parseInteger(value) {
+  const text = String(value ?? "").replace(/[,\s]/g, "");
+
+  if (!/^-?\d+$/.test(text)) {
+    return null;
+  }
+
+  return parseInt(text, 10);
+}
+
+/**
+ * Expands a two-digit year into 20xx
+ *
+ * @param {string} year - Year text
+ * @returns {number} Four-digit year
+ */
+function expandYear(year) {
+  const value = parseInt(year, 10);
+  return year.length <= 2 ? 2000 + value : value;
+}
+
+/**
+ * Formats date parts as YYYY-MM-DD, rejecting impossible dates
+ *
+ * @returns {string|null} ISO date or null
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses the date formats found on PITC bills into an ISO date
+ *
+ * Accepts "15 NOV 25", "15-Nov-2025", "15/11/2025" (day first)
+ * and "2025-11-15".
+ *
+ * @param {string} value - Display value
+ * @returns {string|null} Date as YYYY-MM-DD or null if not parseable
+ */
+function parseDate(value) {
+  const text = String(value ?? "").trim();
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return toIsoDate(+match[1], +match[2], +match[3]);
+  }
+
+  if ((match = text.match(/^(\d{1,2})[\s\-/.]+([a-z]{3})[a-z]*[\s\-/.,]+(\d{2}|\d{4})$/i))) {
+    const month = MONTHS[match[2].toLowerCase()];
+    return month ? toIsoDate(expandYear(match[3]), month, +match[1]) : null;
+  }
+
+  if ((match = text.match(/^(\d{1,2})[\-/.](\d{1,2})[\-/.](\d{2}|\d{4})$/))) {
+    return toIsoDate(expandYear(match[3]), +match[2], +match[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Parses a billing month ("NOV 25", "Sep25", "Nov-2025", "11/2025") into YYYY-MM
+ *
+ * @param {string} value - Display value
+ * @returns {string|null} Month as YYYY-MM or null if not parseable
+ */
+function parseMonth(value) {
+  const text = String(value ?? "").trim();
+  let match;
+  let year;
+  let month;
+
+  if ((match = text.match(/^([a-z]{3})[a-z]*[\s\-/.,]*(\d{2}|\d{4})$/i))) {
+    month = MONTHS[match[1].toLowerCase()];
+    year = expandYear(match[2]);
+  } else if ((match = text.match(/^(\d{1,2})[\-/.](\d{2}|\d{4})$/))) {
+    month = +match[1];
+    year = expandYear(match[2]);
+  } else if ((match = text.match(/^(\d{4})-(\d{1,2})$/))) {
+    month = +match[2];
+    year = +match[1];
+  }
+
+  if (!month || month < 1 || month > 12) {
+    return null;
+  }
+
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+const PARSERS = {
+  text: (value) => (value ? value : null),
+  amount: parseAmount,
+  integer: parseInteger,
+  date: parseDate,
+  month: parseMonth,
+};
+
+/**
+ * Parses a display value according to a field type
+ *
+ * @param {string} type - Field type (text, amount, integer, date, month)
+ * @param {string} value - Display value
+ * @returns {*} Parsed value or null if not parseable
+ */
+function parseValue(type, value) {
+  return PARSERS[type](String(value ?? "").replace(/\s+/g, " ").trim());
+}
+
+/**
+ * Lists the required fields a parsed bill is missing
+ *
+ * @param {Object} billData - Bill from parseBillDetails
+ * @param {Array<string>} [requiredFields] - Field paths (default REQUIRED_FIELDS)
+ * @returns {Array<string>} Missing field paths, in the order given
+ */
+function findMissingFields(billData, requiredFields = REQUIRED_FIELDS) {
+  return requiredFields.filter((path) => {
+    if (path === "history") {
+      return !billData.history?.length;
+    }
+    const [section, key] = path.split(".");
+    const value = billData[section]?.[key];
+    return value === undefined || value === null;
+  });
+}
+
+/**
+ * Works out whether a bill has been paid
+ *
+ * The last payment counts towards this bill when it was made on or after
+ * the bill's issue date (or the first day of its bill month). Then:
+ *   paid           - the portal says PAID, nothing is payable, or the
+ *                    payment covers the amount payable
+ *   partially_paid - a smaller payment was made
+ *   overdue        - nothing was paid and the due date has passed
+ *   unpaid         - nothing was paid yet
+ *
+ * @param {Object} billData - Bill from parseBillDetails
+ * @param {Date} [now] - Current time (due dates are compared in PKT)
+ * @returns {string|null} One of PAYMENT_STATUSES, or null without an amount payable
+ */
+function getPaymentStatus(billData, now = new Date()) {
+  const { billDetails = {}, charges = {}, payment = {} } = billData || {};
+
+  if (normalizeLabel(payment.reportedStatus) === "paid") {
+    return "paid";
+  }
+
+  const payable = charges.totalAmount;
+  if (typeof payable !== "number") {
+    return null;
+  }
+
+  const billStart =
+    billDetails.issueDate || (billDetails.billMonth ? `${billDetails.billMonth}-01` : null);
+  const paid =
+    billStart && payment.lastPaymentDate >= billStart ? payment.lastPaymentAmount || 0 : 0;
+
+  if (payable <= 0 || paid >= payable) {
+    return "paid";
+  }
+  if (paid > 0) {
+    return "partially_paid";
+  }
+
+  const today = new Date(now.getTime() + PKT_OFFSET_MS).toISOString().slice(0, 10);
+  if (billDetails.dueDate && today > billDetails.dueDate) {
+    return "overdue";
+  }
+  return "unpaid";
+}
+
+/**
+ * Creates an empty bill model
+ *
+ * @param {string} refNo - Reference number
+ * @param {string} companyCode - Company code
+ * @returns {Object} Bill model
+ */
+function createBillModel(refNo, companyCode) {
+  return {
+    referenceNumber: refNo,
+    company: companyCode,
+    currency: "PKR",
+    consumerDetails: {},
+    billDetails: {},
+    charges: {},
+    payment: {},
+    history: [],
+    unparsedFields: [],
+    rawHtml: null,
+  };
+}
+
+module.exports = {
+  BILL_FIELDS,
+  REQUIRED_FIELDS,
+  PAYMENT_STATUSES,
+  HISTORY_COLUMNS,
+  normalizeLabel,
+  findField,
+  parseAmount,
+  parseInteger,
+  parseDate,
+  parseMonth,
+  parseValue,
+  findMissingFields,
+  getPaymentStatus,
+  createBillModel,
+};
@@ -0,0 +1,364 @@
+const PDFDocument = require("pdfkit");
+
+/**
+ * Header colors per DISCO
+ */
+const BRAND_COLORS = {
+  hesco: "#0b6e4f",
+  lesco: "#1f4e9c",
+  fesco: "#7b2d8b",
+  iesco: "#00796b",
+  mepco: "#b3541e",
+  gepco: "#2e7d32",
+  pesco: "#8e1b1b",
+  qesco: "#5d4037",
+  sepco: "#1565c0",
+};
+
+const DEFAULT_COLOR = "#37474f";
+const PAGE_MARGIN = 40;
+
+/**
+ * Formats a PKR amount for display
+ *
+ * @param {number} value - Amount
+ * @returns {string} "Rs. 11,452" or "-" when missing
+ */
+function formatAmount(value) {
+  if (typeof value !== "number") {
+    return "-";
+  }
+  return `Rs. ${value.toLocaleString("en-PK", { maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * Formats an ISO date (YYYY-MM-DD) or month (YYYY-MM) for display
+ *
+ * @param {string} value - ISO date or month
+ * @returns {string} "24 Oct 2025", "Oct 2025" or "-"
+ */
+function formatDate(value) {
+  if (!value) {
+    return "-";
+  }
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day || 1));
+  const options = { month: "short", year: "numeric", timeZone: "UTC" };
+  if (day) {
+    options.day = "2-digit";
+  }
+  return date.toLocaleDateString("en-GB", options);
+}
+
+/**
+ * Formats a count (units, readings) for display
+ *
+ * @param {number} value - Count
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return typeof value === "number" ? value.toLocaleString("en-PK") : "-";
+}
+
+/**
+ * Draws a section heading
+ */
+function drawHeading(doc, text, color) {
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(color).text(text.toUpperCase());
+  const y = doc.y + 2;
+  doc
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(doc.page.width - PAGE_MARGIN, y)
+    .lineWidth(0.5)
+    .strokeColor(color)
+    .stroke();
+  doc.moveDown(0.5);
+  doc.fillColor("#000000");
+}
+
+/**
+ * Draws label/value pairs in two columns
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {Array<Array<string>>} rows - [label, value] pairs
+ */
+function drawKeyValues(doc, rows) {
+  const columnWidth = (doc.page.width - PAGE_MARGIN * 2) / 2;
+  const labelWidth = 110;
+  const rowHeight = 16;
+  const top = doc.y;
+
+  rows.forEach(([label, value], index) => {
+    const column = index % 2;
+    const row = Math.floor(index / 2);
+    const x = PAGE_MARGIN + column * columnWidth;
+    const y = top + row * rowHeight;
+
+    doc.font("Helvetica").fontSize(9).fillColor("#555555").text(label, x, y, {
+      width: labelWidth,
+    });
+    doc
+      .font("Helvetica-Bold")
+      .fillColor("#000000")
+      .text(value || "-", x + labelWidth, y, {
+        width: columnWidth - labelWidth - 10,
+        ellipsis: true,
+        height: rowHeight,
+      });
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = top + Math.ceil(rows.length / 2) * rowHeight;
+}
+
+/**
+ * Draws a simple table
+ *
+ * @param {PDFDocument} doc - Document
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell text
+ * @param {Array<number>} widths - Column widths as shares of the page width
+ * @param {string} color - Header color
+ */
+function drawTable(doc, headers, rows, widths, color) {
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+  const rowHeight = 16;
+  const columnX = [];
+  widths.reduce((x, share) => {
+    columnX.push(x);
+    return x + share * tableWidth;
+  }, PAGE_MARGIN);
+
+  const drawRow = (cells, y, options = {}) => {
+    if (options.fill) {
+      doc.rect(PAGE_MARGIN, y - 3, tableWidth, rowHeight).fill(options.fill);
+    }
+    cells.forEach((cell, index) => {
+      const width = widths[index] * tableWidth - 8;
+      doc
+        .font(options.bold ? "Helvetica-Bold" : "Helvetica")
+        .fontSize(9)
+        .fillColor(options.textColor || "#000000")
+        .text(cell, columnX[index] + 4, y, {
+          width,
+          align: index === 0 ? "left" : "right",
+        });
+    });
+  };
+
+  let y = doc.y;
+  drawRow(headers, y, { fill: color, textColor: "#ffffff", bold: true });
+  y += rowHeight;
+
+  rows.forEach((cells, index) => {
+    if (y + rowHeight > doc.page.height - PAGE_MARGIN - 30) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+    drawRow(cells, y, { fill: index % 2 ? "#f4f6f8" : null });
+    y += rowHeight;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = y + 4;
+}
+
+/**
+ * Renders a bill result from getPITCBill as a PDF
+ *
+ * @param {Object} result - Successful getPITCBill result
+ * @param {Object} [options] - Render options
+ * @param {Date} [options.generatedAt=new Date()] - Timestamp printed in the footer
+ * @returns {Promise<Buffer>} PDF document
+ *
+ * @example
+ * const result = await getPITCBill("06113530462901", "lesco");
+ * fs.writeFileSync("bill.pdf", await renderBillPdf(result));
+ */
+function renderBillPdf(result, options = {}) {
+  const { generatedAt = new Date() } = options;
+  const bill = result.data;
+  const { consumerDetails = {}, billDetails = {}, charges = {}, history = [] } = bill;
+  const color = BRAND_COLORS[result.company] || DEFAULT_COLOR;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: PAGE_MARGIN,
+    info: {
+      Title: `${result.company.toUpperCase()} bill ${result.refNo}`,
+      Author: "PITC Bill Checker",
+      CreationDate: generatedAt,
+    },
+  });
+
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  // ---------------------------------------------------------------------------
+  // Header band with company branding
+  // ---------------------------------------------------------------------------
+  doc.rect(0, 0, doc.page.width, 80).fill(color);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(20)
+    .fillColor("#ffffff")
+    .text(result.company.toUpperCase(), PAGE_MARGIN, 22);
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(result.companyName || "", PAGE_MARGIN, 48);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(12)
+    .text("ELECTRICITY BILL", PAGE_MARGIN, 24, {
+      align: "right",
+      width: doc.page.width - PAGE_MARGIN * 2,
+    });
+  doc
+    .font("Helvetica")
+    .fontSize(10)
+    .text(`Reference No. ${result.refNo}`, PAGE_MARGIN, 44, {
+      align: "right",
+      width: doc.page.width - PAGE_MARGIN * 2,
+    });
+  doc.fillColor("#000000");
+  doc.x = PAGE_MARGIN;
+  doc.y = 95;
+
+  // ---------------------------------------------------------------------------
+  // Amount due box
+  // ---------------------------------------------------------------------------
+  const boxTop = doc.y;
+  const boxWidth = doc.page.width - PAGE_MARGIN * 2;
+  doc.rect(PAGE_MARGIN, boxTop, boxWidth, 50).lineWidth(1).strokeColor(color).stroke();
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .fillColor("#555555")
+    .text("Payable within due date", PAGE_MARGIN + 12, boxTop + 10)
+    .text("Due date", PAGE_MARGIN + boxWidth / 3, boxTop + 10)
+    .text("Payable after due date", PAGE_MARGIN + (boxWidth * 2) / 3, boxTop + 10);
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(14)
+    .fillColor(color)
+    .text(formatAmount(charges.totalAmount), PAGE_MARGIN + 12, boxTop + 24)
+    .text(formatDate(billDetails.dueDate), PAGE_MARGIN + boxWidth / 3, boxTop + 24)
+    .text(
+      formatAmount(charges.amountAfterDueDate),
+      PAGE_MARGIN + (boxWidth * 2) / 3,
+      boxTop + 24
+    );
+  doc.fillColor("#000000");
+  doc.x = PAGE_MARGIN;
+  doc.y = boxTop + 55;
+
+  // ---------------------------------------------------------------------------
+  // Consumer and bill details
+  // ---------------------------------------------------------------------------
+  drawHeading(doc, "Consumer details", color);
+  drawKeyValues(doc, [
+    ["Name", consumerDetails.name],
+    ["Customer ID", consumerDetails.customerId],
+    ["Address", consumerDetails.address],
+    ["Tariff", billDetails.tariff],
+  ]);
+
+  drawHeading(doc, "Bill details", color);
+  drawKeyValues(doc, [
+    ["Bill month", formatDate(billDetails.billMonth)],
+    ["Issue date", formatDate(billDetails.issueDate)],
+    ["Reading date", formatDate(billDetails.readingDate)],
+    ["Due date", formatDate(billDetails.dueDate)],
+    ["Previous reading", formatNumber(billDetails.previousReading)],
+    ["Present reading", formatNumber(billDetails.currentReading)],
+    ["Units consumed", formatNumber(billDetails.unitsConsumed)],
+  ]);
+
+  // ---------------------------------------------------------------------------
+  // Charges breakdown
+  // ---------------------------------------------------------------------------
+  const CHARGE_LABELS = {
+    electricityCharges: "Electricity charges",
+    fpa: "Fuel price adjustment",
+    fcSurcharge: "FC surcharge",
+    qta: "Quarterly tariff adjustment",
+    meterRent: "Meter rent",
+    electricityDuty: "Electricity duty",
+    gst: "GST",
+    furtherTax: "Further tax",
+    extraTax: "Extra tax",
+    incomeTax: "Income tax",
+    tvFee: "PTV fee",
+  };
+  const chargeRows = Object.entries(charges)
+    .filter(
+      ([key, value]) =>
+        typeof value === "number" &&
+        !["totalAmount", "amountAfterDueDate", "displayAmount"].includes(key)
+    )
+    .map(([key, value]) => [CHARGE_LABELS[key] || key, formatAmount(value)]);
+
+  drawHeading(doc, "Charges", color);
+  drawTable(
+    doc,
+    ["Description", "Amount"],
+    [
+      ...chargeRows,
+      ["Payable within due date", formatAmount(charges.totalAmount)],
+      ["Payable after due date", formatAmount(charges.amountAfterDueDate)],
+    ],
+    [0.7, 0.3],
+    color
+  );
+
+  // ---------------------------------------------------------------------------
+  // Consumption history
+  // ---------------------------------------------------------------------------
+  if (history.length) {
+    drawHeading(doc, "Consumption history", color);
+    drawTable(
+      doc,
+      ["Month", "Units", "Bill", "Payment"],
+      history.map((entry) => [
+        formatDate(entry.month),
+        formatNumber(entry.units),
+        formatAmount(entry.billAmount),
+        formatAmount(entry.payment),
+      ]),
+      [0.31, 0.23, 0.23, 0.23],
+      color
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Footer (drawn inside the bottom margin, so lift the margin temporarily
+  // to keep pdfkit from starting a new page)
+  // ---------------------------------------------------------------------------
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  doc
+    .font("Helvetica")
+    .fontSize(7)
+    .fillColor("#777777")
+    .text(
+      `Generated ${generatedAt.toISOString()} from bill.pitc.com.pk. This is a copy for reference, not an official bill.`,
+      PAGE_MARGIN,
+      doc.page.height - PAGE_MARGIN + 10,
+      { width: doc.page.width - PAGE_MARGIN * 2, align: "center", lineBreak: false }
+    );
+  doc.page.margins.bottom = bottomMargin;
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  renderBillPdf,
+  BRAND_COLORS,
+};
@@ -0,0 +1,315 @@
+const fs = require("fs");
+const path = require("path");
+const { getPITCBill, getCompanyByCode } = require("./pitc-bill");
+const { getProvider } = require("./providers");
+const { lookupBill, withPaymentStatus } = require("./bill-lookup");
+const { logger } = require("./logger");
+
+/**
+ * Default time-to-live for cached bills (seconds)
+ * Issued bills rarely change, but payments posted later should show up
+ */
+const DEFAULT_TTL_SECONDS = parseInt(process.env.BILL_CACHE_TTL, 10) || 6 * 60 * 60;
+
+/**
+ * Creates an in-memory cache store
+ *
+ * Stores implement async get/set/delete/clear; entries are
+ * { value, storedAt, expiresAt } with timestamps in milliseconds.
+ *
+ * @param {Object} [options] - Store options
+ * @param {number} [options.maxEntries=1000] - Oldest entries are evicted beyond this
+ * @returns {Object} Cache store
+ */
+function createMemoryCache(options = {}) {
+  const { maxEntries = 1000 } = options;
+  const entries = new Map();
+
+  return {
+    type: "memory",
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry;
+    },
+
+    async set(key, value, ttlMs) {
+      const now = Date.now();
+      entries.delete(key);
+      entries.set(key, { value, storedAt: now, expiresAt: now + ttlMs });
+
+      // Map keeps insertion order, so the first key is the oldest
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async clear() {
+      entries.clear();
+    },
+
+    entries,
+  };
+}
+
+/**
+ * Creates a cache store persisted to a JSON file so entries survive restarts
+ *
+ * The file is read once on creation and rewritten after every change.
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} [options.filePath] - JSON file (default BILL_CACHE_FILE or .cache/bills.json)
+ * @param {number} [options.maxEntries=1000] - Oldest entries are evicted beyond this
+ * @returns {Object} Cache store
+ */
+function createFileCache(options = {}) {
+  const filePath =
+    options.filePath ||
+    process.env.BILL_CACHE_FILE ||
+    path.join(__dirname, ".cache", "bills.json");
+  const memory = createMemoryCache(options);
+
+  // Load persisted entries, dropping expired ones
+  try {
+    const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const now = Date.now();
+    Object.entries(stored).forEach(([key, entry]) => {
+      if (entry && entry.expiresAt > now) {
+        memory.entries.set(key, entry);
+      }
+    });
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logger.error("Error loading bill cache file", { error: error.message });
+    }
+  }
+
+  // Serialize writes so concurrent changes never interleave
+  let pendingWrite = Promise.resolve();
+  const persist = () => {
+    pendingWrite = pendingWrite
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(
+          tmpPath,
+          JSON.stringify(Object.fromEntries(memory.entries))
+        );
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((error) => {
+        logger.error("Error writing bill cache file", { error: error.message });
+      });
+    return pendingWrite;
+  };
+
+  return {
+    type: "file",
+    filePath,
+
+    get: memory.get,
+
+    async set(key, value, ttlMs) {
+      await memory.set(key, value, ttlMs);
+      await persist();
+    },
+
+    async delete(key) {
+      await memory.delete(key);
+      await persist();
+    },
+
+    async clear() {
+      await memory.clear();
+      await persist();
+    },
+  };
+}
+
+/**
+ * Creates the store selected by BILL_CACHE (memory, file or none)
+ *
+ * @returns {Object|null} Cache store, or null when caching is disabled
+ */
+function createStoreFromEnv() {
+  const type = (process.env.BILL_CACHE || "memory").toLowerCase();
+
+  if (type === "none" || type === "off") {
+    return null;
+  }
+  if (type === "file") {
+    return createFileCache();
+  }
+  return createMemoryCache();
+}
+
+let store = createStoreFromEnv();
+let ttlSeconds = DEFAULT_TTL_SECONDS;
+
+/**
+ * Replaces the cache store used by getCachedPITCBill
+ *
+ * Any object implementing async get/set/delete/clear works, e.g. a Redis
+ * or SQLite-backed adapter. Pass null to disable caching.
+ *
+ * @param {Object|null} newStore - Cache store
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttlSeconds] - Time-to-live for new entries
+ */
+function setBillCache(newStore, options = {}) {
+  store = newStore;
+  if (options.ttlSeconds) {
+    ttlSeconds = options.ttlSeconds;
+  }
+}
+
+/**
+ * Gets the current cache store and TTL
+ *
+ * @returns {Object} { store, ttlSeconds }
+ */
+function getBillCache() {
+  return { store, ttlSeconds };
+}
+
+/**
+ * Builds the cache key for a lookup
+ *
+ * @returns {string} Key such as "lesco:refno:U:06113530462901"
+ */
+function getCacheKey(refNo, companyCode, options = {}) {
+  const company = getCompanyByCode(companyCode);
+  const { searchBy = "refno", ruCode } = options;
+  return [
+    company ? company.code : String(companyCode).toLowerCase(),
+    searchBy,
+    (ruCode || "U").toUpperCase(),
+    String(refNo).trim(),
+  ].join(":");
+}
+
+/**
+ * Fetches a bill through the cache
+ *
+ * Only successful lookups are cached. With `fresh: true` the cache is
+ * skipped for reading but the fresh result still replaces the cached one.
+ *
+ * @param {string} refNo - Reference number or customer ID
+ * @param {string} companyCode - Company code (hesco, lesco, fesco, etc.)
+ * @param {Object} [options] - getPITCBill options plus `fresh`
+ * @param {boolean} [options.fresh=false] - Bypass cached entries
+ * @returns {Promise<Object>} { result, cache: { status, ageSeconds, ttlSeconds } }
+ *   where status is HIT, MISS, BYPASS or DISABLED
+ *
+ * @example
+ * const { result, cache } = await getCachedPITCBill("06113530462901", "lesco");
+ * console.log(cache.status); // "MISS" on first call, "HIT" afterwards
+ */
+async function getCachedPITCBill(refNo, companyCode, options = {}) {
+  const { fresh = false, ...billOptions } = options;
+
+  return cachedLookup(getCacheKey(refNo, companyCode, billOptions), fresh, () =>
+    getPITCBill(refNo, companyCode, billOptions)
+  );
+}
+
+/**
+ * Fetches a bill from a registered provider through the cache
+ *
+ * @param {string} providerId - Provider id
+ * @param {Object} query - Validated query from the provider's validate()
+ * @param {Object} [options] - Lookup options plus `fresh`
+ * @param {boolean} [options.fresh=false] - Bypass cached entries
+ * @returns {Promise<Object>} { result, cache } as from getCachedPITCBill
+ *
+ * @example
+ * const provider = getProvider("pitc");
+ * const { query } = provider.validate("06113530462901");
+ * const { result, cache } = await getCachedProviderBill("pitc", query);
+ */
+async function getCachedProviderBill(providerId, query, options = {}) {
+  const { fresh = false, ...lookupOptions } = options;
+  const provider = getProvider(providerId);
+  const key = [
+    provider.id,
+    ...Object.keys(query)
+      .sort()
+      .map((name) => `${name}=${query[name] ?? ""}`),
+  ].join(":");
+
+  return cachedLookup(key, fresh, () => lookupBill(provider, query, lookupOptions));
+}
+
+/**
+ * Serves a lookup from the cache or runs it and caches a success
+ *
+ * Only successful lookups are cached. With `fresh` the cache is skipped
+ * for reading but the fresh result still replaces the cached one.
+ *
+ * @param {string} key - Cache key
+ * @param {boolean} fresh - Bypass cached entries
+ * @param {Function} lookup - () => Promise<result>
+ * @returns {Promise<Object>} { result, cache }
+ */
+async function cachedLookup(key, fresh, lookup) {
+  if (!store) {
+    const result = await lookup();
+    return { result, cache: { status: "DISABLED" } };
+  }
+
+  if (!fresh) {
+    const entry = await store.get(key);
+    if (entry) {
+      const ageSeconds = Math.floor((Date.now() - entry.storedAt) / 1000);
+      // The payment status depends on today's date, not the fetch date
+      return {
+        result: withPaymentStatus(entry.value),
+        cache: {
+          status: "HIT",
+          ageSeconds,
+          ttlSeconds: Math.max(
+            Math.floor((entry.expiresAt - Date.now()) / 1000),
+            0
+          ),
+        },
+      };
+    }
+  }
+
+  const result = await lookup();
+
+  if (result.success) {
+    await store.set(key, result, ttlSeconds * 1000);
+  }
+
+  return {
+    result,
+    cache: {
+      status: fresh ? "BYPASS" : "MISS",
+      ageSeconds: 0,
+      ttlSeconds: result.success ? ttlSeconds : 0,
+    },
+  };
+}
+
+module.exports = {
+  getCachedPITCBill,
+  getCachedProviderBill,
+  setBillCache,
+  getBillCache,
+  getCacheKey,
+  createMemoryCache,
+  createFileCache,
+  DEFAULT_TTL_SECONDS,
+};
@@ -0,0 +1,186 @@
+/**
+ * Consecutive upstream failures that open a company's circuit
+ */
+const FAILURE_THRESHOLD = parseInt(process.env.PITC_BREAKER_THRESHOLD, 10) || 5;
+
+/**
+ * How long an open circuit rejects lookups before a trial request (ms)
+ */
+const COOLDOWN_MS =
+  (parseInt(process.env.PITC_BREAKER_COOLDOWN, 10) || 30) * 1000;
+
+/**
+ * Number of recent outcomes used to compute the error rate
+ */
+const WINDOW_SIZE = 20;
+
+const STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+/**
+ * Creates a circuit breaker
+ *
+ * closed    - requests flow; consecutive failures are counted
+ * open      - requests are rejected until the cooldown has passed
+ * half-open - a single trial request decides between closed and open
+ *
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.failureThreshold] - Failures that open the circuit
+ * @param {number} [options.cooldownMs] - Time spent open before a trial
+ * @param {number} [options.windowSize] - Outcomes kept for the error rate
+ * @returns {Object} Circuit breaker
+ */
+function createCircuitBreaker(options = {}) {
+  const {
+    failureThreshold = FAILURE_THRESHOLD,
+    cooldownMs = COOLDOWN_MS,
+    windowSize = WINDOW_SIZE,
+  } = options;
+
+  let state = STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastSuccessAt = null;
+  let lastFailureAt = null;
+  let lastError = null;
+  const outcomes = [];
+
+  const recordOutcome = (success) => {
+    outcomes.push(success);
+    if (outcomes.length > windowSize) {
+      outcomes.shift();
+    }
+  };
+
+  const open = () => {
+    state = STATES.OPEN;
+    openedAt = Date.now();
+    trialInFlight = false;
+  };
+
+  return {
+    /**
+     * Whether a request may be sent now; moves open -> half-open after
+     * the cooldown and admits one trial request
+     *
+     * @returns {boolean}
+     */
+    canRequest() {
+      if (state === STATES.OPEN && Date.now() - openedAt >= cooldownMs) {
+        state = STATES.HALF_OPEN;
+      }
+
+      if (state === STATES.CLOSED) {
+        return true;
+      }
+
+      if (state === STATES.HALF_OPEN && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+
+      return false;
+    },
+
+    /**
+     * Records a request that reached the portal and got an answer
+     */
+    recordSuccess() {
+      recordOutcome(true);
+      consecutiveFailures = 0;
+      lastSuccessAt = Date.now();
+      state = STATES.CLOSED;
+      trialInFlight = false;
+    },
+
+    /**
+     * Records an upstream failure (timeout, 5xx, missing tokens)
+     *
+     * @param {Error} error - The failure
+     */
+    recordFailure(error) {
+      recordOutcome(false);
+      consecutiveFailures++;
+      lastFailureAt = Date.now();
+      lastError = error?.message || null;
+
+      if (state === STATES.HALF_OPEN || consecutiveFailures >= failureThreshold) {
+        open();
+      }
+    },
+
+    /**
+     * Seconds until an open circuit admits a trial request
+     *
+     * @returns {number}
+     */
+    getRetryAfterSeconds() {
+      if (state !== STATES.OPEN) {
+        return 0;
+      }
+      return Math.max(Math.ceil((openedAt + cooldownMs - Date.now()) / 1000), 0);
+    },
+
+    /**
+     * Current state and statistics for reporting
+     *
+     * @returns {Object}
+     */
+    getStatus() {
+      // Report half-open once the cooldown has passed, without admitting a trial
+      const reportedState =
+        state === STATES.OPEN && Date.now() - openedAt >= cooldownMs
+          ? STATES.HALF_OPEN
+          : state;
+      const failures = outcomes.filter((success) => !success).length;
+
+      return {
+        state: reportedState,
+        consecutiveFailures,
+        errorRate: outcomes.length
+          ? Math.round((failures / outcomes.length) * 100) / 100
+          : 0,
+        recentRequests: outcomes.length,
+        lastSuccessAt: lastSuccessAt ? new Date(lastSuccessAt).toISOString() : null,
+        lastFailureAt: lastFailureAt ? new Date(lastFailureAt).toISOString() : null,
+        lastError,
+        retryAfterSeconds: this.getRetryAfterSeconds(),
+      };
+    },
+  };
+}
+
+// One breaker per company code, created on first use
+const breakers = new Map();
+
+/**
+ * Gets the circuit breaker for a company
+ *
+ * @param {string} companyCode - Company code (hesco, lesco, etc.)
+ * @returns {Object} Circuit breaker
+ */
+function getBreaker(companyCode) {
+  const code = String(companyCode).toLowerCase();
+  if (!breakers.has(code)) {
+    breakers.set(code, createCircuitBreaker());
+  }
+  return breakers.get(code);
+}
+
+/**
+ * Drops all breakers, closing every circuit
+ */
+function resetBreakers() {
+  breakers.clear();
+}
+
+module.exports = {
+  createCircuitBreaker,
+  getBreaker,
+  resetBreakers,
+  STATES,
+};
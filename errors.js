@@ -0,0 +1,132 @@
+/**
+ * Error codes for failed lookups and other error responses
+ *
+ * Failed results look like { success: false, error, code, retryable }.
+ * `error` is a human-readable message whose wording may change; `code` is
+ * stable and is what clients should branch on. `status` is the HTTP status
+ * the API answers with, and `retryable` tells clients whether the same
+ * request may succeed later.
+ */
+const ERROR_CODES = {
+  INVALID_REQUEST: {
+    status: 400,
+    retryable: false,
+    description: "Malformed reference number, search mode or other parameter",
+  },
+  INVALID_COMPANY: {
+    status: 400,
+    retryable: false,
+    description: "Unknown company code, or none given where it cannot be inferred",
+  },
+  UNAUTHORIZED: {
+    status: 401,
+    retryable: false,
+    description: "Missing, invalid or revoked API key or admin token",
+  },
+  NOT_FOUND: {
+    status: 404,
+    retryable: false,
+    description: "Unknown endpoint, provider or resource",
+  },
+  REF_NOT_FOUND: {
+    status: 404,
+    retryable: false,
+    description: "The portal does not know the reference number",
+  },
+  RATE_LIMITED: {
+    status: 429,
+    retryable: true,
+    description: "The API key's rate limit or daily quota is used up",
+  },
+  ADMIN_DISABLED: {
+    status: 503,
+    retryable: false,
+    description: "The admin API is disabled because ADMIN_TOKEN is not set",
+  },
+  UPSTREAM_TIMEOUT: {
+    status: 504,
+    retryable: true,
+    description: "The portal did not answer in time",
+  },
+  UPSTREAM_UNREACHABLE: {
+    status: 502,
+    retryable: true,
+    description: "The portal could not be reached, or its circuit is open",
+  },
+  UPSTREAM_ERROR: {
+    status: 502,
+    retryable: true,
+    description: "The portal answered with a server error",
+  },
+  TOKEN_EXTRACTION_FAILED: {
+    status: 502,
+    retryable: true,
+    description: "The portal's form page had no ViewState tokens",
+  },
+  PARSE_FAILED: {
+    status: 502,
+    retryable: false,
+    description: "The bill page could not be parsed",
+  },
+};
+
+/**
+ * Code assumed for failures that carry none (e.g. from a provider adapter)
+ */
+const DEFAULT_ERROR_CODE = "UPSTREAM_ERROR";
+
+/**
+ * Creates a failed result
+ *
+ * @param {string} code - Key of ERROR_CODES
+ * @param {string} message - Human-readable message
+ * @param {Object} [fields] - Extra fields (refNo, company, retryAfterSeconds, ...)
+ * @returns {Object} { success: false, error, code, retryable, ...fields }
+ *
+ * @example
+ * return lookupError("REF_NOT_FOUND", "Consumer not found", { refNo });
+ */
+function lookupError(code, message, fields = {}) {
+  const known = ERROR_CODES[code] ? code : DEFAULT_ERROR_CODE;
+  return {
+    success: false,
+    error: message,
+    code: known,
+    retryable: ERROR_CODES[known].retryable,
+    ...fields,
+  };
+}
+
+/**
+ * Adds the default code to a failed result that has none
+ *
+ * @param {Object} result - Failed result
+ * @returns {Object} The result with `code` and `retryable`
+ */
+function withErrorCode(result) {
+  if (ERROR_CODES[result.code]) {
+    return result;
+  }
+  return {
+    ...result,
+    code: DEFAULT_ERROR_CODE,
+    retryable: ERROR_CODES[DEFAULT_ERROR_CODE].retryable,
+  };
+}
+
+/**
+ * Gets the HTTP status for a failed result
+ *
+ * @param {Object} result - Failed result
+ * @returns {number} HTTP status
+ */
+function getErrorStatus(result) {
+  return (ERROR_CODES[result.code] || ERROR_CODES[DEFAULT_ERROR_CODE]).status;
+}
+
+module.exports = {
+  ERROR_CODES,
+  lookupError,
+  withErrorCode,
+  getErrorStatus,
+};
@@ -1,56 +1,619 @@
+#!/usr/bin/env node
 /**
- * PITC Bill Fetcher - Test Script
+ * PITC Bill Checker - Command line interface
  *
- * This script demonstrates direct usage of the pitc-bill module
- * For production use, run server.js to start the REST API
+ * Fetches bills straight from the PITC portal without the API server.
+ * For production use, run server.js to start the REST API.
  *
  * Usage:
- *   node index.js <refNo> [company]
+ *   node index.js <command> [arguments] [options]
+ *
+ * Commands:
+ *   check <refNo> [company]   Fetch one bill
+ *   batch <file>              Fetch bills for the reference numbers in a CSV or text file
+ *   companies                 List supported companies
+ *   decode <refNo>            Decode a reference number
  *
  * Examples:
- *   node index.js 06113530462901 lesco
- *   node index.js 12345678901234 hesco
- *   node index.js 98765432109876 fesco
+ *   node index.js check 06113530462901 lesco
+ *   node index.js check 1234567890 mepco --search-by=custid --ru-code=R
+ *   node index.js batch refs.csv --format=csv --out=bills.csv
+ *   node index.js decode "06 11353 0462901 U" --format=json
+ *   node index.js 06113530462901            (same as check; company inferred: LESCO)
+ *
+ * Exit codes: 0 success, 1 a lookup failed, 2 invalid usage or input
+ */
+
+const fs = require("fs");
+const {
+  getPITCBill,
+  getSupportedCompanies,
+  validateReferenceNumber,
+  COMPANIES,
+} = require("./pitc-bill");
+const { getPITCBills } = require("./batch");
+const { decodeReferenceNumber, inferCompany } = require("./reference");
+const { setLogLevel } = require("./logger");
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1,
+  USAGE: 2,
+};
+
+const FORMATS = ["table", "json", "csv"];
+
+// Flags that take a value (--name=value or --name value)
+const VALUE_FLAGS = [
+  "company",
+  "search-by",
+  "ru-code",
+  "format",
+  "out",
+  "proxy",
+  "timeout",
+  "retries",
+  "concurrency",
+];
+
+// Flags that are switched on by their presence
+const BOOLEAN_FLAGS = ["raw", "help"];
+
+const USAGE = `Usage: node index.js <command> [arguments] [options]
+
+Commands:
+  check <refNo> [company]   Fetch one bill (company inferred from the reference number, else HESCO)
+  batch <file>              Fetch bills for the reference numbers in a CSV or text file
+  companies                 List supported companies
+  decode <refNo>            Decode a reference number
+
+Options:
+  --company=<code>          Company for check/batch lines without one
+  --search-by=refno|custid  Search by reference number (default) or customer ID
+  --ru-code=U|R             Urban or rural code
+  --format=table|json|csv   Output format (default: table)
+  --out=<file>              Write the output to a file instead of stdout
+  --proxy=<url>             Proxy for portal requests (default: the PROXY_URLS pool)
+  --timeout=<seconds>       Timeout per portal request (default: PITC_TIMEOUT or 30s)
+  --retries=<n>             Retries for transient errors (default: PITC_RETRIES or 2)
+  --concurrency=<n>         Parallel lookups for batch (1-10, default: 4)
+  --raw                     Include the page HTML (rawHtml) in JSON output
+  --help                    Show this help
+
+Batch files hold one reference number per line, optionally followed by a
+company code ("06113530462901 lesco"), or a CSV with a header row naming
+refNo and optionally company, searchBy and ruCode columns.
+
+Exit codes: 0 success, 1 a lookup failed, 2 invalid usage or input`;
+
+// Columns of the one-row-per-bill table and CSV output
+const BILL_COLUMNS = [
+  { header: "refNo", value: (r) => r.refNo },
+  { header: "company", value: (r) => r.company },
+  {
+    header: "status",
+    value: (r) => (r.success ? (r.partial ? "partial" : "ok") : "failed"),
+  },
+  { header: "name", value: (r) => r.data?.consumerDetails?.name },
+  { header: "billMonth", value: (r) => r.data?.billDetails?.billMonth },
+  { header: "dueDate", value: (r) => r.data?.billDetails?.dueDate },
+  { header: "units", value: (r) => r.data?.billDetails?.unitsConsumed },
+  { header: "amount", value: (r) => r.data?.charges?.totalAmount },
+  { header: "afterDueDate", value: (r) => r.data?.charges?.amountAfterDueDate },
+  { header: "payment", value: (r) => r.data?.payment?.status },
+  {
+    header: "error",
+    value: (r) => {
+      if (!r.success) {
+        return r.error;
+      }
+      return r.partial ? `missing: ${r.missingFields.join(", ") || r.data.parseError}` : null;
+    },
+  },
+];
+
+/**
+ * Usage error: reported with the help hint and exit code 2
+ *
+ * @param {string} message - What is wrong with the invocation
+ * @returns {Error}
+ */
+function createUsageError(message) {
+  const error = new Error(message);
+  error.code = "USAGE";
+  return error;
+}
+
+/**
+ * Parses command line arguments
+ *
+ * @param {Array<string>} argv - Arguments after `node index.js`
+ * @returns {Object} { positional, flags }
+ * @throws {Error} Usage error on unknown flags or missing values
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "-h") {
+      flags.help = true;
+      continue;
+    }
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, ...rest] = arg.slice(2).split("=");
+    if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else if (VALUE_FLAGS.includes(name)) {
+      const value = rest.length ? rest.join("=") : argv[++i];
+      if (value === undefined || value === "") {
+        throw createUsageError(`--${name} needs a value`);
+      }
+      flags[name] = value;
+    } else {
+      throw createUsageError(`Unknown option --${name}`);
+    }
+  }
+
+  return { positional, flags };
+}
+
+/**
+ * Reads a positive whole-number flag
+ *
+ * @returns {number|undefined} Value, or undefined when the flag is absent
+ * @throws {Error} Usage error when the value is not a whole number
+ */
+function parseNumberFlag(flags, name, { min = 1 } = {}) {
+  if (flags[name] === undefined) {
+    return undefined;
+  }
+  const value = Number(flags[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw createUsageError(`--${name} must be a whole number of at least ${min}`);
+  }
+  return value;
+}
+
+/**
+ * getPITCBill options shared by check and batch
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {Object} { proxyUrl, timeout, retries }
+ */
+function getLookupOptions(flags) {
+  const timeoutSeconds = parseNumberFlag(flags, "timeout");
+  return {
+    proxyUrl: flags.proxy,
+    timeout: timeoutSeconds === undefined ? undefined : timeoutSeconds * 1000,
+    retries: parseNumberFlag(flags, "retries", { min: 0 }),
+  };
+}
+
+/**
+ * Removes the page HTML from a bill result unless --raw is given
+ *
+ * @param {Object} result - getPITCBill result
+ * @param {boolean} raw - Keep rawHtml
+ * @returns {Object} Result
+ */
+function stripRawHtml(result, raw) {
+  if (raw || !result.data) {
+    return result;
+  }
+  const { rawHtml, ...data } = result.data;
+  return { ...result, data };
+}
+
+/**
+ * Formats a value for table and CSV cells
+ *
+ * @returns {string}
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Renders rows as an aligned text table
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string}
+ */
+function renderTable(headers, rows) {
+  const cells = rows.map((row) => row.map((value) => formatCell(value) || "-"));
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...cells.map((row) => row[column].length))
+  );
+  const line = (row) =>
+    row
+      .map((cell, column) => cell.padEnd(widths[column]))
+      .join("  ")
+      .trimEnd();
+
+  return [
+    line(headers),
+    line(widths.map((width) => "-".repeat(width))),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+/**
+ * Renders rows as CSV (RFC 4180 quoting)
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string}
+ */
+function renderCsv(headers, rows) {
+  const escape = (value) => {
+    const text = formatCell(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [headers, ...rows].map((row) => row.map(escape).join(",")).join("\n");
+}
+
+/**
+ * Renders a record as field/value rows, flattening nested objects
+ *
+ * @param {Object} record - Record to show
+ * @returns {Array<Array>} [field, value] rows
+ */
+function toFieldRows(record, prefix = "") {
+  return Object.entries(record).flatMap(([key, value]) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      return toFieldRows(value, field);
+    }
+    return [[field, value]];
+  });
+}
+
+/**
+ * Renders bill results in the chosen format
+ *
+ * @param {Array<Object>} results - getPITCBill results
+ * @param {string} format - table, json or csv
+ * @param {*} json - Value to print for the json format
+ * @returns {string}
+ */
+function renderBills(results, format, json) {
+  if (format === "json") {
+    return JSON.stringify(json, null, 2);
+  }
+  const headers = BILL_COLUMNS.map((column) => column.header);
+  const rows = results.map((result) => BILL_COLUMNS.map((column) => column.value(result)));
+  return format === "csv" ? renderCsv(headers, rows) : renderTable(headers, rows);
+}
+
+/**
+ * Parses a batch input file into lookup items
+ *
+ * Plain text files hold one reference number per line, optionally followed
+ * by a company code. CSV files need a header row with a refNo column.
+ * Blank lines and lines starting with # are skipped.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Items { refNo, company, searchBy, ruCode }
+ * @throws {Error} Usage error when a CSV header has no refNo column
+ */
+function parseBatchInput(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+
+  if (!lines.length) {
+    return [];
+  }
+
+  const splitCells = (line) => line.split(/[,;\t]/).map((cell) => cell.trim().replace(/^"|"$/g, ""));
+  const normalize = (header) => header.toLowerCase().replace(/[\s_-]/g, "");
+  const COLUMN_NAMES = {
+    refno: "refNo",
+    reference: "refNo",
+    referencenumber: "refNo",
+    customerid: "refNo",
+    company: "company",
+    disco: "company",
+    searchby: "searchBy",
+    rucode: "ruCode",
+  };
+
+  const firstCells = splitCells(lines[0]).map(normalize);
+
+  if (firstCells.some((cell) => COLUMN_NAMES[cell])) {
+    const columns = firstCells.map((cell) => COLUMN_NAMES[cell] || null);
+    if (!columns.includes("refNo")) {
+      throw createUsageError("CSV header must include a refNo column");
+    }
+
+    return lines.slice(1).map((line) => {
+      const item = {};
+      splitCells(line).forEach((cell, index) => {
+        if (columns[index] && cell) {
+          item[columns[index]] = cell;
+        }
+      });
+      return item;
+    });
+  }
+
+  return lines.map((line) => {
+    const cells = /[,;\t]/.test(line) ? splitCells(line) : line.split(/\s+/);
+    const last = cells[cells.length - 1];
+    const company = cells.length > 1 ? getCompanyCode(last) : null;
+    const refParts = company ? cells.slice(0, -1) : cells;
+
+    return {
+      refNo: refParts.join("").replace(/-/g, ""),
+      ...(company && { company }),
+    };
+  });
+}
+
+/**
+ * Returns the company code for a (case-insensitive) code, or null
+ *
+ * @returns {string|null}
+ */
+function getCompanyCode(value) {
+  const company = COMPANIES[String(value || "").toUpperCase()];
+  return company ? company.code : null;
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+/**
+ * check <refNo> [company]
+ *
+ * @returns {Promise<Object>} { output, exitCode }
  */
+async function runCheck(args, flags) {
+  const [refNo, companyArg] = args;
+  if (!refNo) {
+    throw createUsageError("Reference number is required");
+  }
+
+  const searchBy = (flags["search-by"] || "refno").toLowerCase();
+  const company = (
+    companyArg ||
+    flags.company ||
+    (searchBy === "refno" && inferCompany(refNo)) ||
+    "hesco"
+  ).toLowerCase();
 
-const { getPITCBill, getSupportedCompanies } = require("./pitc-bill");
+  const validation = validateReferenceNumber(refNo, {
+    searchBy,
+    ruCode: flags["ru-code"],
+    company,
+  });
+  if (!validation.valid) {
+    throw createUsageError(validation.error);
+  }
+
+  const result = stripRawHtml(
+    await getPITCBill(validation.refNo, company, {
+      searchBy: validation.searchBy,
+      ruCode: validation.ruCode,
+      ...getLookupOptions(flags),
+    }),
+    flags.raw
+  );
 
-// Parse arguments
-const testRefNo = process.argv[2];
-const company = (process.argv[3] || "hesco").toLowerCase();
+  let output;
+  if (flags.format === "table" && result.success) {
+    const { rawHtml, history, unparsedFields, ...fields } = result.data;
+    output = renderTable(
+      ["field", "value"],
+      [
+        ["companyName", result.companyName],
+        ...(result.partial ? [["missingFields", result.missingFields.join(", ")]] : []),
+        ...toFieldRows(fields),
+        ["insights.status", result.insights?.status],
+        ...(result.insights?.flags || []).map((flag) => [`insights.${flag.type}`, flag.message]),
+      ]
+    );
+  } else {
+    output = renderBills([result], flags.format, result);
+  }
 
-// Display help if no reference number provided
-if (!testRefNo) {
-  console.log("❌ Reference number is required");
-  console.log("\nUsage: node index.js <refNo> [company]\n");
-  console.log("Supported companies:");
-  getSupportedCompanies().forEach((c) => {
-    console.log(`  • ${c.code.toUpperCase().padEnd(10)} - ${c.name}`);
+  return {
+    output,
+    exitCode: result.success ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+  };
+}
+
+/**
+ * batch <file>
+ *
+ * @returns {Promise<Object>} { output, exitCode, summary }
+ */
+async function runBatch(args, flags) {
+  const [file] = args;
+  if (!file) {
+    throw createUsageError("Batch file is required");
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw createUsageError(`Cannot read ${file}: ${error.message}`);
+  }
+
+  const items = parseBatchInput(text).map((item) => ({
+    ...item,
+    company: item.company || flags.company,
+    searchBy: item.searchBy || flags["search-by"],
+    ruCode: item.ruCode || flags["ru-code"],
+  }));
+  if (!items.length) {
+    throw createUsageError(`${file} contains no reference numbers`);
+  }
+
+  const { results, summary } = await getPITCBills(items, {
+    concurrency: parseNumberFlag(flags, "concurrency"),
+    ...getLookupOptions(flags),
   });
-  console.log("\nExamples:");
-  console.log("  node index.js 06113530462901 lesco");
-  console.log("  node index.js 12345678901234 hesco");
-  process.exit(1);
-}
-
-console.log(
-  `🔍 Fetching ${company.toUpperCase()} bill for reference: ${testRefNo}`
-);
-console.log("---------------------------------------------------");
-
-getPITCBill(testRefNo, company)
-  .then((result) => {
-    if (result.success) {
-      console.log("✅ Bill retrieved successfully!");
-      console.log(`🏢 Company: ${result.companyName}`);
-      console.log("\n📄 Bill Data:");
-      console.log(JSON.stringify(result, null, 2));
+  const stripped = results.map((result) => stripRawHtml(result, flags.raw));
+
+  return {
+    output: renderBills(stripped, flags.format, { summary, results: stripped }),
+    exitCode: summary.failed ? EXIT_CODES.FAILED : EXIT_CODES.OK,
+    summary,
+  };
+}
+
+/**
+ * companies
+ *
+ * @returns {Object} { output, exitCode }
+ */
+function runCompanies(args, flags) {
+  const companies = getSupportedCompanies();
+  const headers = ["code", "name"];
+  const rows = companies.map((company) => [company.code, company.name]);
+
+  const output =
+    flags.format === "json"
+      ? JSON.stringify(companies, null, 2)
+      : flags.format === "csv"
+        ? renderCsv(headers, rows)
+        : renderTable(headers, rows);
+
+  return { output, exitCode: EXIT_CODES.OK };
+}
+
+/**
+ * decode <refNo>
+ *
+ * @returns {Object} { output, exitCode }
+ */
+function runDecode(args, flags) {
+  const input = args.join(" ");
+  if (!input) {
+    throw createUsageError("Reference number is required");
+  }
+
+  const decoded = decodeReferenceNumber(input);
+  const rows = toFieldRows(decoded);
+
+  const output =
+    flags.format === "json"
+      ? JSON.stringify(decoded, null, 2)
+      : flags.format === "csv"
+        ? renderCsv(
+            rows.map(([field]) => field),
+            [rows.map(([, value]) => value)]
+          )
+        : renderTable(["field", "value"], rows);
+
+  return {
+    output,
+    exitCode: decoded.valid ? EXIT_CODES.OK : EXIT_CODES.FAILED,
+  };
+}
+
+const COMMANDS = {
+  check: runCheck,
+  batch: runBatch,
+  companies: runCompanies,
+  decode: runDecode,
+};
+
+/**
+ * Runs the CLI
+ *
+ * @param {Array<string>} argv - Arguments after `node index.js`
+ * @param {Object} [io] - Output streams (default process.stdout/stderr)
+ * @returns {Promise<number>} Exit code
+ *
+ * @example
+ * const code = await run(["check", "06113530462901", "lesco", "--format=json"]);
+ */
+async function run(argv, io = {}) {
+  const { stdout = process.stdout, stderr = process.stderr } = io;
+
+  try {
+    const { positional, flags } = parseArgs(argv);
+
+    if (flags.help || !positional.length) {
+      (flags.help ? stdout : stderr).write(`${USAGE}\n`);
+      return flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    flags.format = (flags.format || "table").toLowerCase();
+    if (!FORMATS.includes(flags.format)) {
+      throw createUsageError(`--format must be one of: ${FORMATS.join(", ")}`);
+    }
+
+    // A bare reference number is a check, as in earlier versions
+    let [command, ...args] = positional;
+    if (!COMMANDS[command] && /^[\d\s-]+[UR]?$/i.test(command)) {
+      args = positional;
+      command = "check";
+    }
+    if (!COMMANDS[command]) {
+      throw createUsageError(`Unknown command "${command}"`);
+    }
+
+    const { output, exitCode, summary } = await COMMANDS[command](args, flags);
+
+    if (flags.out) {
+      fs.writeFileSync(flags.out, `${output}\n`);
+      stderr.write(`Wrote ${flags.out}\n`);
     } else {
-      console.log("❌ Failed to retrieve bill");
-      console.log(`Error: ${result.error}`);
+      stdout.write(`${output}\n`);
     }
-    console.log("---------------------------------------------------");
-  })
-  .catch((err) => {
-    console.error("💥 Unexpected error:", err.message);
+
+    if (summary) {
+      stderr.write(
+        `${summary.succeeded}/${summary.total} bills fetched` +
+          (summary.partial ? ` (${summary.partial} partial)` : "") +
+          ` in ${summary.durationMs}ms\n`
+      );
+    }
+
+    return exitCode;
+  } catch (error) {
+    if (error.code === "USAGE") {
+      stderr.write(`Error: ${error.message}\nRun with --help for usage.\n`);
+      return EXIT_CODES.USAGE;
+    }
+    stderr.write(`Error: ${error.message}\n`);
+    return EXIT_CODES.FAILED;
+  }
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  parseBatchInput,
+  renderTable,
+  renderCsv,
+  EXIT_CODES,
+};
+
+if (require.main === module) {
+  // Keep the lookup's info logs out of the command's output
+  if (!process.env.LOG_LEVEL) {
+    setLogLevel("warn");
+  }
+
+  run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
   });
+}
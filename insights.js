@@ -0,0 +1,311 @@
+/**
+ * Consumption insights
+ *
+ * Compares the units on a bill with the consumer's own history (as shown on
+ * the bill page) to catch meter problems before the bill is paid: sudden
+ * spikes or drops, months billed at zero or on an estimated reading, and
+ * slab crossings that make the whole bill dearer.
+ */
+
+const {
+  getTariffVersion,
+  resolveTariffCode,
+  BILLING_METHODS,
+  PROTECTED_UNIT_LIMIT,
+} = require("./tariff");
+
+/**
+ * Units at or above this multiple of the baseline are a spike; at or
+ * above SEVERE_SPIKE_RATIO the spike is high severity
+ */
+const SPIKE_RATIO = 1.5;
+const SEVERE_SPIKE_RATIO = 3;
+
+/**
+ * Units at or below this share of the baseline are a drop
+ */
+const DROP_RATIO = 0.5;
+
+/**
+ * History months considered for the baseline, and the minimum needed
+ */
+const BASELINE_MONTHS = 12;
+const MIN_BASELINE_MONTHS = 3;
+
+/**
+ * Months averaged for the recent baseline
+ */
+const RECENT_MONTHS = 3;
+
+/**
+ * Reading status text that marks an estimated (not read) meter
+ */
+const ESTIMATED_READING_PATTERN = /estimat|average|\bavg\b|defect|^(e|d|ad)$/i;
+
+/**
+ * Median of a list of numbers
+ *
+ * @param {Array<number>} values - Values (non-empty)
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Shifts a YYYY-MM month by a number of months
+ *
+ * @param {string} month - Month as YYYY-MM
+ * @param {number} delta - Months to add (negative to go back)
+ * @returns {string} Month as YYYY-MM
+ */
+function shiftMonth(month, delta) {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const date = new Date(Date.UTC(year, monthIndex - 1 + delta, 1));
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Computes the consumption baseline from earlier months
+ *
+ * Zero months are left out since they usually mean a stuck or unread meter.
+ *
+ * @param {Array<Object>} history - Earlier months, newest first
+ * @param {string} [billMonth] - Month of the bill (YYYY-MM)
+ * @returns {Object|null} { units, recentUnits, sameMonthLastYear, months } or
+ *   null with fewer than MIN_BASELINE_MONTHS usable months
+ */
+function computeBaseline(history, billMonth) {
+  const usable = history
+    .slice(0, BASELINE_MONTHS)
+    .filter((entry) => Number.isInteger(entry.units) && entry.units > 0);
+
+  if (usable.length < MIN_BASELINE_MONTHS) {
+    return null;
+  }
+
+  const recent = usable.slice(0, RECENT_MONTHS).map((entry) => entry.units);
+  const lastYear = billMonth
+    ? history.find((entry) => entry.month === shiftMonth(billMonth, -12))
+    : null;
+
+  return {
+    units: Math.round(median(usable.map((entry) => entry.units))),
+    recentUnits: Math.round(recent.reduce((sum, units) => sum + units, 0) / recent.length),
+    sameMonthLastYear: Number.isInteger(lastYear?.units) ? lastYear.units : null,
+    months: usable.length,
+  };
+}
+
+/**
+ * Flags a spike or drop of the billed units against the baseline
+ *
+ * Consumption is seasonal, so a spike must exceed both the 12-month median
+ * and the recent average, and a drop must fall below both.
+ *
+ * @returns {Object|null} Flag or null
+ */
+function checkChange(month, units, baseline) {
+  if (!baseline || units === 0) {
+    return null;
+  }
+
+  const high = Math.max(baseline.units, baseline.recentUnits);
+  const low = Math.min(baseline.units, baseline.recentUnits);
+  const ratio = Math.round((units / high) * 100) / 100;
+
+  if (units >= high * SPIKE_RATIO) {
+    return {
+      type: "spike",
+      severity: units >= high * SEVERE_SPIKE_RATIO ? "high" : "warning",
+      month,
+      units,
+      baseline: high,
+      ratio,
+      message: `${units} units is ${ratio}x the usual ${high} units`,
+    };
+  }
+
+  if (units <= low * DROP_RATIO) {
+    return {
+      type: "drop",
+      severity: "warning",
+      month,
+      units,
+      baseline: low,
+      ratio: Math.round((units / low) * 100) / 100,
+      message: `${units} units is well below the usual ${low} units - check the meter reading`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Flags slab crossings against the previous month
+ *
+ * Residential consumers lose protected status (and its lower rates) for
+ * six months once they use more than 200 units. Unprotected consumers are
+ * billed all units at the rate of the slab reached, so moving up a slab
+ * raises the rate for every unit.
+ *
+ * @returns {Array<Object>} Flags
+ */
+function checkSlabCrossing(billDetails, units, history) {
+  const flags = [];
+  const previous = history[0];
+  const previousUnits = Number.isInteger(previous?.units) ? previous.units : null;
+  const month = billDetails.billMonth || null;
+
+  const wasProtected =
+    resolveTariffCode(billDetails.tariff, previousUnits, history.slice(1)) ===
+    "residential-protected";
+
+  if (wasProtected && units > PROTECTED_UNIT_LIMIT) {
+    flags.push({
+      type: "slab-crossing",
+      severity: "high",
+      month,
+      units,
+      threshold: PROTECTED_UNIT_LIMIT,
+      protectedStatusLost: true,
+      message: `${units} units crosses the ${PROTECTED_UNIT_LIMIT}-unit limit - protected status is lost for the next 6 months`,
+    });
+    return flags;
+  }
+
+  const tariffCode = resolveTariffCode(billDetails.tariff, units, history);
+  const version = getTariffVersion(billDetails.issueDate);
+  const tariff = version?.tariffs[tariffCode];
+
+  if (previousUnits === null || !tariff || tariff.method !== BILLING_METHODS.SINGLE_SLAB) {
+    return flags;
+  }
+
+  const crossed = tariff.slabs
+    .map((slab) => slab.upTo)
+    .filter((upTo) => upTo !== null && previousUnits <= upTo && units > upTo);
+
+  if (crossed.length) {
+    const threshold = crossed[crossed.length - 1];
+    flags.push({
+      type: "slab-crossing",
+      severity: "warning",
+      month,
+      units,
+      threshold,
+      protectedStatusLost: false,
+      message: `${units} units crosses the ${threshold}-unit slab - all units are charged at the higher rate`,
+    });
+  }
+
+  return flags;
+}
+
+/**
+ * Flags months billed at zero units or on an estimated reading
+ *
+ * @returns {Array<Object>} Flags
+ */
+function checkReadings(billDetails, units, history) {
+  const flags = [];
+  const month = billDetails.billMonth || null;
+
+  const readingUnchanged =
+    Number.isInteger(billDetails.currentReading) &&
+    billDetails.currentReading === billDetails.previousReading;
+
+  if (units === 0) {
+    flags.push({
+      type: "zero-reading",
+      severity: "warning",
+      month,
+      units,
+      message: "Billed at zero units - the meter may be stuck or was not read",
+    });
+  } else if (
+    ESTIMATED_READING_PATTERN.test(billDetails.readingStatus || "") ||
+    readingUnchanged
+  ) {
+    flags.push({
+      type: "estimated-reading",
+      severity: "warning",
+      month,
+      units,
+      readingStatus: billDetails.readingStatus || null,
+      message: readingUnchanged
+        ? "Units were billed although the meter reading did not change - the reading was likely estimated"
+        : `Meter reading status is "${billDetails.readingStatus}" - the units were estimated`,
+    });
+  }
+
+  history.slice(0, BASELINE_MONTHS).forEach((entry) => {
+    if (entry.units === 0) {
+      flags.push({
+        type: "zero-reading",
+        severity: "info",
+        month: entry.month,
+        units: 0,
+        message: `${entry.month} was billed at zero units`,
+      });
+    }
+  });
+
+  return flags;
+}
+
+/**
+ * Analyzes the consumption on a parsed bill
+ *
+ * @param {Object} billData - Parsed bill (result.data from getPITCBill)
+ * @returns {Object} { status, month, units, baseline, changePercent, flags }
+ *   where status is "normal", "attention" (any warning or high flag) or
+ *   "unavailable" (units not found on the bill)
+ *
+ * @example
+ * const { insights } = await getPITCBill("09371234567890", "hesco");
+ * insights.flags.forEach((flag) => console.log(flag.severity, flag.message));
+ */
+function analyzeConsumption(billData) {
+  const { billDetails = {}, history = [] } = billData || {};
+  const units = billDetails.unitsConsumed;
+
+  if (!Number.isInteger(units)) {
+    return {
+      status: "unavailable",
+      reason: "Units consumed not found on bill",
+      flags: [],
+    };
+  }
+
+  // Some pages repeat the billed month at the top of the history grid
+  const earlier = history.filter((entry) => entry.month !== billDetails.billMonth);
+  const baseline = computeBaseline(earlier, billDetails.billMonth);
+
+  const flags = [
+    checkChange(billDetails.billMonth || null, units, baseline),
+    ...checkReadings(billDetails, units, earlier),
+    ...checkSlabCrossing(billDetails, units, earlier),
+  ].filter(Boolean);
+
+  return {
+    status: flags.some((flag) => flag.severity !== "info") ? "attention" : "normal",
+    month: billDetails.billMonth || null,
+    units,
+    baseline,
+    changePercent: baseline
+      ? Math.round(((units - baseline.units) / baseline.units) * 100)
+      : null,
+    flags,
+  };
+}
+
+module.exports = {
+  analyzeConsumption,
+  computeBaseline,
+  SPIKE_RATIO,
+  SEVERE_SPIKE_RATIO,
+  DROP_RATIO,
+};
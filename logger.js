@@ -0,0 +1,207 @@
+/**
+ * Structured JSON logging
+ *
+ * Every log entry is one JSON line with a timestamp, level and message,
+ * plus the logger's bindings (e.g. requestId, company) and any fields.
+ * Consumer names, addresses and reference numbers are redacted before an
+ * entry is written, since logs ship to a shared system.
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+/**
+ * Minimum level written: debug, info (default), warn, error or silent
+ */
+let minLevel = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : "info";
+
+/**
+ * Set LOG_REDACT=false to log personal data unredacted (local debugging only)
+ */
+const REDACT = process.env.LOG_REDACT !== "false";
+
+// Fields holding a consumer's name or address
+const PERSONAL_KEYS = new Set([
+  "name",
+  "consumerName",
+  "customerName",
+  "address",
+  "consumerAddress",
+]);
+
+// Fields holding a reference number or customer ID
+const REFERENCE_KEYS = new Set(["refNo", "referenceNumber", "customerId", "searchText"]);
+
+// Reference numbers and customer IDs inside free text, in the forms the
+// API accepts: 10-14 digits, optionally split by spaces or dashes and
+// followed by a U/R suffix ("06 11353 0462901 U", "06113530462901R")
+const REFERENCE_PATTERN = /\b\d(?:[\s-]?\d){9,13}(?:\s?[UR])?(?!\w)/gi;
+
+const MAX_DEPTH = 8;
+
+const defaultWriter = (line, level) => {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+let writer = defaultWriter;
+
+/**
+ * Masks a reference number, keeping its last 4 digits for correlation
+ *
+ * @param {string} value - Reference number or customer ID
+ * @returns {string} e.g. "**********2901"
+ */
+function maskReference(value) {
+  const text = String(value);
+  return text.length > 4 ? `${"*".repeat(text.length - 4)}${text.slice(-4)}` : "****";
+}
+
+/**
+ * Removes personal data from a log value
+ *
+ * Name and address fields are replaced, reference number fields and digit
+ * runs that look like reference numbers are masked. Errors become plain
+ * objects with their name, message, code and stack.
+ *
+ * @param {*} value - Any value
+ * @returns {*} Redacted copy
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return value.replace(REFERENCE_PATTERN, maskReference);
+  }
+
+  if (value instanceof Error) {
+    // An error's name is its class, not a person
+    const { name, ...rest } = serializeError(value);
+    return { name, ...redact(rest, depth, seen) };
+  }
+
+  if (!value || typeof value !== "object") {
+    return value;
+  }
+
+  if (seen.has(value) || depth >= MAX_DEPTH) {
+    return "[Truncated]";
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (item === undefined) {
+      return;
+    }
+    if (PERSONAL_KEYS.has(key) && item !== null) {
+      result[key] = "[REDACTED]";
+    } else if (REFERENCE_KEYS.has(key) && item !== null && typeof item !== "object") {
+      result[key] = maskReference(item);
+    } else {
+      result[key] = redact(item, depth + 1, seen);
+    }
+  });
+  return result;
+}
+
+/**
+ * Serializes an error for logging
+ *
+ * @param {Error} error - Error
+ * @returns {Object} { name, message, code, status, stack }
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    stack: error.stack,
+  };
+}
+
+/**
+ * Creates a logger
+ *
+ * @param {Object} [bindings] - Fields added to every entry (e.g. { requestId })
+ * @returns {Object} Logger with debug/info/warn/error(message, fields) and child(bindings)
+ *
+ * @example
+ * const log = createLogger({ requestId: "abc" });
+ * log.info("Bill fetched", { company: "lesco", refNo: "06113530462901" });
+ * // {"time":"...","level":"info","msg":"Bill fetched","requestId":"abc","company":"lesco","refNo":"**********2901"}
+ */
+function createLogger(bindings = {}) {
+  const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LEVELS[minLevel]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...bindings,
+      ...fields,
+    };
+
+    let line;
+    try {
+      line = JSON.stringify(REDACT ? redact(entry) : entry, (key, value) =>
+        value instanceof Error ? serializeError(value) : value
+      );
+    } catch (error) {
+      line = JSON.stringify({ time: entry.time, level, msg: message, logError: error.message });
+    }
+    writer(line, level);
+  };
+
+  return {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+/**
+ * Changes the minimum level written
+ *
+ * @param {string} level - debug, info, warn, error or silent
+ */
+function setLogLevel(level) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+  minLevel = level;
+}
+
+/**
+ * Replaces where log lines are written (e.g. to capture them in tests)
+ *
+ * @param {Function|null} newWriter - (line, level) => void; null restores stdout/stderr
+ */
+function setLogWriter(newWriter) {
+  writer = newWriter || defaultWriter;
+}
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  maskReference,
+  setLogLevel,
+  setLogWriter,
+  LEVELS,
+};
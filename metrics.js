@@ -0,0 +1,220 @@
+/**
+ * Prometheus metrics
+ *
+ * Tracks API traffic per route and company, and how the PITC portal
+ * behaves underneath it: upstream GET/POST timings, ViewState token
+ * extraction failures, portal (#ua) errors and how many known bill fields
+ * each parsed page yields. Falling field coverage and partial parses are
+ * usually the first sign of a portal layout change.
+ */
+
+const client = require("prom-client");
+const { BILL_FIELDS } = require("./bill-model");
+
+/**
+ * Histogram buckets (seconds) for API and upstream request durations
+ */
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const register = new client.Registry();
+
+if (process.env.METRICS_DEFAULT !== "false") {
+  client.collectDefaultMetrics({ register });
+}
+
+// ---------------------------------------------------------------------------
+// API traffic
+// ---------------------------------------------------------------------------
+const httpRequests = new client.Counter({
+  name: "http_requests_total",
+  help: "API requests by route, company and status code",
+  labelNames: ["method", "route", "company", "status"],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "API request latency by route and company",
+  labelNames: ["method", "route", "company"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+// ---------------------------------------------------------------------------
+// PITC portal
+// ---------------------------------------------------------------------------
+const upstreamDuration = new client.Histogram({
+  name: "pitc_upstream_request_duration_seconds",
+  help: "PITC portal GET (tokens) and POST (search) latency by company and outcome",
+  labelNames: ["company", "method", "status"],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const tokenFailures = new client.Counter({
+  name: "pitc_token_extraction_failures_total",
+  help: "Portal pages without the ViewState tokens needed to search",
+  labelNames: ["company"],
+  registers: [register],
+});
+
+const portalErrors = new client.Counter({
+  name: "pitc_portal_errors_total",
+  help: "Searches answered with an error message in the portal's #ua element",
+  labelNames: ["company"],
+  registers: [register],
+});
+
+// ---------------------------------------------------------------------------
+// Parse coverage
+// ---------------------------------------------------------------------------
+const billsParsed = new client.Counter({
+  name: "pitc_bills_parsed_total",
+  help: "Bill pages parsed",
+  labelNames: ["company"],
+  registers: [register],
+});
+
+const fieldsFound = new client.Counter({
+  name: "pitc_bill_fields_found_total",
+  help: "Known bill fields found on parsed pages",
+  labelNames: ["company", "field"],
+  registers: [register],
+});
+
+const fieldsUnparsed = new client.Counter({
+  name: "pitc_bill_fields_unparsed_total",
+  help: "Known bill fields whose value could not be parsed",
+  labelNames: ["company", "field"],
+  registers: [register],
+});
+
+const billsPartial = new client.Counter({
+  name: "pitc_bills_partial_total",
+  help: "Bill pages parsed with required fields missing",
+  labelNames: ["company"],
+  registers: [register],
+});
+
+const fieldsMissing = new client.Counter({
+  name: "pitc_bill_required_fields_missing_total",
+  help: "Required bill fields missing from parsed pages",
+  labelNames: ["company", "field"],
+  registers: [register],
+});
+
+const fieldCoverage = new client.Gauge({
+  name: "pitc_bill_field_coverage_ratio",
+  help: "Share of known bill fields found on the last parsed page",
+  labelNames: ["company"],
+  registers: [register],
+});
+
+/**
+ * Records one API request
+ *
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Matched route pattern ("unmatched" for 404s)
+ * @param {string} request.company - Company code, or "none"
+ * @param {number} request.status - Response status code
+ * @param {number} request.durationSeconds - Time to respond
+ */
+function observeHttpRequest({ method, route, company, status, durationSeconds }) {
+  httpRequests.inc({ method, route, company, status: String(status) });
+  httpDuration.observe({ method, route, company }, durationSeconds);
+}
+
+/**
+ * Starts timing a request to the PITC portal
+ *
+ * @param {string} company - Company code
+ * @param {string} method - "GET" or "POST"
+ * @returns {Function} Call with the response status (or error code) when done
+ *
+ * @example
+ * const done = startUpstreamTimer("lesco", "POST");
+ * const response = await axios.post(url, form);
+ * done(response.status);
+ */
+function startUpstreamTimer(company, method) {
+  const end = upstreamDuration.startTimer({ company, method });
+  return (status) => end({ status: String(status || "error") });
+}
+
+/**
+ * Records a portal page without usable ViewState tokens
+ *
+ * @param {string} company - Company code
+ */
+function recordTokenExtractionFailure(company) {
+  tokenFailures.inc({ company });
+}
+
+/**
+ * Records a search the portal answered with an #ua error message
+ *
+ * @param {string} company - Company code
+ */
+function recordPortalError(company) {
+  portalErrors.inc({ company });
+}
+
+/**
+ * Records which known fields a parsed bill contains
+ *
+ * @param {string} company - Company code
+ * @param {Object} billData - Bill from parseBillDetails
+ * @param {Array<string>} [missingFields] - Required fields the bill is missing
+ */
+function recordParseCoverage(company, billData, missingFields = []) {
+  let found = 0;
+
+  BILL_FIELDS.forEach(({ section, key }) => {
+    if (billData[section]?.[key] !== undefined) {
+      fieldsFound.inc({ company, field: `${section}.${key}` });
+      found++;
+    }
+  });
+
+  (billData.unparsedFields || []).forEach(({ field }) => {
+    fieldsUnparsed.inc({ company, field });
+  });
+
+  missingFields.forEach((field) => {
+    fieldsMissing.inc({ company, field });
+  });
+  if (missingFields.length) {
+    billsPartial.inc({ company });
+  }
+
+  billsParsed.inc({ company });
+  fieldCoverage.set({ company }, Math.round((found / BILL_FIELDS.length) * 1000) / 1000);
+}
+
+/**
+ * Renders all metrics in the Prometheus text format
+ *
+ * @returns {Promise<string>}
+ */
+function getMetrics() {
+  return register.metrics();
+}
+
+/**
+ * Resets all metric values (for tests)
+ */
+function resetMetrics() {
+  register.resetMetrics();
+}
+
+module.exports = {
+  observeHttpRequest,
+  startUpstreamTimer,
+  recordTokenExtractionFailure,
+  recordPortalError,
+  recordParseCoverage,
+  getMetrics,
+  resetMetrics,
+  contentType: register.contentType,
+};
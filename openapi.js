@@ -0,0 +1,961 @@
+/**
+ * OpenAPI document and schema validation
+ *
+ * The schemas below are the single source of truth for the documented
+ * routes: they are served in the OpenAPI 3.1 document at /openapi.json and
+ * compiled with Ajv to validate incoming query strings/bodies and outgoing
+ * payloads. The bill schema is generated from BILL_FIELDS, so new bill
+ * fields are documented and validated as soon as they are parsed.
+ */
+
+const Ajv2020 = require("ajv/dist/2020");
+const addFormats = require("ajv-formats");
+const addErrors = require("ajv-errors");
+const { BILL_FIELDS, HISTORY_COLUMNS, PAYMENT_STATUSES } = require("./bill-model");
+const { COMPANIES, SEARCH_MODES, RU_CODES } = require("./pitc-bill");
+const { UTILITIES } = require("./providers");
+const { ERROR_CODES, lookupError } = require("./errors");
+const { TARIFF_VERSIONS } = require("./tariff");
+const { logger } = require("./logger");
+const { version } = require("./package.json");
+
+/**
+ * How outgoing payloads are validated (OPENAPI_VALIDATE_RESPONSES):
+ *   warn   - log mismatches and send the payload anyway (default)
+ *   strict - replace mismatching payloads with a 500 error
+ *   off    - skip response validation
+ */
+const RESPONSE_VALIDATION = (process.env.OPENAPI_VALIDATE_RESPONSES || "warn").toLowerCase();
+
+const COMPANY_CODES = Object.values(COMPANIES).map((company) => company.code);
+
+// Company codes match in any case ("lesco", "LESCO", "Lesco"), as in
+// getCompanyByCode; JSON Schema patterns have no case-insensitive flag
+const COMPANY_CODE_PATTERN = `^(${COMPANY_CODES.map((code) =>
+  [...code].map((char) => `[${char}${char.toUpperCase()}]`).join("")
+).join("|")})$`;
+
+const TARIFF_VERSION_NAMES = TARIFF_VERSIONS.map((v) => v.version);
+const TARIFF_CODES = [...new Set(TARIFF_VERSIONS.flatMap((v) => Object.keys(v.tariffs)))];
+
+const FIELD_TYPES = {
+  text: { type: "string" },
+  amount: { type: "number" },
+  integer: { type: "integer" },
+  date: { type: "string", format: "date" },
+  month: { type: "string", pattern: "^\\d{4}-\\d{2}$" },
+};
+
+/**
+ * Builds an object schema for one bill section from BILL_FIELDS
+ *
+ * @param {string} section - consumerDetails, billDetails, charges or payment
+ * @param {Object} [extra] - Additional properties not defined in BILL_FIELDS
+ * @returns {Object} JSON schema
+ */
+function sectionSchema(section, extra = {}) {
+  const properties = {};
+  BILL_FIELDS.filter((field) => field.section === section).forEach((field) => {
+    properties[field.key] = {
+      ...FIELD_TYPES[field.type],
+      description: `Printed as: ${field.labels.join(" / ")}`,
+    };
+  });
+
+  return {
+    type: "object",
+    properties: { ...properties, ...extra },
+    additionalProperties: false,
+  };
+}
+
+// Optional history columns are null when the cell could not be parsed
+const historyEntrySchema = {
+  type: "object",
+  required: ["month"],
+  properties: Object.fromEntries(
+    HISTORY_COLUMNS.map((column) => [
+      column.key,
+      column.key === "month"
+        ? FIELD_TYPES.month
+        : { type: [FIELD_TYPES[column.type].type, "null"] },
+    ])
+  ),
+  additionalProperties: false,
+};
+
+const refNoParameter = {
+  type: "string",
+  pattern: "^\\s*\\d{10,14}\\s*$",
+  description: "10-14 digit reference number, or the 10-digit customer ID when searchBy is custid",
+  examples: ["06113530462901"],
+};
+
+// Error messages match validateReferenceNumber so clients see one wording
+const lookupErrorMessages = {
+  required: { refNo: "Reference number is required" },
+  properties: {
+    refNo: "Reference number must be 10-14 digits",
+    company: `Invalid company code. Supported: ${COMPANY_CODES.join(", ")}`,
+    searchBy: `Invalid search mode. Supported: ${Object.keys(SEARCH_MODES).join(", ")}`,
+    ruCode: "U/R code must be U (urban) or R (rural)",
+  },
+};
+
+const lookupProperties = {
+  refNo: refNoParameter,
+  company: {
+    type: "string",
+    pattern: COMPANY_CODE_PATTERN,
+    examples: COMPANY_CODES,
+    description:
+      "Company code (any case); inferred from the reference number when omitted, else hesco",
+  },
+  searchBy: {
+    type: "string",
+    enum: Object.keys(SEARCH_MODES),
+    default: "refno",
+  },
+  ruCode: {
+    type: "string",
+    enum: [...RU_CODES, ...RU_CODES.map((code) => code.toLowerCase())],
+    description: "Urban (U) or rural (R); the portal assumes U",
+  },
+};
+
+const freshParameter = {
+  type: "string",
+  enum: ["0", "1", "true", "false"],
+  description: "1 to bypass the bill cache",
+};
+
+const includeParameter = {
+  type: "string",
+  enum: ["raw"],
+  description: "raw to include the bill page HTML (data.rawHtml), left out by default",
+};
+
+/**
+ * Component schemas, referenced as #/components/schemas/<name>
+ */
+const SCHEMAS = {
+  CheckBillQuery: {
+    type: "object",
+    required: ["refNo"],
+    properties: {
+      ...lookupProperties,
+      fresh: freshParameter,
+      format: {
+        type: "string",
+        enum: ["json", "pdf"],
+        default: "json",
+      },
+      include: includeParameter,
+    },
+    errorMessage: {
+      ...lookupErrorMessages,
+      properties: {
+        ...lookupErrorMessages.properties,
+        fresh: "fresh must be 0, 1, true or false",
+        format: "format must be json or pdf",
+        include: "include must be raw",
+      },
+    },
+  },
+
+  LookupQuery: {
+    type: "object",
+    required: ["refNo"],
+    properties: {
+      ...lookupProperties,
+      fresh: freshParameter,
+    },
+    errorMessage: {
+      ...lookupErrorMessages,
+      properties: {
+        ...lookupErrorMessages.properties,
+        fresh: "fresh must be 0, 1, true or false",
+      },
+    },
+  },
+
+  ProviderBillQuery: {
+    type: "object",
+    required: ["refNo"],
+    properties: {
+      refNo: {
+        type: "string",
+        description: "Reference or consumer number; its format is checked by the provider",
+        examples: ["06113530462901"],
+      },
+      company: {
+        type: "string",
+        description: "Company code; optional when the provider can infer it from refNo",
+      },
+      fresh: freshParameter,
+      include: includeParameter,
+    },
+    errorMessage: {
+      required: { refNo: "Reference number is required" },
+      properties: {
+        fresh: "fresh must be 0, 1, true or false",
+        include: "include must be raw",
+      },
+    },
+  },
+
+  CheckBillBody: {
+    type: "object",
+    required: ["refNo"],
+    properties: {
+      ...lookupProperties,
+      fresh: {
+        type: ["boolean", "string"],
+        enum: [true, false, "0", "1", "true", "false"],
+        description: "true to bypass the bill cache",
+      },
+      include: includeParameter,
+    },
+    errorMessage: {
+      ...lookupErrorMessages,
+      properties: {
+        ...lookupErrorMessages.properties,
+        // A JSON number loses the leading zeros that pick the company
+        refNo: "Reference number must be a string of 10-14 digits",
+        fresh: "fresh must be a boolean",
+        include: "include must be raw",
+      },
+    },
+  },
+
+  EstimateBody: {
+    type: "object",
+    required: ["units", "tariff"],
+    properties: {
+      units: { type: "integer", minimum: 0, description: "Units consumed (kWh)" },
+      tariff: { type: "string", enum: TARIFF_CODES },
+      version: {
+        anyOf: [
+          { type: "string", enum: TARIFF_VERSION_NAMES },
+          { type: "string", format: "date" },
+        ],
+        description: "Tariff version or an ISO date (YYYY-MM-DD); the latest version when omitted",
+      },
+      fpaRate: { type: "number", minimum: 0, description: "Fuel price adjustment, Rs/kWh" },
+      qtaRate: { type: "number", minimum: 0, description: "Quarterly tariff adjustment, Rs/kWh" },
+      meterRent: { type: "number", minimum: 0, description: "Meter rent, Rs" },
+      incomeTax: {
+        type: "boolean",
+        default: false,
+        description: "Apply income tax above the threshold (non-filers)",
+      },
+    },
+    errorMessage: {
+      required: {
+        units: "units is required",
+        tariff: "tariff is required",
+      },
+      properties: {
+        units: "Units must be a non-negative whole number",
+        tariff: `Invalid tariff code. Supported: ${TARIFF_CODES.join(", ")}`,
+        version: `version must be one of ${TARIFF_VERSION_NAMES.join(", ")} or an ISO date`,
+        fpaRate: "fpaRate must be a non-negative number",
+        qtaRate: "qtaRate must be a non-negative number",
+        meterRent: "meterRent must be a non-negative number",
+        incomeTax: "incomeTax must be true or false",
+      },
+    },
+  },
+
+  Bill: {
+    type: "object",
+    required: [
+      "referenceNumber",
+      "company",
+      "currency",
+      "consumerDetails",
+      "billDetails",
+      "charges",
+      "history",
+      "unparsedFields",
+    ],
+    properties: {
+      referenceNumber: { type: "string" },
+      company: { type: "string", description: "Company code, e.g. lesco" },
+      currency: { const: "PKR" },
+      consumerDetails: sectionSchema("consumerDetails"),
+      billDetails: sectionSchema("billDetails"),
+      charges: sectionSchema("charges", {
+        displayAmount: {
+          type: "number",
+          description: "Amount shown in the page's highlighted amount box",
+        },
+      }),
+      payment: sectionSchema("payment", {
+        status: {
+          type: "string",
+          enum: PAYMENT_STATUSES,
+          description:
+            "Worked out from the due date, amount payable and last payment each time the bill is served, including from the cache, so it is current as of the response",
+        },
+      }),
+      history: { type: "array", items: historyEntrySchema },
+      unparsedFields: {
+        type: "array",
+        description: "Known fields whose value could not be parsed",
+        items: {
+          type: "object",
+          required: ["field", "label", "value"],
+          properties: {
+            field: { type: "string" },
+            label: { type: "string" },
+            value: { type: "string" },
+          },
+        },
+      },
+      rawHtml: {
+        type: ["string", "null"],
+        description: "Bill page HTML, only with include=raw",
+      },
+      parseError: {
+        type: "string",
+        description: "Parser exception, if parsing stopped early",
+      },
+    },
+    additionalProperties: false,
+  },
+
+  Insights: {
+    type: "object",
+    required: ["status", "flags"],
+    properties: {
+      status: { type: "string", enum: ["normal", "attention", "unavailable"] },
+      reason: { type: "string" },
+      month: { type: ["string", "null"] },
+      units: { type: "integer" },
+      baseline: {
+        type: ["object", "null"],
+        properties: {
+          units: { type: "integer" },
+          recentUnits: { type: "integer" },
+          sameMonthLastYear: { type: ["integer", "null"] },
+          months: { type: "integer" },
+        },
+      },
+      changePercent: { type: ["integer", "null"] },
+      flags: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["type", "severity", "message"],
+          properties: {
+            type: {
+              type: "string",
+              enum: ["spike", "drop", "zero-reading", "estimated-reading", "slab-crossing"],
+            },
+            severity: { type: "string", enum: ["info", "warning", "high"] },
+            month: { type: ["string", "null"] },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+
+  Audit: {
+    type: "object",
+    required: ["status"],
+    properties: {
+      status: { type: "string", enum: ["match", "mismatch", "unavailable"] },
+      reason: { type: "string" },
+      tariff: { type: "string" },
+      version: { type: "string" },
+      estimate: { $ref: "#/components/schemas/Estimate" },
+      checks: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            field: { type: "string" },
+            billed: { type: "number" },
+            expected: { type: "number" },
+            difference: { type: "number" },
+            ok: { type: "boolean" },
+          },
+        },
+      },
+      unchecked: {
+        type: "array",
+        items: { type: "string" },
+        description:
+          "Billed charges not compared, e.g. FPA and QTA without their rates, or GST and the total when neither adjustment is on the bill",
+      },
+      discrepancies: { type: "array", items: { type: "string" } },
+    },
+  },
+
+  CheckBillResponse: {
+    type: "object",
+    required: ["success", "refNo", "company", "companyName", "data"],
+    properties: {
+      success: { const: true },
+      partial: {
+        type: "boolean",
+        description: "True when the page lacked required fields, e.g. after a portal layout change",
+      },
+      missingFields: {
+        type: "array",
+        description: "Required fields (section.key, or history) not found on the page",
+        items: { type: "string" },
+      },
+      refNo: { type: "string" },
+      searchBy: { type: "string", enum: Object.keys(SEARCH_MODES) },
+      provider: { type: "string", description: "Provider adapter that served the bill" },
+      company: { type: "string", description: "Company code, e.g. lesco" },
+      companyName: { type: "string" },
+      data: { $ref: "#/components/schemas/Bill" },
+      insights: { $ref: "#/components/schemas/Insights" },
+      audit: { $ref: "#/components/schemas/Audit" },
+    },
+  },
+
+  HistoryResponse: {
+    type: "object",
+    required: ["success", "refNo", "company", "companyName", "history"],
+    properties: {
+      success: { const: true },
+      refNo: { type: "string" },
+      company: { type: "string" },
+      companyName: { type: "string" },
+      history: { type: "array", items: historyEntrySchema },
+    },
+  },
+
+  InsightsResponse: {
+    type: "object",
+    required: ["success", "refNo", "company", "companyName", "insights"],
+    properties: {
+      success: { const: true },
+      refNo: { type: "string" },
+      company: { type: "string" },
+      companyName: { type: "string" },
+      insights: { $ref: "#/components/schemas/Insights" },
+    },
+  },
+
+  Estimate: {
+    type: "object",
+    required: ["tariff", "tariffName", "version", "units", "method", "slabs", "charges", "total"],
+    properties: {
+      tariff: { type: "string" },
+      tariffName: { type: "string" },
+      version: { type: "string" },
+      units: { type: "integer" },
+      method: { type: "string", enum: ["incremental", "single-slab"] },
+      slabs: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            from: { type: "integer" },
+            to: { type: ["integer", "null"], description: "null for the open-ended last slab" },
+            units: { type: "integer" },
+            rate: { type: "number" },
+            amount: { type: "number" },
+          },
+        },
+      },
+      charges: {
+        type: "object",
+        additionalProperties: { type: "number" },
+      },
+      total: { type: "number" },
+    },
+  },
+
+  EstimateResponse: {
+    type: "object",
+    required: ["success", "estimate"],
+    properties: {
+      success: { const: true },
+      estimate: { $ref: "#/components/schemas/Estimate" },
+    },
+  },
+
+  Error: {
+    type: "object",
+    required: ["success", "error"],
+    properties: {
+      success: { const: false },
+      error: { type: "string", description: "Human-readable message; wording may change" },
+      code: {
+        type: "string",
+        enum: Object.keys(ERROR_CODES),
+        description: Object.entries(ERROR_CODES)
+          .map(([code, { status, description }]) => `${code} (${status}): ${description}`)
+          .join("; "),
+      },
+      retryable: { type: "boolean", description: "Whether the same request may succeed later" },
+      retryAfterSeconds: { type: "integer", description: "Set when a portal's circuit is open" },
+      message: { type: "string" },
+      requestId: { type: "string" },
+      details: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            in: { type: "string", enum: ["query", "body"] },
+            field: { type: "string" },
+            message: { type: "string" },
+          },
+        },
+      },
+    },
+  },
+
+  CompaniesResponse: {
+    type: "object",
+    required: ["success", "companies"],
+    properties: {
+      success: { const: true },
+      companies: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["code", "name", "provider", "utility"],
+          properties: {
+            code: { type: "string" },
+            name: { type: "string" },
+            provider: { type: "string", description: "Provider id for /api/providers/{provider}/bill" },
+            utility: { type: "string", enum: UTILITIES },
+          },
+          additionalProperties: false,
+        },
+      },
+    },
+  },
+
+  ProvidersResponse: {
+    type: "object",
+    required: ["success", "providers"],
+    properties: {
+      success: { const: true },
+      providers: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["id", "name", "utility", "companies"],
+          properties: {
+            id: { type: "string" },
+            name: { type: "string" },
+            utility: { type: "string", enum: UTILITIES },
+            companies: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["code", "name"],
+                properties: {
+                  code: { type: "string" },
+                  name: { type: "string" },
+                },
+                additionalProperties: false,
+              },
+            },
+          },
+          additionalProperties: false,
+        },
+      },
+    },
+  },
+
+  HealthResponse: {
+    type: "object",
+    required: ["status", "timestamp", "upstream", "sessions"],
+    properties: {
+      status: { type: "string", enum: ["healthy", "degraded"] },
+      timestamp: { type: "string", format: "date-time" },
+      upstream: {
+        type: "object",
+        description: "Circuit breaker status per company",
+        additionalProperties: {
+          type: "object",
+          required: ["state"],
+          properties: {
+            state: { type: "string", enum: ["closed", "open", "half-open"] },
+            consecutiveFailures: { type: "integer" },
+            errorRate: { type: "number" },
+            recentRequests: { type: "integer" },
+            lastSuccessAt: { type: ["string", "null"] },
+            lastFailureAt: { type: ["string", "null"] },
+            lastError: { type: ["string", "null"] },
+            retryAfterSeconds: { type: ["integer", "null"] },
+          },
+        },
+      },
+      sessions: {
+        type: "object",
+        properties: {
+          created: { type: "integer" },
+          reused: { type: "integer" },
+          refreshed: { type: "integer" },
+          maxAgeSeconds: { type: "number" },
+          sessions: { type: "array", items: { type: "object" } },
+        },
+      },
+      proxies: {
+        type: "object",
+        description: "Proxy pool status (credentials masked)",
+        required: ["strategy", "total", "active", "ejected", "proxies"],
+        properties: {
+          strategy: { type: "string", enum: ["round-robin", "least-failures"] },
+          total: { type: "integer" },
+          active: { type: "integer" },
+          ejected: { type: "integer" },
+          proxies: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["url", "state"],
+              properties: {
+                url: { type: "string" },
+                state: { type: "string", enum: ["active", "ejected"] },
+                requests: { type: "integer" },
+                failures: { type: "integer" },
+                consecutiveFailures: { type: "integer" },
+                lastSuccessAt: { type: ["string", "null"] },
+                lastFailureAt: { type: ["string", "null"] },
+                lastError: { type: ["string", "null"] },
+                nextProbeAt: { type: ["string", "null"] },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Describes the query parameters of a schema for an OpenAPI operation
+ *
+ * @param {string} name - Component schema name
+ * @returns {Array<Object>} OpenAPI parameter objects
+ */
+function queryParameters(name) {
+  const schema = SCHEMAS[name];
+  return Object.entries(schema.properties).map(([key, property]) => ({
+    name: key,
+    in: "query",
+    required: schema.required.includes(key),
+    schema: property,
+  }));
+}
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { "application/json": { schema: { $ref: `#/components/schemas/${schema}` } } },
+});
+
+const billResponses = {
+  200: jsonResponse("Parsed bill with consumption insights and a tariff audit", "CheckBillResponse"),
+  400: jsonResponse("Invalid parameters", "Error"),
+  401: jsonResponse("Missing or invalid API key (UNAUTHORIZED)", "Error"),
+  404: jsonResponse("Reference number not found (REF_NOT_FOUND)", "Error"),
+  429: jsonResponse("Rate limit or daily quota exceeded (RATE_LIMITED)", "Error"),
+  502: jsonResponse(
+    "Portal unreachable, failing or unparseable (UPSTREAM_UNREACHABLE, UPSTREAM_ERROR, TOKEN_EXTRACTION_FAILED, PARSE_FAILED)",
+    "Error"
+  ),
+  504: jsonResponse("Portal timed out (UPSTREAM_TIMEOUT)", "Error"),
+};
+
+/**
+ * The OpenAPI 3.1 document served at /openapi.json
+ */
+const openApiDocument = {
+  openapi: "3.1.0",
+  info: {
+    title: "PITC Bill Checker API",
+    version,
+    description: "Check electricity bills from all major Pakistani DISCOs via the PITC portal.",
+  },
+  servers: [{ url: "/" }],
+  security: [{ ApiKey: [] }],
+  paths: {
+    "/api/check-bill": {
+      get: {
+        operationId: "getBill",
+        summary: "Fetch a bill",
+        parameters: queryParameters("CheckBillQuery"),
+        responses: {
+          ...billResponses,
+          200: {
+            ...billResponses[200],
+            content: {
+              ...billResponses[200].content,
+              "application/pdf": { schema: { type: "string", format: "binary" } },
+            },
+          },
+        },
+      },
+      post: {
+        operationId: "postBill",
+        summary: "Fetch a bill (parameters in the body)",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": { schema: { $ref: "#/components/schemas/CheckBillBody" } },
+          },
+        },
+        responses: billResponses,
+      },
+    },
+    "/api/history": {
+      get: {
+        operationId: "getHistory",
+        summary: "Fetch a bill's consumption and payment history",
+        parameters: queryParameters("LookupQuery"),
+        responses: {
+          ...billResponses,
+          200: jsonResponse("Monthly history from the bill", "HistoryResponse"),
+        },
+      },
+    },
+    "/api/insights": {
+      get: {
+        operationId: "getInsights",
+        summary: "Fetch consumption insights for a bill",
+        parameters: queryParameters("LookupQuery"),
+        responses: {
+          ...billResponses,
+          200: jsonResponse("Baseline consumption and anomaly flags", "InsightsResponse"),
+        },
+      },
+    },
+    "/api/companies": {
+      get: {
+        operationId: "listCompanies",
+        summary: "List supported companies of all providers",
+        responses: {
+          200: jsonResponse("Supported companies", "CompaniesResponse"),
+          401: jsonResponse("Missing or invalid API key (UNAUTHORIZED)", "Error"),
+        },
+      },
+    },
+    "/api/providers": {
+      get: {
+        operationId: "listProviders",
+        summary: "List bill providers and their companies",
+        responses: {
+          200: jsonResponse("Registered providers", "ProvidersResponse"),
+          401: jsonResponse("Missing or invalid API key (UNAUTHORIZED)", "Error"),
+        },
+      },
+    },
+    "/api/providers/{provider}/bill": {
+      get: {
+        operationId: "getProviderBill",
+        summary: "Fetch a bill through a provider adapter",
+        description:
+          "Provider-specific parameters (searchBy and ruCode for pitc) are passed through to the provider.",
+        parameters: [
+          {
+            name: "provider",
+            in: "path",
+            required: true,
+            schema: { type: "string", examples: ["pitc"] },
+          },
+          ...queryParameters("ProviderBillQuery"),
+        ],
+        responses: {
+          ...billResponses,
+          200: jsonResponse("Parsed bill with consumption insights", "CheckBillResponse"),
+          404: jsonResponse("Unknown provider (NOT_FOUND) or bill not found (REF_NOT_FOUND)", "Error"),
+        },
+      },
+    },
+    "/api/estimate": {
+      post: {
+        operationId: "estimateBill",
+        summary: "Estimate a bill from units and a tariff",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": { schema: { $ref: "#/components/schemas/EstimateBody" } },
+          },
+        },
+        responses: {
+          200: jsonResponse("Slab breakdown, charges and total", "EstimateResponse"),
+          400: jsonResponse("Invalid units, tariff, version or adjustments", "Error"),
+          401: jsonResponse("Missing or invalid API key (UNAUTHORIZED)", "Error"),
+          429: jsonResponse("Rate limit exceeded (RATE_LIMITED)", "Error"),
+        },
+      },
+    },
+    "/health": {
+      get: {
+        operationId: "getHealth",
+        summary: "Service and upstream health",
+        security: [],
+        responses: {
+          200: jsonResponse("Health per company circuit breaker", "HealthResponse"),
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      ApiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+    },
+    schemas: SCHEMAS,
+  },
+};
+
+const ajv = new Ajv2020({ allErrors: true, strict: false });
+addFormats(ajv);
+addErrors(ajv);
+ajv.addSchema({ ...openApiDocument, $id: "openapi.json" });
+
+/**
+ * Gets the compiled validator for a component schema
+ *
+ * @param {string} name - Component schema name
+ * @returns {Function} Ajv validate function
+ */
+function getValidator(name) {
+  const validate = ajv.getSchema(`openapi.json#/components/schemas/${name}`);
+  if (!validate) {
+    throw new Error(`Unknown schema: ${name}`);
+  }
+  return validate;
+}
+
+/**
+ * Converts Ajv errors into { field, message } pairs
+ *
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<Object>} Details
+ */
+function formatErrors(errors = []) {
+  return errors.map((error) => {
+    const field =
+      error.instancePath.replace(/^\//, "").replace(/\//g, ".") ||
+      error.params?.missingProperty ||
+      error.params?.errors?.[0]?.params?.missingProperty ||
+      null;
+    return { field, message: error.message };
+  });
+}
+
+/**
+ * Express middleware validating the query string or body against a schema
+ *
+ * Responds 400 with the first error message plus all details, coded
+ * INVALID_COMPANY when that message is about the company.
+ *
+ * @param {Object} schemas - { query: "<schema>" } and/or { body: "<schema>" }
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * app.get("/api/check-bill", validateRequest({ query: "CheckBillQuery" }), handler);
+ */
+function validateRequest(schemas) {
+  return (req, res, next) => {
+    for (const location of ["query", "body"]) {
+      if (!schemas[location]) {
+        continue;
+      }
+
+      const validate = getValidator(schemas[location]);
+      if (!validate(req[location] || {})) {
+        const details = formatErrors(validate.errors).map((detail) => ({
+          in: location,
+          ...detail,
+        }));
+        const code = details[0].field === "company" ? "INVALID_COMPANY" : "INVALID_REQUEST";
+        return res.status(400).json({
+          ...lookupError(code, details[0].message),
+          details,
+        });
+      }
+    }
+    next();
+  };
+}
+
+/**
+ * Validates an outgoing payload against a schema
+ *
+ * @param {string} name - Component schema name
+ * @param {Object} payload - Response body
+ * @returns {Array<Object>|null} Error details, or null when valid
+ */
+function validateResponse(name, payload) {
+  const validate = getValidator(name);
+  return validate(payload) ? null : formatErrors(validate.errors);
+}
+
+/**
+ * Sends a JSON response after checking it against its schema
+ *
+ * Mismatches are logged; with OPENAPI_VALIDATE_RESPONSES=strict they are
+ * answered with a 500 instead, so tests catch drift between the code and
+ * the published document.
+ *
+ * @param {Object} res - Express response
+ * @param {string} name - Component schema name
+ * @param {Object} payload - Response body
+ * @param {number} [status=200] - HTTP status
+ */
+function sendValidated(res, name, payload, status = 200) {
+  const errors = RESPONSE_VALIDATION === "off" ? null : validateResponse(name, payload);
+
+  if (errors) {
+    logger.warn("Response does not match schema", { schema: name, errors });
+
+    if (RESPONSE_VALIDATION === "strict") {
+      return res.status(500).json({
+        success: false,
+        error: "Internal server error",
+        message: `Response does not match schema ${name}`,
+        details: errors,
+      });
+    }
+  }
+
+  return res.status(status).json(payload);
+}
+
+/**
+ * HTML page rendering the document with Swagger UI
+ *
+ * @param {string} specUrl - URL of the OpenAPI document
+ * @returns {string} HTML
+ */
+function renderDocsPage(specUrl) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>PITC Bill Checker API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: "#swagger-ui" });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+  openApiDocument,
+  validateRequest,
+  validateResponse,
+  sendValidated,
+  renderDocsPage,
+  SCHEMAS,
+};
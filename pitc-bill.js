@@ -1,228 +1,773 @@
 const axios = require("axios");
 const cheerio = require("cheerio");
-const { HttpsProxyAgent } = require("https-proxy-agent");
+const {
+  HISTORY_COLUMNS,
+  REQUIRED_FIELDS,
+  createBillModel,
+  findField,
+  normalizeLabel,
+  parseValue,
+  parseAmount,
+} = require("./bill-model");
+const {
+  acquireSession,
+  updateSession,
+  invalidateSession,
+  isStaleSessionResponse,
+  getCookieHeader,
+} = require("./session-pool");
+const { getBreaker, createCircuitBreaker } = require("./circuit-breaker");
+const {
+  startUpstreamTimer,
+  recordTokenExtractionFailure,
+  recordPortalError,
+} = require("./metrics");
+const { logger } = require("./logger");
+const { getProxyPool, createProxyAgent, isProxyError } = require("./proxy-pool");
+const { lookupBill } = require("./bill-lookup");
+const { lookupError } = require("./errors");
+
+/**
+ * Base URL of the PITC bill portal
+ * Override with PITC_BASE_URL to point at a mirror or a local mock portal
+ */
+const PITC_BASE_URL = (
+  process.env.PITC_BASE_URL || "https://bill.pitc.com.pk"
+).replace(/\/+$/, "");
 
 /**
  * Supported electricity companies in Pakistan
+ *
+ * A 14-digit reference number is batch (2) + sub-division (5) + serial (7),
+ * and every sub-division code starts with its DISCO's two-digit `discoCode`.
+ * `refPattern` accepts 14-digit numbers with the company's code, and
+ * shorter (10-13 digit) numbers whose structure cannot be checked.
+ * `requiredFields` overrides the fields a bill page must yield (default
+ * REQUIRED_FIELDS); pages missing any are returned as `partial`.
  */
 const COMPANIES = {
   HESCO: {
     name: "Hyderabad Electric Supply Company",
     code: "hesco",
-    url: "https://bill.pitc.com.pk/hescobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/hescobill`,
+    discoCode: "37",
+    refPattern: /^(\d{2}37\d{10}|\d{10,13})$/,
+    requiredFields: [...REQUIRED_FIELDS, "charges.amountAfterDueDate", "history"],
   },
   LESCO: {
     name: "Lahore Electric Supply Company",
     code: "lesco",
-    url: "https://bill.pitc.com.pk/lescobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/lescobill`,
+    discoCode: "11",
+    refPattern: /^(\d{2}11\d{10}|\d{10,13})$/,
+    requiredFields: [...REQUIRED_FIELDS, "charges.amountAfterDueDate", "history"],
   },
   FESCO: {
     name: "Faisalabad Electric Supply Company",
     code: "fesco",
-    url: "https://bill.pitc.com.pk/fescobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/fescobill`,
+    discoCode: "13",
+    refPattern: /^(\d{2}13\d{10}|\d{10,13})$/,
   },
   IESCO: {
     name: "Islamabad Electric Supply Company",
     code: "iesco",
-    url: "https://bill.pitc.com.pk/iescobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/iescobill`,
+    discoCode: "14",
+    refPattern: /^(\d{2}14\d{10}|\d{10,13})$/,
   },
   MEPCO: {
     name: "Multan Electric Power Company",
     code: "mepco",
-    url: "https://bill.pitc.com.pk/mepcobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/mepcobill`,
+    discoCode: "15",
+    refPattern: /^(\d{2}15\d{10}|\d{10,13})$/,
   },
   GEPCO: {
     name: "Gujranwala Electric Power Company",
     code: "gepco",
-    url: "https://bill.pitc.com.pk/gepcobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/gepcobill`,
+    discoCode: "12",
+    refPattern: /^(\d{2}12\d{10}|\d{10,13})$/,
   },
   PESCO: {
     name: "Peshawar Electric Supply Company",
     code: "pesco",
-    url: "https://bill.pitc.com.pk/pescobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/pescobill`,
+    discoCode: "26",
+    refPattern: /^(\d{2}26\d{10}|\d{10,13})$/,
   },
   QESCO: {
     name: "Quetta Electric Supply Company",
     code: "qesco",
-    url: "https://bill.pitc.com.pk/qescobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/qescobill`,
+    discoCode: "48",
+    refPattern: /^(\d{2}48\d{10}|\d{10,13})$/,
   },
   SEPCO: {
     name: "Sukkur Electric Power Company",
     code: "sepco",
-    url: "https://bill.pitc.com.pk/sepcobill",
-    refPattern: /^\d{10,14}$/,
+    url: `${PITC_BASE_URL}/sepcobill`,
+    discoCode: "38",
+    refPattern: /^(\d{2}38\d{10}|\d{10,13})$/,
   },
 };
 
 /**
- * Fetches electricity bill from PITC portal for any supported company
+ * Search modes supported by the PITC bill form (rbSearchByList)
+ */
+const SEARCH_MODES = {
+  refno: {
+    label: "Reference number",
+    formValue: "refno",
+    pattern: /^\d{10,14}$/,
+    error: "Reference number must be 10-14 digits",
+  },
+  custid: {
+    label: "Customer ID",
+    formValue: "custid",
+    pattern: /^\d{10}$/,
+    error: "Customer ID must be 10 digits",
+  },
+};
+
+/**
+ * Urban/rural codes accepted by the PITC bill form (ruCodeTextBox)
+ */
+const RU_CODES = ["U", "R"];
+
+/**
+ * Retries after the first attempt for transient upstream errors
+ */
+const DEFAULT_RETRIES =
+  process.env.PITC_RETRIES !== undefined
+    ? parseInt(process.env.PITC_RETRIES, 10) || 0
+    : 2;
+
+/**
+ * Base and maximum delay for retry backoff (ms)
+ */
+const RETRY_BASE_DELAY_MS = parseInt(process.env.PITC_RETRY_DELAY, 10) || 500;
+const RETRY_MAX_DELAY_MS = 8000;
+
+/**
+ * Timeout for each request to the portal (ms)
+ */
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.PITC_TIMEOUT, 10) || 30000;
+
+/**
+ * Network error codes treated as transient
+ */
+const TRANSIENT_ERROR_CODES = [
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "TOKEN_EXTRACTION_FAILED",
+];
+
+/**
+ * Headers sent with every portal request unless a client overrides them
+ */
+const DEFAULT_HEADERS = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+};
+
+/**
+ * Client for the PITC bill portal
  *
- * @param {string} refNo - 10-14 digit reference number from electricity bill
- * @param {string} companyCode - Company code (hesco, lesco, fesco, etc.)
- * @returns {Promise<Object>} Bill data or error
+ * Holds the connection settings for lookups: base URL, timeout, headers,
+ * agent or proxy, retry policy and request/response hooks. getPITCBill and
+ * the PITC provider adapter use a default client configured from the
+ * environment; embedders create their own.
+ *
+ * Transient failures (timeouts, connection resets, 5xx responses, missing
+ * ViewState tokens) are retried with jittered exponential backoff. Each
+ * company has a circuit breaker that stops contacting its portal after
+ * repeated failures. Clients on the default base URL share the breakers
+ * reported by /health; others keep their own.
  *
  * @example
- * const result = await getPITCBill("06113530462901", "lesco");
- * if (result.success) {
- *   console.log(result.data);
- * } else {
- *   console.error(result.error);
- * }
+ * const client = new PITCClient({
+ *   timeout: 10000,
+ *   headers: { "User-Agent": "my-app/1.0" },
+ *   retry: { retries: 1 },
+ *   hooks: {
+ *     onResponse: ({ method, url, status, durationMs }) =>
+ *       console.log(method, url, status, durationMs),
+ *   },
+ * });
+ * const result = await client.getBill("06113530462901", "lesco");
  */
-async function getPITCBill(refNo, companyCode) {
-  try {
+class PITCClient {
+  /**
+   * @param {Object} [options] - Client options
+   * @param {string} [options.baseUrl] - Portal base URL (default PITC_BASE_URL)
+   * @param {number} [options.timeout] - Timeout per portal request in ms (default PITC_TIMEOUT or 30000)
+   * @param {Object} [options.headers] - Headers merged over the default User-Agent
+   * @param {Object} [options.agent] - http(s) agent for every request; bypasses the proxy pool
+   * @param {string} [options.proxyUrl] - Proxy for every request; bypasses the proxy pool
+   * @param {Object|null} [options.proxyPool] - Proxy pool to rotate through (default the
+   *   shared PROXY_URLS pool; null connects directly)
+   * @param {Object} [options.retry] - Retry policy
+   * @param {number} [options.retry.retries] - Retries after the first attempt (default PITC_RETRIES or 2)
+   * @param {number} [options.retry.baseDelayMs] - Backoff base delay (default PITC_RETRY_DELAY or 500)
+   * @param {number} [options.retry.maxDelayMs=8000] - Backoff delay cap
+   * @param {Function} [options.retry.shouldRetry] - (error) => boolean (default: transient errors)
+   * @param {Object} [options.hooks] - Event hooks; errors they throw are logged and ignored
+   * @param {Function} [options.hooks.onRequest] - ({ method, url, company }) before each HTTP request
+   * @param {Function} [options.hooks.onResponse] - ({ method, url, company, status, durationMs, error })
+   *   after each HTTP request; `error` is set when no response arrived
+   * @param {Function} [options.hooks.onRetry] - ({ company, refNo, attempt, delayMs, error }) before a retry
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || PITC_BASE_URL).replace(/\/+$/, "");
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.headers = { ...DEFAULT_HEADERS, ...options.headers };
+    this.agent = options.agent || (options.proxyUrl ? createProxyAgent(options.proxyUrl) : null);
+    this.proxyPool = options.proxyPool;
+    this.retry = {
+      retries: DEFAULT_RETRIES,
+      baseDelayMs: RETRY_BASE_DELAY_MS,
+      maxDelayMs: RETRY_MAX_DELAY_MS,
+      shouldRetry: isTransientError,
+      ...options.retry,
+    };
+    this.hooks = options.hooks || {};
+    this.breakers = new Map();
+
+    // All portal requests go through this instance so hooks see every one
+    this.http = axios.create();
+    this.http.interceptors.request.use((config) => {
+      config.metadata = { ...config.metadata, startedAt: Date.now() };
+      this.emit("onRequest", {
+        method: config.method.toUpperCase(),
+        url: config.url,
+        company: config.metadata.company,
+      });
+      return config;
+    });
+    this.http.interceptors.response.use(
+      (response) => {
+        this.emitResponse(response.config, { status: response.status });
+        return response;
+      },
+      (error) => {
+        this.emitResponse(error.config, { status: error.response?.status, error });
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Fetches a bill; same arguments and result as getPITCBill
+   *
+   * @param {string} refNo - 10-14 digit reference number (or customer ID when searchBy is "custid")
+   * @param {string} companyCode - Company code (hesco, lesco, fesco, etc.)
+   * @param {Object} [options] - Search and per-lookup options (see getPITCBill)
+   * @returns {Promise<Object>} Bill data with consumption `insights`, or error
+   */
+  async getBill(refNo, companyCode, options = {}) {
     // Validate company
     const company = getCompanyByCode(companyCode);
     if (!company) {
-      return {
-        success: false,
-        error: `Invalid company code. Supported: ${Object.keys(COMPANIES)
+      return lookupError(
+        "INVALID_COMPANY",
+        `Invalid company code. Supported: ${Object.keys(COMPANIES)
           .map((k) => k.toLowerCase())
-          .join(", ")}`,
-      };
+          .join(", ")}`
+      );
+    }
+
+    // Validate search mode and urban/rural code
+    const { searchBy = "refno", ruCode } = options;
+    if (!SEARCH_MODES[searchBy]) {
+      return lookupError(
+        "INVALID_REQUEST",
+        `Invalid search mode. Supported: ${Object.keys(SEARCH_MODES).join(", ")}`
+      );
+    }
+
+    const ruCodeValue = ruCode ? String(ruCode).trim().toUpperCase() : "";
+    if (ruCodeValue && !RU_CODES.includes(ruCodeValue)) {
+      return lookupError("INVALID_REQUEST", "U/R code must be U (urban) or R (rural)");
+    }
+
+    return lookupBill(
+      { ...pitcProvider, fetch: (query, fetchOptions) => this.fetchBillPage(query, fetchOptions) },
+      { refNo, company: company.code, searchBy, ruCode: ruCodeValue || undefined },
+      options
+    );
+  }
+
+  /**
+   * Fetches the bill page for a validated query
+   *
+   * Transient failures are retried and counted by the company's circuit
+   * breaker; each attempt takes the next proxy from the pool unless the
+   * client or `options.proxyUrl` fixes the agent.
+   *
+   * @param {Object} query - { refNo, company, searchBy, ruCode }
+   * @param {Object} [options] - Per-lookup overrides
+   * @param {number} [options.retries] - Retries for transient errors
+   * @param {number} [options.timeout] - Timeout per portal request in ms
+   * @param {string} [options.proxyUrl] - Proxy for this lookup
+   * @param {string} [options.requestId] - API request ID, added to log entries
+   * @returns {Promise<Object>} { success: true, html }, or the portal's (#ua)
+   *   or a connection error
+   */
+  async fetchBillPage(query, options = {}) {
+    const startedAt = Date.now();
+    const { refNo, searchBy = "refno" } = query;
+    const company = this.getCompany(query.company);
+    const {
+      retries = this.retry.retries,
+      timeout = this.timeout,
+      proxyUrl,
+    } = options;
+    const log = logger.child({ requestId: options.requestId, company: company.code });
+
+    try {
+      // Skip the portal entirely while its circuit is open
+      const breaker = this.getBreaker(company.code);
+      if (!breaker.canRequest()) {
+        log.warn("Lookup skipped while the portal circuit is open", {
+          refNo,
+          retryAfterSeconds: breaker.getRetryAfterSeconds(),
+        });
+        return lookupError(
+          "UPSTREAM_UNREACHABLE",
+          `${company.code.toUpperCase()} portal is temporarily unavailable after repeated failures - retry in ${breaker.getRetryAfterSeconds()}s`,
+          {
+            refNo: refNo,
+            company: company.code,
+            retryAfterSeconds: breaker.getRetryAfterSeconds(),
+          }
+        );
+      }
+
+      // A fixed agent is used as is; otherwise each attempt takes the
+      // next proxy from the pool, so retries move away from a failing one
+      const proxyPool = this.proxyPool === undefined ? getProxyPool() : this.proxyPool;
+      const fixedAgent = proxyUrl ? createProxyAgent(proxyUrl) : this.agent;
+
+      for (let attempt = 0; ; attempt++) {
+        const proxy = fixedAgent ? null : proxyPool?.acquire();
+
+        try {
+          const result = await this.requestBill(company, refNo, {
+            searchBy,
+            searchMode: SEARCH_MODES[searchBy],
+            ruCodeValue: query.ruCode || "",
+            timeout,
+            agent: fixedAgent || proxy?.agent,
+            log,
+          });
+          if (proxy) {
+            proxyPool.recordSuccess(proxy);
+          }
+          breaker.recordSuccess();
+          log.info("Bill lookup finished", {
+            refNo,
+            success: result.success,
+            portalError: result.success ? undefined : result.error,
+            attempts: attempt + 1,
+            durationMs: Date.now() - startedAt,
+          });
+          return result;
+        } catch (error) {
+          if (proxy) {
+            if (isProxyError(error)) {
+              proxyPool.recordFailure(proxy, error);
+              log.warn("Proxy failed", { proxy: proxy.label, error: error.message });
+            } else {
+              proxyPool.recordSuccess(proxy);
+            }
+          }
+
+          if (!this.retry.shouldRetry(error)) {
+            // The portal answered; the failure is not an availability problem
+            breaker.recordSuccess();
+            throw error;
+          }
+
+          breaker.recordFailure(error);
+
+          if (attempt >= retries || !breaker.canRequest()) {
+            throw error;
+          }
+
+          const delayMs = getRetryDelay(attempt, this.retry);
+          log.warn("Transient upstream error, retrying", {
+            refNo,
+            attempt: attempt + 1,
+            error: error.message,
+            errorCode: error.code,
+          });
+          this.emit("onRetry", { company: company.code, refNo, attempt: attempt + 1, delayMs, error });
+          await sleep(delayMs);
+        }
+      }
+    } catch (error) {
+      log.warn("Bill lookup failed", {
+        refNo,
+        error: error.message,
+        errorCode: error.code,
+        durationMs: Date.now() - startedAt,
+      });
+
+      return classifyUpstreamError(error);
     }
+  }
 
+  /**
+   * Performs one GET/POST round-trip against a company's bill page
+   *
+   * @param {Object} company - Company from getCompany
+   * @param {string} refNo - Reference number or customer ID
+   * @param {Object} search - { searchBy, searchMode, ruCodeValue, timeout, agent, log }
+   *   where `agent` is the proxy agent, if any
+   * @returns {Promise<Object>} { success: true, html } or portal (#ua) error
+   * @throws {Error} On network errors, HTTP errors and missing tokens
+   */
+  async requestBill(company, refNo, search) {
+    const { searchBy, searchMode, ruCodeValue, timeout, agent, log } = search;
     const baseUrl = company.url;
 
     // -------------------------------------------------------------------------
-    // Configure proxy if PROXY_URL environment variable is set
+    // Route through the proxy, if any (see proxy-pool.js)
     // This helps bypass geo-restrictions when deploying outside Pakistan
     // -------------------------------------------------------------------------
-    const proxyUrl = process.env.PROXY_URL;
     const axiosConfig = {
-      timeout: 30000,
-      headers: {
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-      },
+      timeout,
+      headers: { ...this.headers },
+      metadata: { company: company.code },
     };
 
-    // Add proxy agent if proxy URL is configured
-    if (proxyUrl) {
-      axiosConfig.httpsAgent = new HttpsProxyAgent(proxyUrl);
+    // Add proxy agent if a proxy is used
+    if (agent) {
+      axiosConfig.httpAgent = agent;
+      axiosConfig.httpsAgent = agent;
       axiosConfig.proxy = false; // Disable axios default proxy handling
     }
 
     // -------------------------------------------------------------------------
-    // STEP 1: Fetch the page to extract ViewState tokens
-    // ASP.NET WebForms requires these tokens for form submission
+    // STEP 1: Get ViewState tokens and cookies for the company
+    // ASP.NET WebForms requires these tokens for form submission. Sessions
+    // are pooled per company, so this only GETs the page when needed.
     // -------------------------------------------------------------------------
-    const getResponse = await axios.get(baseUrl, axiosConfig);
+    let session = await acquireSession(company, axiosConfig, { http: this.http });
+
+    // Validate tokens were extracted
+    if (!session) {
+      recordTokenExtractionFailure(company.code);
+      throw createTokenError();
+    }
 
     // -------------------------------------------------------------------------
-    // STEP 2: Parse HTML and extract hidden fields required for form submission
+    // STEP 2: Submit form with reference number and the session's tokens
     // -------------------------------------------------------------------------
-    const $ = cheerio.load(getResponse.data);
+    const postSearch = async (activeSession) => {
+      const formData = new URLSearchParams({
+        __VIEWSTATE: activeSession.tokens.viewState,
+        __VIEWSTATEGENERATOR: activeSession.tokens.viewStateGenerator,
+        __EVENTVALIDATION: activeSession.tokens.eventValidation,
+        __RequestVerificationToken: activeSession.tokens.requestVerificationToken,
+        rbSearchByList: searchMode.formValue,
+        searchTextBox: refNo,
+        ruCodeTextBox: ruCodeValue, // 'U' for Urban or 'R' for Rural (empty defaults to U)
+        btnSearch: "Search",
+      });
 
-    const viewState = $("#__VIEWSTATE").val();
-    const viewStateGenerator = $("#__VIEWSTATEGENERATOR").val();
-    const eventValidation = $("#__EVENTVALIDATION").val();
-    const requestVerificationToken = $(
-      'input[name="__RequestVerificationToken"]'
-    ).val();
-
-    // Validate tokens were extracted
-    if (!viewState || !viewStateGenerator || !eventValidation) {
-      return {
-        success: false,
-        error: "Failed to extract required tokens from PITC portal",
+      const postConfig = {
+        ...axiosConfig,
+        headers: {
+          ...axiosConfig.headers,
+          "Content-Type": "application/x-www-form-urlencoded",
+          Referer: baseUrl,
+          Cookie: getCookieHeader(activeSession),
+        },
+        metadata: { company: company.code },
+        maxRedirects: 5,
+        // Inspect error statuses ourselves to detect rejected tokens
+        validateStatus: () => true,
       };
-    }
+
+      const done = startUpstreamTimer(company.code, "POST");
+      try {
+        const response = await this.http.post(baseUrl, formData.toString(), postConfig);
+        done(response.status);
+        return response;
+      } catch (error) {
+        done(error.code);
+        throw error;
+      }
+    };
+
+    let postResponse = await postSearch(session);
 
     // -------------------------------------------------------------------------
-    // STEP 3: Submit form with reference number and all required tokens
+    // STEP 3: Refresh the session once if the portal rejected stale tokens
     // -------------------------------------------------------------------------
-    const formData = new URLSearchParams({
-      __VIEWSTATE: viewState,
-      __VIEWSTATEGENERATOR: viewStateGenerator,
-      __EVENTVALIDATION: eventValidation,
-      __RequestVerificationToken: requestVerificationToken,
-      rbSearchByList: "refno",
-      searchTextBox: refNo,
-      ruCodeTextBox: "", // 'U' for Urban or 'R' for Rural (empty defaults to U)
-      btnSearch: "Search",
-    });
+    if (isStaleSessionResponse(postResponse)) {
+      log.debug("Portal rejected the session tokens, refreshing", {
+        status: postResponse.status,
+      });
+      invalidateSession(company, session);
+      session = await acquireSession(company, axiosConfig, {
+        forceRefresh: true,
+        http: this.http,
+      });
 
-    const postConfig = {
-      timeout: 30000,
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "User-Agent":
-          "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-        Referer: baseUrl,
-        Cookie: getResponse.headers["set-cookie"]?.join("; ") || "",
-      },
-      maxRedirects: 5,
-    };
+      if (!session) {
+        recordTokenExtractionFailure(company.code);
+        throw createTokenError();
+      }
 
-    // Add proxy agent for POST request too
-    if (proxyUrl) {
-      postConfig.httpsAgent = new HttpsProxyAgent(proxyUrl);
-      postConfig.proxy = false;
+      postResponse = await postSearch(session);
     }
 
-    const postResponse = await axios.post(baseUrl, formData.toString(), postConfig);
+    if (postResponse.status >= 400) {
+      const error = new Error(
+        `Request failed with status code ${postResponse.status}`
+      );
+      error.status = postResponse.status;
+      throw error;
+    }
 
     // -------------------------------------------------------------------------
     // STEP 4: Parse the response and check for errors
     // -------------------------------------------------------------------------
     const $result = cheerio.load(postResponse.data);
+    updateSession(session, postResponse, $result);
 
     // Check for error message in div#ua
     const errorDiv = $result("#ua").text().trim();
     if (errorDiv) {
-      return {
-        success: false,
-        error: errorDiv,
+      recordPortalError(company.code);
+      return lookupError("REF_NOT_FOUND", errorDiv, {
         refNo: refNo,
+        searchBy: searchBy,
         company: company.code,
-      };
+      });
     }
 
-    // -------------------------------------------------------------------------
-    // STEP 5: Parse bill details from successful response
-    // -------------------------------------------------------------------------
-    const billData = parseBillDetails($result, refNo, company.code);
-
     return {
       success: true,
-      refNo: refNo,
-      company: company.code,
-      companyName: company.name,
-      data: billData,
+      html: postResponse.data,
     };
-  } catch (error) {
-    // Handle specific error types
-    if (
-      error.code === "ECONNABORTED" ||
-      error.code === "UND_ERR_CONNECT_TIMEOUT"
-    ) {
-      return {
-        success: false,
-        error: "Connection timeout - PITC server may be geo-restricted or down",
-      };
+  }
+
+  /**
+   * Gets a company with its page URL on this client's base URL
+   *
+   * @param {string} code - Company code
+   * @returns {Object|null} Company object or null if not found
+   */
+  getCompany(code) {
+    const company = getCompanyByCode(code);
+    if (!company || this.baseUrl === PITC_BASE_URL) {
+      return company;
     }
+    return { ...company, url: `${this.baseUrl}/${company.code}bill` };
+  }
 
-    if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
-      return {
-        success: false,
-        error: "Unable to connect to PITC server",
-      };
+  /**
+   * Gets the circuit breaker for a company
+   *
+   * @param {string} code - Company code
+   * @returns {Object} Circuit breaker
+   */
+  getBreaker(code) {
+    if (this.baseUrl === PITC_BASE_URL) {
+      return getBreaker(code);
     }
+    if (!this.breakers.has(code)) {
+      this.breakers.set(code, createCircuitBreaker());
+    }
+    return this.breakers.get(code);
+  }
 
-    return {
-      success: false,
-      error: error.message,
-    };
+  /**
+   * Calls a hook, logging instead of failing the lookup if it throws
+   *
+   * @param {string} name - Hook name (onRequest, onResponse, onRetry)
+   * @param {Object} event - Hook argument
+   */
+  emit(name, event) {
+    if (typeof this.hooks[name] !== "function") {
+      return;
+    }
+    try {
+      this.hooks[name](event);
+    } catch (error) {
+      logger.warn("PITC client hook failed", { hook: name, error });
+    }
+  }
+
+  /**
+   * Emits onResponse for a finished (or failed) HTTP request
+   *
+   * @param {Object} [config] - axios request config
+   * @param {Object} outcome - { status, error }
+   */
+  emitResponse(config, outcome) {
+    const metadata = config?.metadata || {};
+    this.emit("onResponse", {
+      method: config?.method?.toUpperCase(),
+      url: config?.url,
+      company: metadata.company,
+      durationMs: metadata.startedAt ? Date.now() - metadata.startedAt : undefined,
+      ...outcome,
+    });
+  }
+}
+
+/**
+ * Client used by getPITCBill, getHESCOBill and the PITC provider adapter
+ */
+const defaultClient = new PITCClient();
+
+/**
+ * Fetches electricity bill from PITC portal for any supported company
+ *
+ * A wrapper around the default PITCClient, configured from the
+ * environment (PITC_BASE_URL, PITC_TIMEOUT, PITC_RETRIES, PROXY_URLS).
+ *
+ * @param {string} refNo - 10-14 digit reference number (or customer ID when searchBy is "custid")
+ * @param {string} companyCode - Company code (hesco, lesco, fesco, etc.)
+ * @param {Object} [options] - Search options
+ * @param {string} [options.searchBy="refno"] - Search mode ("refno" or "custid")
+ * @param {string} [options.ruCode] - "U" for urban or "R" for rural (portal defaults to U)
+ * @param {number} [options.retries] - Retries for transient errors (default PITC_RETRIES or 2)
+ * @param {number} [options.timeout] - Timeout per portal request in ms (default PITC_TIMEOUT or 30000)
+ * @param {string} [options.proxyUrl] - Proxy for portal requests (default: rotate
+ *   through the PROXY_URLS / PROXY_URL pool)
+ * @param {string} [options.requestId] - API request ID, added to this lookup's log entries
+ * @returns {Promise<Object>} Bill data with consumption `insights`, or error.
+ *   Bills missing required fields have `partial: true` and list them in
+ *   `missingFields`; the page is saved as a snapshot (see snapshots.js).
+ *
+ * @example
+ * const result = await getPITCBill("06113530462901", "lesco");
+ * const rural = await getPITCBill("1234567890", "mepco", {
+ *   searchBy: "custid",
+ *   ruCode: "R",
+ * });
+ * if (result.success) {
+ *   console.log(result.data);
+ * } else {
+ *   console.error(result.error);
+ * }
+ */
+function getPITCBill(refNo, companyCode, options = {}) {
+  return defaultClient.getBill(refNo, companyCode, options);
+}
+
+/**
+ * Fetches a HESCO bill (kept for callers of the former hesco-bill.js)
+ *
+ * @param {string} refNo - 10-14 digit reference number from a HESCO bill
+ * @param {Object} [options] - Options as for getPITCBill
+ * @returns {Promise<Object>} Bill data or error, as from getPITCBill
+ *
+ * @example
+ * const result = await getHESCOBill("09371234567890");
+ */
+function getHESCOBill(refNo, options = {}) {
+  return getPITCBill(refNo, "hesco", options);
+}
+
+/**
+ * Creates the error thrown when ViewState tokens cannot be extracted
+ *
+ * @returns {Error}
+ */
+function createTokenError() {
+  const error = new Error("Failed to extract required tokens from PITC portal");
+  error.code = "TOKEN_EXTRACTION_FAILED";
+  return error;
+}
+
+/**
+ * Maps an error from a failed lookup to a coded result
+ *
+ * @param {Error} error - Error thrown by requestBill
+ * @returns {Object} { success: false, error, code, retryable }
+ */
+function classifyUpstreamError(error) {
+  if (
+    error.code === "ECONNABORTED" ||
+    error.code === "ETIMEDOUT" ||
+    error.code === "UND_ERR_CONNECT_TIMEOUT"
+  ) {
+    return lookupError(
+      "UPSTREAM_TIMEOUT",
+      "Connection timeout - PITC server may be geo-restricted or down"
+    );
+  }
+
+  if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
+    return lookupError("UPSTREAM_UNREACHABLE", "Unable to connect to PITC server");
+  }
+
+  if (error.code === "TOKEN_EXTRACTION_FAILED") {
+    return lookupError("TOKEN_EXTRACTION_FAILED", error.message);
+  }
+
+  // Dropped connections and failing proxies never reached the portal's app
+  if (error.code === "ECONNRESET" || error.code === "EAI_AGAIN" || isProxyError(error)) {
+    return lookupError("UPSTREAM_UNREACHABLE", error.message);
   }
+
+  return lookupError("UPSTREAM_ERROR", error.message);
+}
+
+/**
+ * Checks whether an error is worth retrying
+ *
+ * @param {Error} error - Error thrown by requestBill
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  const status = error.status || error.response?.status;
+  return TRANSIENT_ERROR_CODES.includes(error.code) || status >= 500;
+}
+
+/**
+ * Backoff delay for a retry: exponential with full jitter
+ *
+ * @param {number} attempt - Zero-based attempt that just failed
+ * @param {Object} retry - Retry policy ({ baseDelayMs, maxDelayMs })
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt, retry) {
+  const ceiling = Math.min(retry.baseDelayMs * 2 ** attempt, retry.maxDelayMs);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Waits for the given time
+ *
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parses a fetched bill page (the PITC adapter's parse)
+ *
+ * @param {string} html - Bill page HTML
+ * @param {Object} query - { refNo, company }
+ * @returns {Object} Parsed bill data
+ */
+function parseBillPage(html, query) {
+  return parseBillDetails(cheerio.load(html), query.refNo, query.company);
 }
 
 /**
@@ -233,84 +778,74 @@ async function getPITCBill(refNo, companyCode) {
  * @param {string} companyCode - Company code
  * @returns {Object} Parsed bill data
  *
- * Note: This function extracts specific fields from the bill HTML.
- * The selectors may need adjustment based on actual bill structure.
+ * Note: Rows are mapped by exact (normalized) label via BILL_FIELDS in
+ * bill-model.js. Amounts are returned as numbers in PKR, dates as
+ * YYYY-MM-DD, readings and units as integers. Known labels whose value
+ * cannot be parsed are listed in `unparsedFields` instead of being guessed.
  */
 function parseBillDetails($, refNo, companyCode) {
   // Initialize bill data object
-  const billData = {
-    referenceNumber: refNo,
-    company: companyCode,
-    consumerDetails: {},
-    billDetails: {},
-    charges: {},
-    rawHtml: null,
-  };
+  const billData = createBillModel(refNo, companyCode);
 
   try {
     // -------------------------------------------------------------------------
-    // Parse consumer information
-    // These selectors target common patterns in PITC bill pages
+    // Parse labelled two-column rows ("Due Date" | "15 NOV 25")
     // -------------------------------------------------------------------------
-
-    // Look for table rows with bill information
     const tableRows = $("table tr");
 
     tableRows.each((index, element) => {
       const cells = $(element).find("td");
       if (cells.length >= 2) {
-        const label = $(cells[0]).text().trim().toLowerCase();
+        const label = $(cells[0]).text();
         const value = $(cells[1]).text().trim();
 
-        // Map common fields
-        if (label.includes("consumer") || label.includes("name")) {
-          billData.consumerDetails.name = value;
-        } else if (label.includes("address")) {
-          billData.consumerDetails.address = value;
-        } else if (label.includes("customer") || label.includes("id")) {
-          billData.consumerDetails.customerId = value;
-        } else if (label.includes("tariff")) {
-          billData.billDetails.tariff = value;
-        } else if (label.includes("due date")) {
-          billData.billDetails.dueDate = value;
-        } else if (
-          label.includes("issue date") ||
-          label.includes("bill date")
-        ) {
-          billData.billDetails.issueDate = value;
-        } else if (label.includes("reading date")) {
-          billData.billDetails.readingDate = value;
-        } else if (label.includes("current reading")) {
-          billData.billDetails.currentReading = value;
-        } else if (label.includes("previous reading")) {
-          billData.billDetails.previousReading = value;
-        } else if (label.includes("units") || label.includes("consumption")) {
-          billData.billDetails.unitsConsumed = value;
-        } else if (
-          label.includes("amount payable") ||
-          label.includes("total amount")
-        ) {
-          billData.charges.totalAmount = value;
-        } else if (label.includes("after due date")) {
-          billData.charges.amountAfterDueDate = value;
-        } else if (label.includes("electricity charges")) {
-          billData.charges.electricityCharges = value;
-        } else if (label.includes("gst") || label.includes("tax")) {
-          billData.charges.gst = value;
+        const field = findField(label);
+        if (!field) {
+          return;
+        }
+
+        // Keep the first occurrence of a repeated label
+        if (billData[field.section][field.key] !== undefined) {
+          return;
+        }
+
+        const parsed = parseValue(field.type, value);
+        if (parsed === null) {
+          billData.unparsedFields.push({
+            field: `${field.section}.${field.key}`,
+            label: label.trim(),
+            value,
+          });
+          return;
         }
+
+        billData[field.section][field.key] = parsed;
       }
     });
 
+    // Consumption/payment history grid
+    billData.history = parseBillHistory($, billData.unparsedFields);
+
     // Look for specific divs or spans with bill data
     const billAmountElement = $('[id*="amount"], [class*="amount"]').first();
     if (billAmountElement.length) {
-      billData.charges.displayAmount = billAmountElement.text().trim();
+      const displayAmount = billAmountElement.text().trim();
+      const parsed = parseAmount(displayAmount);
+      if (parsed === null) {
+        billData.unparsedFields.push({
+          field: "charges.displayAmount",
+          label: "displayAmount",
+          value: displayAmount,
+        });
+      } else {
+        billData.charges.displayAmount = parsed;
+      }
     }
 
     // Store raw HTML for debugging or manual parsing
     billData.rawHtml = $.html();
   } catch (parseError) {
-    console.error("Error parsing bill details:", parseError.message);
+    logger.error("Error parsing bill details", { company: companyCode, error: parseError });
     // Return partial data with error flag
     billData.parseError = parseError.message;
   }
@@ -319,36 +854,209 @@ function parseBillDetails($, refNo, companyCode) {
 }
 
 /**
- * Validates reference number format
+ * Parses the consumption/payment history grid from the bill page
+ *
+ * The grid is located by its header row (a row with at least "month" and
+ * "units" headers); each following row becomes one entry with the month as
+ * YYYY-MM, units as an integer and amounts as numbers in PKR.
+ *
+ * @param {CheerioStatic} $ - Cheerio object loaded with HTML
+ * @param {Array<Object>} unparsedFields - Collects cells that could not be parsed
+ * @returns {Array<Object>} History entries in page order
+ */
+function parseBillHistory($, unparsedFields = []) {
+  const history = [];
+
+  $("table").each((tableIndex, table) => {
+    // Only look at direct rows so nested layout tables are handled separately
+    const rows = $(table).find("> tr, > thead > tr, > tbody > tr");
+    let columns = null;
+
+    rows.each((rowIndex, row) => {
+      const cells = $(row).find("> th, > td");
+
+      if (!columns) {
+        // Map header positions to history columns
+        const mapped = cells
+          .map((cellIndex, cell) => {
+            const label = normalizeLabel($(cell).text());
+            return HISTORY_COLUMNS.find((c) => c.labels.includes(label)) || null;
+          })
+          .get();
+        const keys = mapped.filter(Boolean).map((c) => c.key);
+        if (keys.includes("month") && keys.includes("units")) {
+          columns = mapped;
+        }
+        return;
+      }
+
+      const entry = {};
+      columns.forEach((column, cellIndex) => {
+        if (!column || cellIndex >= cells.length) {
+          return;
+        }
+        const value = $(cells[cellIndex]).text().trim();
+        const parsed = parseValue(column.type, value);
+        if (parsed === null && value) {
+          unparsedFields.push({
+            field: `history.${column.key}`,
+            label: column.key,
+            value,
+          });
+        }
+        entry[column.key] = parsed;
+      });
+
+      // Skip blank and totals rows
+      if (entry.month) {
+        history.push(entry);
+      }
+    });
+
+    // Stop after the first history grid
+    return history.length === 0;
+  });
+
+  return history;
+}
+
+/**
+ * Validates reference number (or customer ID) format for a search mode
  *
- * @param {string} refNo - Reference number to validate
+ * @param {string} refNo - Reference number or customer ID to validate
+ * @param {Object} [options] - Search options
+ * @param {string} [options.searchBy="refno"] - Search mode ("refno" or "custid")
+ * @param {string} [options.ruCode] - Optional "U"/"R" urban/rural code
+ * @param {string} [options.company] - Company code to check the reference structure against
  * @returns {Object} Validation result
  */
-function validateReferenceNumber(refNo) {
+function validateReferenceNumber(refNo, options = {}) {
+  const { searchBy = "refno", ruCode, company } = options;
+
+  const searchMode = SEARCH_MODES[searchBy];
+  if (!searchMode) {
+    return {
+      valid: false,
+      error: `Invalid search mode. Supported: ${Object.keys(SEARCH_MODES).join(", ")}`,
+    };
+  }
+
   if (!refNo) {
     return {
       valid: false,
-      error: "Reference number is required",
+      error: `${searchMode.label} is required`,
     };
   }
 
-  // Reference number should be 10-14 digits
   const refNoStr = String(refNo).trim();
-  const refNoPattern = /^\d{10,14}$/;
 
-  if (!refNoPattern.test(refNoStr)) {
+  if (!searchMode.pattern.test(refNoStr)) {
+    return {
+      valid: false,
+      error: searchMode.error,
+    };
+  }
+
+  // Check the reference number's structure against the company, if given
+  if (searchBy === "refno" && company) {
+    const companyInfo = getCompanyByCode(company);
+    if (companyInfo && !companyInfo.refPattern.test(refNoStr)) {
+      const owner = Object.values(COMPANIES).find((c) =>
+        c.refPattern.test(refNoStr)
+      );
+      return {
+        valid: false,
+        error: owner
+          ? `Reference number belongs to ${owner.code.toUpperCase()}, not ${companyInfo.code.toUpperCase()}`
+          : `Reference number is not a valid ${companyInfo.code.toUpperCase()} reference number`,
+      };
+    }
+  }
+
+  const ruCodeStr = ruCode ? String(ruCode).trim().toUpperCase() : "";
+  if (ruCodeStr && !RU_CODES.includes(ruCodeStr)) {
     return {
       valid: false,
-      error: "Reference number must be 10-14 digits",
+      error: "U/R code must be U (urban) or R (rural)",
     };
   }
 
   return {
     valid: true,
     refNo: refNoStr,
+    searchBy: searchBy,
+    ruCode: ruCodeStr || undefined,
   };
 }
 
+/**
+ * Validates a lookup for the PITC adapter
+ *
+ * Unlike getPITCBill, the company may be omitted when the reference number
+ * encodes it, and the reference number must match the company's structure.
+ *
+ * @param {string} refNo - Reference number or customer ID
+ * @param {Object} [options] - { company, searchBy, ruCode }
+ * @returns {Object} { valid: true, query } or { valid: false, error }
+ */
+function validateBillQuery(refNo, options = {}) {
+  const { searchBy = "refno", ruCode } = options;
+  const companyCode =
+    options.company || (searchBy === "refno" ? getCompanyByReference(refNo)?.code : null);
+
+  if (!companyCode) {
+    return {
+      valid: false,
+      code: "INVALID_COMPANY",
+      error: "Company is required when it cannot be inferred from the reference number",
+    };
+  }
+
+  const company = getCompanyByCode(companyCode);
+  if (!company) {
+    return {
+      valid: false,
+      code: "INVALID_COMPANY",
+      error: `Invalid company code. Supported: ${Object.values(COMPANIES)
+        .map((c) => c.code)
+        .join(", ")}`,
+    };
+  }
+
+  const validation = validateReferenceNumber(refNo, {
+    searchBy,
+    ruCode,
+    company: company.code,
+  });
+  if (!validation.valid) {
+    return validation;
+  }
+
+  return {
+    valid: true,
+    query: {
+      refNo: validation.refNo,
+      company: company.code,
+      searchBy: validation.searchBy,
+      ruCode: validation.ruCode,
+    },
+  };
+}
+
+/**
+ * Finds the company a 14-digit reference number belongs to
+ *
+ * @param {string} refNo - Reference number
+ * @returns {Object|null} Company object, or null for shorter numbers
+ */
+function getCompanyByReference(refNo) {
+  const refNoStr = String(refNo || "").trim();
+  if (!/^\d{14}$/.test(refNoStr)) {
+    return null;
+  }
+  return Object.values(COMPANIES).find((c) => c.refPattern.test(refNoStr)) || null;
+}
+
 /**
  * Gets company object by code (case-insensitive)
  *
@@ -356,7 +1064,7 @@ function validateReferenceNumber(refNo) {
  * @returns {Object|null} Company object or null if not found
  */
 function getCompanyByCode(code) {
-  const upperCode = code.toUpperCase();
+  const upperCode = String(code || "").toUpperCase();
   return COMPANIES[upperCode] || null;
 }
 
@@ -372,10 +1080,31 @@ function getSupportedCompanies() {
   }));
 }
 
+/**
+ * Provider adapter for the PITC portal (see providers.js)
+ */
+const pitcProvider = {
+  id: "pitc",
+  name: "PITC bill portal (WAPDA DISCOs)",
+  utility: "electricity",
+  companies: Object.values(COMPANIES),
+  validate: validateBillQuery,
+  fetch: (query, options) => defaultClient.fetchBillPage(query, options),
+  parse: parseBillPage,
+};
+
 module.exports = {
+  PITCClient,
+  pitcProvider,
+  parseBillDetails,
+  parseBillHistory,
   getPITCBill,
+  getHESCOBill,
   validateReferenceNumber,
   getCompanyByCode,
   getSupportedCompanies,
   COMPANIES,
+  PITC_BASE_URL,
+  SEARCH_MODES,
+  RU_CODES,
 };
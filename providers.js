@@ -0,0 +1,146 @@
+/**
+ * Bill provider registry
+ *
+ * A provider adapter covers one bill portal and the companies it serves:
+ *
+ *   {
+ *     id: "pitc",                        // used in /api/providers/:provider/bill
+ *     name: "PITC bill portal (WAPDA DISCOs)",
+ *     utility: "electricity",            // or "gas"
+ *     companies: [{ code, name, requiredFields? }],
+ *     validate(refNo, options),          // -> { valid: true, query } | { valid: false, error, code? }
+ *     fetch(query, options),             // -> Promise<{ success: true, html } | { success: false, error, code }>
+ *     parse(html, query),                // -> bill model (see createBillModel)
+ *   }
+ *
+ * `validate` normalizes the caller's input into a query ({ refNo, company,
+ * ... }); `fetch` performs the upstream requests and resolves portal and
+ * connection failures as errors; `parse` is a pure function of the page,
+ * so adapters can be tested against local HTML fixtures. Failures should
+ * carry a code from errors.js (e.g. REF_NOT_FOUND); validation failures
+ * default to INVALID_REQUEST. The PITC adapter is built in; others are
+ * added with registerProvider.
+ */
+
+const { pitcProvider } = require("./pitc-bill");
+const { lookupBill } = require("./bill-lookup");
+const { lookupError } = require("./errors");
+
+const UTILITIES = ["electricity", "gas"];
+
+const providers = new Map();
+
+/**
+ * Adds a provider adapter to the registry
+ *
+ * @param {Object} provider - Provider adapter
+ * @throws {Error} When the adapter is incomplete or its id is taken
+ */
+function registerProvider(provider) {
+  const missing = ["validate", "fetch", "parse"].filter(
+    (method) => typeof provider?.[method] !== "function"
+  );
+  if (!provider?.id || !Array.isArray(provider.companies) || missing.length) {
+    throw new Error(
+      `Invalid provider adapter ${provider?.id || "(no id)"}: needs id, companies, validate, fetch and parse`
+    );
+  }
+  if (!UTILITIES.includes(provider.utility)) {
+    throw new Error(`Unknown utility "${provider.utility}". Supported: ${UTILITIES.join(", ")}`);
+  }
+
+  const id = provider.id.toLowerCase();
+  if (providers.has(id)) {
+    throw new Error(`Provider ${id} is already registered`);
+  }
+  providers.set(id, provider);
+}
+
+/**
+ * Removes a provider adapter (e.g. one registered by a test)
+ *
+ * @param {string} id - Provider id
+ * @returns {boolean} Whether the provider was registered
+ */
+function unregisterProvider(id) {
+  return providers.delete(String(id || "").toLowerCase());
+}
+
+/**
+ * Gets a provider adapter by id (case-insensitive)
+ *
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider adapter or null if not registered
+ */
+function getProvider(id) {
+  return providers.get(String(id || "").toLowerCase()) || null;
+}
+
+/**
+ * Lists registered providers with their companies
+ *
+ * @returns {Array<Object>} [{ id, name, utility, companies: [{ code, name }] }]
+ */
+function listProviders() {
+  return [...providers.values()].map((provider) => ({
+    id: provider.id,
+    name: provider.name,
+    utility: provider.utility,
+    companies: provider.companies.map(({ code, name }) => ({ code, name })),
+  }));
+}
+
+/**
+ * Lists the companies of all registered providers
+ *
+ * @returns {Array<Object>} [{ code, name, provider, utility }]
+ */
+function listCompanies() {
+  return listProviders().flatMap((provider) =>
+    provider.companies.map((company) => ({
+      ...company,
+      provider: provider.id,
+      utility: provider.utility,
+    }))
+  );
+}
+
+/**
+ * Validates, fetches and parses a bill through a registered provider
+ *
+ * @param {string} providerId - Provider id
+ * @param {string} refNo - Reference number or consumer number
+ * @param {Object} [options] - Provider options ({ company, ... }) plus lookup options
+ * @returns {Promise<Object>} Bill result as from getPITCBill, or error
+ *
+ * @example
+ * const result = await getProviderBill("pitc", "06113530462901");
+ */
+async function getProviderBill(providerId, refNo, options = {}) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    return lookupError(
+      "NOT_FOUND",
+      `Unknown provider. Supported: ${[...providers.keys()].join(", ")}`
+    );
+  }
+
+  const validation = provider.validate(refNo, options);
+  if (!validation.valid) {
+    return lookupError(validation.code || "INVALID_REQUEST", validation.error);
+  }
+
+  return lookupBill(provider, validation.query, options);
+}
+
+registerProvider(pitcProvider);
+
+module.exports = {
+  registerProvider,
+  unregisterProvider,
+  getProvider,
+  listProviders,
+  listCompanies,
+  getProviderBill,
+  UTILITIES,
+};
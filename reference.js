@@ -0,0 +1,90 @@
+const { COMPANIES } = require("./pitc-bill");
+
+/**
+ * Decodes a reference number into its components
+ *
+ * Accepts the number as printed on the bill, e.g. "06 11353 0462901 U":
+ * spaces and dashes are ignored and a trailing U/R is read as the
+ * urban/rural code. 14-digit numbers are split into
+ *   batch (2) + sub-division (5) + serial (7)
+ * and the DISCO is inferred from the first two digits of the sub-division.
+ * Shorter numbers are accepted but cannot be decoded.
+ *
+ * @param {string} input - Reference number
+ * @returns {Object} Decoded reference ({ valid, error } when malformed)
+ *
+ * @example
+ * decodeReferenceNumber("06113530462901");
+ * // {
+ * //   valid: true, refNo: "06113530462901", format: "standard",
+ * //   batch: "06", subDivision: "11353", discoCode: "11", serial: "0462901",
+ * //   ruCode: null, company: { code: "lesco", name: "Lahore Electric Supply Company" }
+ * // }
+ */
+function decodeReferenceNumber(input) {
+  if (!input) {
+    return {
+      valid: false,
+      error: "Reference number is required",
+    };
+  }
+
+  const compact = String(input).replace(/[\s-]/g, "").toUpperCase();
+  const match = compact.match(/^(\d+)([UR])?$/);
+
+  if (!match || match[1].length < 10 || match[1].length > 14) {
+    return {
+      valid: false,
+      error: "Reference number must be 10-14 digits",
+    };
+  }
+
+  const refNo = match[1];
+  const ruCode = match[2] || null;
+
+  if (refNo.length !== 14) {
+    return {
+      valid: true,
+      refNo,
+      format: "short",
+      batch: null,
+      subDivision: null,
+      discoCode: null,
+      serial: null,
+      ruCode,
+      company: null,
+    };
+  }
+
+  const subDivision = refNo.slice(2, 7);
+  const discoCode = subDivision.slice(0, 2);
+  const company = Object.values(COMPANIES).find((c) => c.discoCode === discoCode);
+
+  return {
+    valid: true,
+    refNo,
+    format: "standard",
+    batch: refNo.slice(0, 2),
+    subDivision,
+    discoCode,
+    serial: refNo.slice(7),
+    ruCode,
+    company: company ? { code: company.code, name: company.name } : null,
+  };
+}
+
+/**
+ * Infers the company code from a reference number
+ *
+ * @param {string} refNo - Reference number
+ * @returns {string|null} Company code or null if it cannot be inferred
+ */
+function inferCompany(refNo) {
+  const decoded = decodeReferenceNumber(refNo);
+  return decoded.valid && decoded.company ? decoded.company.code : null;
+}
+
+module.exports = {
+  decodeReferenceNumber,
+  inferCompany,
+};
@@ -1,28 +1,548 @@
+const crypto = require("crypto");
 const express = require("express");
 const {
-  getPITCBill,
   validateReferenceNumber,
   getSupportedCompanies,
+  getCompanyByCode,
 } = require("./pitc-bill");
-const { getHESCOBill } = require("./hesco-bill");
+const { getPITCBills } = require("./batch");
+const { getCachedPITCBill, getCachedProviderBill } = require("./cache");
+const { getProvider, listProviders, listCompanies } = require("./providers");
+const { getSessionPoolStats } = require("./session-pool");
+const { getBreaker, STATES } = require("./circuit-breaker");
+const { getProxyPool, checkProxyConfig } = require("./proxy-pool");
+const { decodeReferenceNumber, inferCompany } = require("./reference");
+const { estimateBill, auditBill } = require("./tariff");
+const { renderBillPdf } = require("./bill-pdf");
+const {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  getDeliveries,
+  startScheduler,
+} = require("./subscriptions");
+const {
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findApiKey,
+  consumeApiKey,
+  tokensMatch,
+} = require("./api-keys");
+const {
+  openApiDocument,
+  validateRequest,
+  sendValidated,
+  renderDocsPage,
+} = require("./openapi");
+const { observeHttpRequest, getMetrics, contentType } = require("./metrics");
+const { logger } = require("./logger");
+const { lookupError, getErrorStatus } = require("./errors");
+const { PAYMENT_STATUSES } = require("./bill-model");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 500;
+const API_KEYS_REQUIRED = process.env.API_KEYS_REQUIRED !== "false";
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Accepted X-Request-Id values; anything else is replaced with a UUID
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Request IDs: reuse the caller's X-Request-Id or generate one
+app.use((req, res, next) => {
+  const requestId = req.get("X-Request-Id");
+  req.id = REQUEST_ID_PATTERN.test(requestId || "") ? requestId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
+// Request count, latency and access log per route and company
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const company = getMetricsCompany(req);
+    const durationSeconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    observeHttpRequest({
+      method: req.method,
+      route,
+      company,
+      status: res.statusCode,
+      durationSeconds,
+    });
+    req.log.info("Request completed", {
+      method: req.method,
+      // Matched requests log the route template; the raw path may hold a
+      // reference number in a form the redaction does not recognise
+      path: req.route ? undefined : decodePath(req.path),
+      route,
+      company,
+      status: res.statusCode,
+      durationMs: Math.round(durationSeconds * 1000),
+    });
+  });
+  next();
+});
 
 // Middleware
-app.use(express.json());
+app.use(express.json({ limit: "1mb" }));
 app.use(express.urlencoded({ extended: true }));
 
-// Enable CORS for all routes
+// CORS for allowlisted origins only ("*" allows any)
 app.use((req, res, next) => {
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header(
-    "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept"
-  );
+  const origin = req.get("Origin");
+  const allowAny = CORS_ORIGINS.includes("*");
+
+  if (origin && (allowAny || CORS_ORIGINS.includes(origin))) {
+    res.header("Access-Control-Allow-Origin", allowAny ? "*" : origin);
+    res.header("Vary", "Origin");
+    res.header(
+      "Access-Control-Allow-Headers",
+      "Origin, X-Requested-With, Content-Type, Accept, X-API-Key, Authorization, X-Request-Id"
+    );
+    res.header("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+    res.header(
+      "Access-Control-Expose-Headers",
+      "X-Request-Id, X-Cache, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-Quota-Limit, X-Quota-Remaining, Retry-After"
+    );
+  }
+
+  // Answer preflight requests without authentication
+  if (req.method === "OPTIONS") {
+    return res.sendStatus(204);
+  }
   next();
 });
 
+/**
+ * Authenticates /api requests with an X-API-Key header and applies the
+ * key's rate limit and daily quota
+ *
+ * Admin routes use ADMIN_TOKEN instead. Set API_KEYS_REQUIRED=false to
+ * serve the API without keys (local development).
+ */
+function requireApiKey(req, res, next) {
+  if (!API_KEYS_REQUIRED || req.path.startsWith("/admin/")) {
+    return next();
+  }
+
+  const key = req.get("X-API-Key");
+  if (!key) {
+    return sendLookupError(
+      res,
+      lookupError("UNAUTHORIZED", "API key required - send it in the X-API-Key header")
+    );
+  }
+
+  const apiKey = findApiKey(key);
+  if (!apiKey) {
+    return sendLookupError(res, lookupError("UNAUTHORIZED", "Invalid or revoked API key"));
+  }
+
+  const usage = consumeApiKey(apiKey, { lookups: countLookups(req) });
+  res.set("X-RateLimit-Limit", String(usage.rateLimit.limit));
+  res.set("X-RateLimit-Remaining", String(usage.rateLimit.remaining));
+  res.set("X-RateLimit-Reset", String(usage.rateLimit.resetAt));
+  res.set("X-Quota-Limit", String(usage.quota.limit));
+  res.set("X-Quota-Remaining", String(usage.quota.remaining));
+
+  if (!usage.allowed) {
+    return sendLookupError(
+      res,
+      lookupError(
+        "RATE_LIMITED",
+        usage.reason === "rate_limited"
+          ? `Rate limit of ${usage.rateLimit.limit} requests per minute exceeded`
+          : `Daily quota of ${usage.quota.limit} lookups exceeded`,
+        { retryAfterSeconds: usage.retryAfterSeconds }
+      )
+    );
+  }
+
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Routes (below /api) that look up bills and count against the daily quota
+ */
+const LOOKUP_ROUTES = [
+  ["GET", /^\/check-bill(\.pdf)?$/],
+  ["POST", /^\/check-bills?$/],
+  ["GET", /^\/providers\/[^/]+\/bill$/],
+  ["GET", /^\/(history|insights)$/],
+];
+
+/**
+ * Counts the bill lookups a request makes, for the daily quota
+ *
+ * A batch counts each item; requests that look up no bills (companies,
+ * estimates, subscriptions, ...) count none but still use the rate limit.
+ *
+ * @param {Object} req - Express request (path relative to /api)
+ * @returns {number} Lookups
+ */
+function countLookups(req) {
+  const isLookup = LOOKUP_ROUTES.some(
+    ([method, pattern]) => req.method === method && pattern.test(req.path)
+  );
+  if (!isLookup) {
+    return 0;
+  }
+
+  const items = req.body?.items;
+  return req.path === "/check-bills" && Array.isArray(items) ? Math.max(items.length, 1) : 1;
+}
+
+/**
+ * Allows admin routes only with `Authorization: Bearer <ADMIN_TOKEN>`
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return sendLookupError(
+      res,
+      lookupError("ADMIN_DISABLED", "Admin API is disabled - set ADMIN_TOKEN to enable it")
+    );
+  }
+
+  const match = String(req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (!match || !tokensMatch(match[1], ADMIN_TOKEN)) {
+    return sendLookupError(res, lookupError("UNAUTHORIZED", "Invalid admin token"));
+  }
+
+  next();
+}
+
+app.use("/api", requireApiKey);
+
+// Request validation against the OpenAPI schemas
+const validateBillQuery = validateRequest({ query: "CheckBillQuery" });
+const validateBillBody = validateRequest({ body: "CheckBillBody" });
+const validateLookupQuery = validateRequest({ query: "LookupQuery" });
+const validateEstimateBody = validateRequest({ body: "EstimateBody" });
+const validateProviderBillQuery = validateRequest({ query: "ProviderBillQuery" });
+
+/**
+ * Parses the ?status= filter for batch results
+ *
+ * @param {string} [value] - Comma-separated payment statuses, e.g. "unpaid,overdue"
+ * @returns {Object} { valid: true, statuses } (null statuses when absent) or { valid: false, error }
+ */
+function parseStatusFilter(value) {
+  if (value === undefined || value === "") {
+    return { valid: true, statuses: null };
+  }
+
+  const statuses = String(value)
+    .split(",")
+    .map((status) => status.trim().toLowerCase())
+    .filter(Boolean);
+  if (statuses.length === 0 || statuses.some((status) => !PAYMENT_STATUSES.includes(status))) {
+    return {
+      valid: false,
+      error: `status must be one or more of ${PAYMENT_STATUSES.join(", ")}`,
+    };
+  }
+
+  return { valid: true, statuses };
+}
+
+/**
+ * Whether the request asks to bypass the bill cache (?fresh=1)
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsFresh(req) {
+  const fresh = req.query.fresh ?? req.body?.fresh;
+  return fresh === true || fresh === "1" || fresh === "true";
+}
+
+/**
+ * Whether the request opts into the bill page HTML (?include=raw)
+ *
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsRawHtml(req) {
+  const include = req.query.include ?? req.body?.include;
+  return String(include || "")
+    .split(",")
+    .map((part) => part.trim())
+    .includes("raw");
+}
+
+/**
+ * Removes the page HTML from a bill result unless the request asks for it
+ *
+ * The HTML is kept in the cache so ?include=raw also works on cache hits.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} result - getPITCBill result
+ * @returns {Object} Result
+ */
+function applyIncludes(req, result) {
+  if (!result.data || wantsRawHtml(req)) {
+    return result;
+  }
+  const { rawHtml, ...data } = result.data;
+  return { ...result, data };
+}
+
+/**
+ * Picks the company for a lookup: the requested one, else the one encoded
+ * in the reference number, else HESCO for backward compatibility
+ *
+ * @param {string} refNo - Reference number or customer ID
+ * @param {string} company - Requested company code, if any (any case)
+ * @param {string} searchBy - Search mode
+ * @returns {string} Lower-case company code
+ */
+function resolveCompany(refNo, company, searchBy = "refno") {
+  if (company) {
+    return String(company).toLowerCase();
+  }
+  return (searchBy === "refno" && inferCompany(refNo)) || "hesco";
+}
+
+/**
+ * Company label for request metrics: the looked-up company when the
+ * request names or implies a supported one, else "none"
+ *
+ * @param {Object} req - Express request
+ * @returns {string} Company code
+ */
+function getMetricsCompany(req) {
+  const params = req.method === "GET" ? req.query : req.body;
+  if (!params || typeof params !== "object") {
+    return "none";
+  }
+
+  const { refNo, company, searchBy } = params;
+  const code =
+    company || refNo ? resolveCompany(String(refNo || ""), company, searchBy) : null;
+  return getCompanyByCode(code)?.code || "none";
+}
+
+/**
+ * Decodes a request path for the access log, so encoded separators
+ * ("06%2011353%200462901") are redacted like plain ones
+ *
+ * @param {string} path - Raw request path
+ * @returns {string} Decoded path, or the raw one if it is malformed
+ */
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
+
+/**
+ * Logs an unexpected error and answers 500 without exposing its details
+ *
+ * The client gets the request ID to quote when reporting the problem.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Error} error - Unexpected error
+ */
+function sendServerError(req, res, error) {
+  (req.log || logger).error("Request failed", { error });
+  return res.status(500).json({
+    success: false,
+    error: "Internal server error",
+    requestId: req.id,
+  });
+}
+
+/**
+ * Sends a failed lookup with the HTTP status of its error code
+ *
+ * Circuit-open failures also get a Retry-After header.
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - Failed result with a `code` (see errors.js)
+ */
+function sendLookupError(res, result) {
+  if (result.retryAfterSeconds) {
+    res.set("Retry-After", String(result.retryAfterSeconds));
+  }
+  return res.status(getErrorStatus(result)).json(result);
+}
+
+/**
+ * Answers 400 for input a validator rejected
+ *
+ * @param {Object} res - Express response
+ * @param {Object} validation - { valid: false, error, code? }
+ */
+function sendInvalidInput(res, validation) {
+  return sendLookupError(res, lookupError(validation.code || "INVALID_REQUEST", validation.error));
+}
+
+/**
+ * Sets X-Cache and Cache-Control headers for a cached lookup
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - getPITCBill result
+ * @param {Object} cache - Cache info from getCachedPITCBill
+ */
+function setCacheHeaders(res, result, cache) {
+  res.set("X-Cache", cache.status);
+
+  if (result.success && cache.ttlSeconds) {
+    res.set("Cache-Control", `private, max-age=${cache.ttlSeconds}`);
+    res.set("Age", String(cache.ageSeconds || 0));
+  } else {
+    res.set("Cache-Control", "no-store");
+  }
+}
+
+/**
+ * Sends a bill result as a PDF download
+ *
+ * @param {Object} res - Express response
+ * @param {Object} result - Successful getPITCBill result
+ */
+async function sendBillPdf(res, result) {
+  const pdf = await renderBillPdf(result);
+  res.set("Content-Type", "application/pdf");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${result.company}-bill-${result.refNo}.pdf"`
+  );
+  res.send(pdf);
+}
+
+/**
+ * Validates a PITC lookup's parameters (query for GET, body for POST)
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} { valid: true, fetch(options) } or { valid: false, error, code? }
+ */
+function preparePITCLookup(req) {
+  const params = req.method === "GET" ? req.query : req.body;
+  const { refNo, searchBy, ruCode } = params;
+  const company = resolveCompany(refNo, params.company, searchBy);
+
+  // Validate reference number (or customer ID) for the search mode
+  const validation = validateReferenceNumber(refNo, {
+    searchBy,
+    ruCode,
+    company,
+  });
+  if (!validation.valid) {
+    return validation;
+  }
+
+  return {
+    valid: true,
+    fetch: (options) =>
+      getCachedPITCBill(validation.refNo, company, {
+        searchBy: validation.searchBy,
+        ruCode: validation.ruCode,
+        ...options,
+      }),
+  };
+}
+
+/**
+ * Validates a lookup through the provider named in the path
+ *
+ * Parameters other than refNo (e.g. searchBy and ruCode for PITC) are
+ * passed to the provider's validate().
+ *
+ * @param {Object} req - Express request
+ * @returns {Object} { valid: true, fetch(options) } or { valid: false, error, code? }
+ */
+function prepareProviderLookup(req) {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return {
+      valid: false,
+      code: "NOT_FOUND",
+      error: `Unknown provider. Supported: ${listProviders()
+        .map(({ id }) => id)
+        .join(", ")}`,
+    };
+  }
+
+  const { refNo, ...params } = req.query;
+  const validation = provider.validate(refNo, params);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  return {
+    valid: true,
+    fetch: (options) => getCachedProviderBill(provider.id, validation.query, options),
+  };
+}
+
+/**
+ * Builds the handler of a single-bill lookup route
+ *
+ * Every lookup validates its input, fetches through the bill cache, sets
+ * the cache headers and answers failures with their error code; only the
+ * response for a found bill differs per route.
+ *
+ * @param {Function} respond - (req, res, result) sending a successful result
+ * @param {Function} [prepare=preparePITCLookup] - Validates the request, see preparePITCLookup
+ * @returns {Function} Express handler
+ *
+ * @example
+ * app.get("/bill.pdf", validateBillQuery, lookupRoute((req, res, result) => sendBillPdf(res, result)));
+ */
+function lookupRoute(respond, prepare = preparePITCLookup) {
+  return async (req, res) => {
+    const lookup = prepare(req);
+    if (!lookup.valid) {
+      return sendInvalidInput(res, lookup);
+    }
+
+    try {
+      const { result, cache } = await lookup.fetch({
+        fresh: wantsFresh(req),
+        requestId: req.id,
+      });
+      setCacheHeaders(res, result, cache);
+
+      if (!result.success) {
+        return sendLookupError(res, result);
+      }
+
+      return await respond(req, res, result);
+    } catch (error) {
+      return sendServerError(req, res, error);
+    }
+  };
+}
+
+/**
+ * Sends a found bill with its tariff audit
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} result - Successful getPITCBill result
+ */
+function sendAuditedBill(req, res, result) {
+  return sendValidated(res, "CheckBillResponse", {
+    ...applyIncludes(req, result),
+    audit: auditBill(result.data),
+  });
+}
+
 /**
  * Health check endpoint
  */
@@ -32,147 +552,549 @@ app.get("/", (req, res) => {
     service: "PITC Bill Checker API",
     version: "2.0.0",
     description: "Check electricity bills from all major Pakistani DISCOs",
-    supportedCompanies: getSupportedCompanies(),
+    supportedCompanies: listCompanies(),
     endpoints: {
       checkBill:
         "/api/check-bill?refNo={reference-number}&company={company-code}",
+      checkBillPdf:
+        "/api/check-bill.pdf?refNo={reference-number}&company={company-code}",
+      checkBillByCustomerId:
+        "/api/check-bill?refNo={customer-id}&company={company-code}&searchBy=custid&ruCode={U|R}",
       checkBillLegacy: "/api/check-bill?refNo={reference-number} (HESCO only)",
+      checkBills: "POST /api/check-bills",
+      history: "/api/history?refNo={reference-number}&company={company-code}",
+      insights: "/api/insights?refNo={reference-number}&company={company-code}",
+      estimate: "POST /api/estimate",
+      reference: "/api/reference/{reference-number}",
+      subscriptions: "POST /api/subscriptions",
+      deliveries: "/api/subscriptions/{id}/deliveries",
       companies: "/api/companies",
+      providers: "/api/providers",
+      providerBill: "/api/providers/{provider}/bill?refNo={reference-number}&company={company-code}",
+      apiKeys: "POST /api/admin/keys (admin)",
       health: "/health",
+      metrics: "/metrics",
+      openapi: "/openapi.json",
+      docs: "/docs",
     },
   });
 });
 
 /**
  * Health check endpoint
+ *
+ * Reports upstream status per DISCO from its circuit breaker, and the
+ * proxy pool when proxies are configured. The service is "degraded" while
+ * any company's circuit is open or half-open, or every proxy is ejected.
  */
 app.get("/health", (req, res) => {
-  res.json({
-    status: "healthy",
+  const upstream = {};
+  getSupportedCompanies().forEach(({ code }) => {
+    upstream[code] = getBreaker(code).getStatus();
+  });
+
+  const proxyPool = getProxyPool();
+  const proxies = proxyPool.size ? proxyPool.getStats() : undefined;
+
+  const degraded =
+    Object.values(upstream).some((status) => status.state !== STATES.CLOSED) ||
+    (proxies !== undefined && proxies.active === 0);
+
+  sendValidated(res, "HealthResponse", {
+    status: degraded ? "degraded" : "healthy",
     timestamp: new Date().toISOString(),
+    upstream,
+    sessions: getSessionPoolStats(),
+    proxies,
   });
 });
 
 /**
- * Get list of supported companies
+ * Prometheus metrics
+ *
+ * GET /metrics
+ */
+app.get("/metrics", async (req, res) => {
+  res.set("Content-Type", contentType);
+  res.send(await getMetrics());
+});
+
+/**
+ * OpenAPI 3.1 document for the API
+ *
+ * GET /openapi.json
+ */
+app.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+/**
+ * Interactive API documentation (Swagger UI)
+ *
+ * GET /docs
+ */
+app.get("/docs", (req, res) => {
+  res.type("html").send(renderDocsPage("/openapi.json"));
+});
+
+/**
+ * Get list of supported companies across all providers
  *
  * GET /api/companies
  */
 app.get("/api/companies", (req, res) => {
-  res.json({
+  sendValidated(res, "CompaniesResponse", {
+    success: true,
+    companies: listCompanies(),
+  });
+});
+
+/**
+ * List bill providers and the companies each one serves
+ *
+ * GET /api/providers
+ */
+app.get("/api/providers", (req, res) => {
+  sendValidated(res, "ProvidersResponse", {
     success: true,
-    companies: getSupportedCompanies(),
+    providers: listProviders(),
   });
 });
 
+/**
+ * Fetch a bill through a provider adapter
+ *
+ * GET /api/providers/pitc/bill?refNo=06113530462901&company=lesco
+ *
+ * @param {string} provider - Provider id (see GET /api/providers)
+ * @query {string} refNo - Reference or consumer number
+ * @query {string} company - Company code; optional when the provider can infer it
+ * @query {string} fresh - "1" to bypass the bill cache
+ * @query {string} include - "raw" to include the bill page HTML (data.rawHtml)
+ * @returns {Object} Bill data, or error
+ *
+ * Other query parameters (e.g. searchBy and ruCode for PITC) are passed to
+ * the provider's validate().
+ */
+app.get(
+  "/api/providers/:provider/bill",
+  validateProviderBillQuery,
+  lookupRoute(
+    (req, res, result) =>
+      sendValidated(res, "CheckBillResponse", applyIncludes(req, result)),
+    prepareProviderLookup
+  )
+);
+
 /**
  * Main endpoint to fetch electricity bill
  *
  * GET /api/check-bill?refNo=06113530462901&company=lesco
  *
  * @query {string} refNo - 10-14 digit reference number
- * @query {string} company - Company code (hesco, lesco, fesco, etc.) - defaults to hesco for backward compatibility
- * @returns {Object} Bill data or error
+ * @query {string} company - Company code (hesco, lesco, fesco, etc.) - inferred from the reference number when omitted, else hesco
+ * @query {string} searchBy - Search mode: "refno" (default) or "custid"
+ * @query {string} ruCode - Optional urban/rural code: "U" or "R"
+ * @query {string} fresh - "1" to bypass the bill cache
+ * @query {string} format - "pdf" to download the bill as a PDF
+ * @query {string} include - "raw" to include the bill page HTML (data.rawHtml)
+ * @returns {Object} Bill data with a tariff `audit` section, or error
  */
-app.get("/api/check-bill", async (req, res) => {
-  const { refNo, company = "hesco" } = req.query;
+app.get(
+  "/api/check-bill",
+  validateBillQuery,
+  lookupRoute((req, res, result) =>
+    req.query.format === "pdf" ? sendBillPdf(res, result) : sendAuditedBill(req, res, result)
+  )
+);
 
-  // Validate reference number
-  const validation = validateReferenceNumber(refNo);
-  if (!validation.valid) {
-    return res.status(400).json({
-      success: false,
-      error: validation.error,
+/**
+ * Printable PDF copy of a bill
+ *
+ * GET /api/check-bill.pdf?refNo=06113530462901&company=lesco
+ *
+ * Takes the same query parameters as GET /api/check-bill. Errors are
+ * returned as JSON.
+ */
+app.get(
+  "/api/check-bill.pdf",
+  validateBillQuery,
+  lookupRoute((req, res, result) => sendBillPdf(res, result))
+);
+
+/**
+ * POST endpoint (alternative to GET)
+ *
+ * POST /api/check-bill
+ * Body: { "refNo": "06113530462901", "company": "lesco", "searchBy": "refno", "ruCode": "U" }
+ * Query: ?fresh=1 to bypass the bill cache, ?include=raw for the page HTML
+ */
+app.post("/api/check-bill", validateBillBody, lookupRoute(sendAuditedBill));
+
+/**
+ * Batch bill lookup
+ *
+ * POST /api/check-bills
+ * Body: {
+ *   "items": [{ "refNo": "06113530462901", "company": "lesco" }, ...],
+ *   "concurrency": 4
+ * }
+ *
+ * Each item is validated and fetched independently; the response lists
+ * per-item results (in request order) together with an overall summary.
+ * ?fresh=1 bypasses the bill cache for every item; ?include=raw keeps the
+ * page HTML in each result. ?status=unpaid,overdue returns only bills with
+ * one of the given payment statuses; the summary still counts every item
+ * and adds how many `matched`.
+ */
+app.post("/api/check-bills", async (req, res) => {
+  const { items, concurrency } = req.body || {};
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return sendInvalidInput(res, { error: "Body must contain a non-empty items array" });
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    return sendInvalidInput(res, {
+      error: `A batch may contain at most ${BATCH_MAX_ITEMS} items`,
     });
   }
 
+  const filter = parseStatusFilter(req.query.status);
+  if (!filter.valid) {
+    return sendInvalidInput(res, filter);
+  }
+
   try {
-    // Fetch bill from PITC portal
-    const result = await getPITCBill(validation.refNo, company);
-
-    if (result.success) {
-      return res.json(result);
-    } else {
-      // Return 404 for invalid reference numbers or not found
-      return res.status(404).json(result);
-    }
-  } catch (error) {
-    // Handle unexpected errors
-    console.error("Server error:", error);
-    return res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      message: error.message,
+    const { results, summary } = await getPITCBills(items, {
+      concurrency,
+      fresh: wantsFresh(req),
+      requestId: req.id,
+    });
+
+    const matching = filter.statuses
+      ? results.filter(
+          (result) => result.success && filter.statuses.includes(result.data.payment?.status)
+        )
+      : results;
+
+    return res.json({
+      success: true,
+      summary: filter.statuses ? { ...summary, matched: matching.length } : summary,
+      results: matching.map((result) => applyIncludes(req, result)),
     });
+  } catch (error) {
+    return sendServerError(req, res, error);
   }
 });
 
 /**
- * POST endpoint (alternative to GET)
+ * Estimate a bill from units and tariff
  *
- * POST /api/check-bill
- * Body: { "refNo": "06113530462901", "company": "lesco" }
+ * POST /api/estimate
+ * Body: { "units": 288, "tariff": "residential-unprotected", "version": "2024-07", "fpaRate": 1.5, "qtaRate": 0, "meterRent": 25 }
+ *
+ * @returns {Object} Slab breakdown, charges and total, or error
  */
-app.post("/api/check-bill", async (req, res) => {
-  const { refNo, company = "hesco" } = req.body;
+app.post("/api/estimate", validateEstimateBody, (req, res) => {
+  const { units, tariff, version, fpaRate, qtaRate, meterRent, incomeTax } = req.body;
 
-  // Validate reference number
-  const validation = validateReferenceNumber(refNo);
-  if (!validation.valid) {
-    return res.status(400).json({
-      success: false,
-      error: validation.error,
+  const estimate = estimateBill({
+    units,
+    tariff,
+    version,
+    fpaRate,
+    qtaRate,
+    meterRent,
+    incomeTax,
+  });
+
+  if (estimate.error) {
+    return sendInvalidInput(res, estimate);
+  }
+
+  return sendValidated(res, "EstimateResponse", {
+    success: true,
+    estimate,
+  });
+});
+
+/**
+ * Decode a reference number
+ *
+ * GET /api/reference/06113530462901
+ *
+ * @param {string} refNo - Reference number as printed (spaces, dashes and a trailing U/R allowed)
+ * @returns {Object} Batch, sub-division, serial and inferred company, or error
+ */
+app.get("/api/reference/:refNo", (req, res) => {
+  const decoded = decodeReferenceNumber(req.params.refNo);
+
+  if (!decoded.valid) {
+    return sendInvalidInput(res, decoded);
+  }
+
+  const { valid, ...reference } = decoded;
+  res.json({
+    success: true,
+    ...reference,
+  });
+});
+
+/**
+ * Consumption/payment history for a bill
+ *
+ * GET /api/history?refNo=06113530462901&company=lesco
+ *
+ * @query {string} refNo - 10-14 digit reference number
+ * @query {string} company - Company code (hesco, lesco, fesco, etc.) - inferred from the reference number when omitted, else hesco
+ * @query {string} searchBy - Search mode: "refno" (default) or "custid"
+ * @query {string} ruCode - Optional urban/rural code: "U" or "R"
+ * @query {string} fresh - "1" to bypass the bill cache
+ * @returns {Object} History entries ({ month, units, billAmount, payment }) or error
+ */
+app.get(
+  "/api/history",
+  validateLookupQuery,
+  lookupRoute((req, res, result) =>
+    sendValidated(res, "HistoryResponse", {
+      success: true,
+      refNo: result.refNo,
+      company: result.company,
+      companyName: result.companyName,
+      history: result.data.history,
+    })
+  )
+);
+
+/**
+ * Consumption insights for a bill
+ *
+ * GET /api/insights?refNo=09371234567890&company=hesco
+ *
+ * @query {string} refNo - 10-14 digit reference number
+ * @query {string} company - Company code (hesco, lesco, fesco, etc.) - inferred from the reference number when omitted, else hesco
+ * @query {string} searchBy - Search mode: "refno" (default) or "custid"
+ * @query {string} ruCode - Optional urban/rural code: "U" or "R"
+ * @query {string} fresh - "1" to bypass the bill cache
+ * @returns {Object} Baseline consumption and flags (spikes, drops, zero/estimated readings, slab crossings), or error
+ */
+app.get(
+  "/api/insights",
+  validateLookupQuery,
+  lookupRoute((req, res, result) =>
+    sendValidated(res, "InsightsResponse", {
+      success: true,
+      refNo: result.refNo,
+      company: result.company,
+      companyName: result.companyName,
+      insights: result.insights,
+    })
+  )
+);
+
+/**
+ * Register a due-date reminder subscription
+ *
+ * POST /api/subscriptions
+ * Body: {
+ *   "refNo": "06113530462901", "company": "lesco",
+ *   "webhookUrl": "https://example.com/hooks/pitc",
+ *   "reminderDays": 3, "events": ["bill.issued", "bill.due_soon", "bill.after_due_date"]
+ * }
+ *
+ * The subscription belongs to the API key that created it; the other
+ * subscription routes only see the caller's own subscriptions.
+ *
+ * @returns {Object} The subscription including its signing secret (only shown here), or error
+ */
+app.post("/api/subscriptions", async (req, res) => {
+  try {
+    const result = await createSubscription(req.body || {}, {
+      ownerKeyId: req.apiKey?.id,
     });
+
+    if (!result.success) {
+      return sendLookupError(res, result);
+    }
+
+    return res.status(201).json(result);
+  } catch (error) {
+    return sendServerError(req, res, error);
+  }
+});
+
+/**
+ * List the caller's subscriptions
+ *
+ * GET /api/subscriptions
+ */
+app.get("/api/subscriptions", (req, res) => {
+  res.json({
+    success: true,
+    subscriptions: listSubscriptions({ ownerKeyId: req.apiKey?.id }),
+  });
+});
+
+/**
+ * Get a subscription
+ *
+ * GET /api/subscriptions/:id
+ */
+app.get("/api/subscriptions/:id", (req, res) => {
+  const subscription = getSubscription(req.params.id, { ownerKeyId: req.apiKey?.id });
+
+  if (!subscription) {
+    return sendLookupError(res, lookupError("NOT_FOUND", "Subscription not found"));
+  }
+
+  res.json({
+    success: true,
+    subscription,
+  });
+});
+
+/**
+ * Delete a subscription
+ *
+ * DELETE /api/subscriptions/:id
+ */
+app.delete("/api/subscriptions/:id", async (req, res) => {
+  if (!(await deleteSubscription(req.params.id, { ownerKeyId: req.apiKey?.id }))) {
+    return sendLookupError(res, lookupError("NOT_FOUND", "Subscription not found"));
+  }
+
+  res.json({
+    success: true,
+  });
+});
+
+/**
+ * Webhook delivery log of a subscription, newest first
+ *
+ * GET /api/subscriptions/:id/deliveries?status=failed
+ *
+ * @query {string} status - Optional filter: pending, delivered or failed
+ */
+app.get("/api/subscriptions/:id/deliveries", (req, res) => {
+  if (!getSubscription(req.params.id, { ownerKeyId: req.apiKey?.id })) {
+    return sendLookupError(res, lookupError("NOT_FOUND", "Subscription not found"));
   }
 
+  const { status } = req.query;
+  const deliveries = getDeliveries(req.params.id).filter(
+    (delivery) => !status || delivery.status === status
+  );
+
+  res.json({
+    success: true,
+    deliveries,
+  });
+});
+
+/**
+ * Issue an API key
+ *
+ * POST /api/admin/keys
+ * Headers: Authorization: Bearer <ADMIN_TOKEN>
+ * Body: { "name": "mobile-app", "rateLimit": 60, "dailyQuota": 1000 }
+ *
+ * @returns {Object} The key (only shown here) and its details, or error
+ */
+app.post("/api/admin/keys", requireAdmin, async (req, res) => {
+  const { name, rateLimit, dailyQuota } = req.body || {};
+
   try {
-    // Fetch bill from PITC portal
-    const result = await getPITCBill(validation.refNo, company);
+    const result = await issueApiKey({ name, rateLimit, dailyQuota });
 
-    if (result.success) {
-      return res.json(result);
-    } else {
-      return res.status(404).json(result);
+    if (!result.success) {
+      return sendLookupError(res, result);
     }
+
+    return res.status(201).json(result);
   } catch (error) {
-    console.error("Server error:", error);
-    return res.status(500).json({
-      success: false,
-      error: "Internal server error",
-      message: error.message,
-    });
+    return sendServerError(req, res, error);
+  }
+});
+
+/**
+ * List API keys with today's usage
+ *
+ * GET /api/admin/keys
+ */
+app.get("/api/admin/keys", requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    keys: listApiKeys(),
+  });
+});
+
+/**
+ * Revoke an API key
+ *
+ * DELETE /api/admin/keys/:id
+ */
+app.delete("/api/admin/keys/:id", requireAdmin, async (req, res) => {
+  const apiKey = await revokeApiKey(req.params.id);
+
+  if (!apiKey) {
+    return sendLookupError(res, lookupError("NOT_FOUND", "API key not found"));
   }
+
+  res.json({
+    success: true,
+    apiKey,
+  });
 });
 
+/**
+ * Lists the app's routes as "METHOD /path", with path parameters as {name}
+ *
+ * @returns {Array<string>} Routes in registration order
+ */
+function listRoutes() {
+  return app.router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map(
+        (method) => `${method.toUpperCase()} ${route.path.replace(/:(\w+)/g, "{$1}")}`
+      )
+    );
+}
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
-    success: false,
-    error: "Endpoint not found",
-    availableEndpoints: [
-      "GET /api/check-bill?refNo={reference-number}&company={company-code}",
-      "POST /api/check-bill with body: { refNo: '...', company: '...' }",
-      "GET /api/companies - Get list of supported companies",
-    ],
+    ...lookupError("NOT_FOUND", "Endpoint not found"),
+    availableEndpoints: listRoutes(),
   });
 });
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error("Unhandled error:", err);
-  res.status(500).json({
-    success: false,
-    error: "Internal server error",
-    message: err.message,
-  });
+  sendServerError(req, res, err);
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 PITC Bill Checker API server running on port ${PORT}`);
-  console.log(`📍 API endpoint: http://localhost:${PORT}/api/check-bill`);
-  console.log(`🏢 Supported companies: http://localhost:${PORT}/api/companies`);
-  console.log(`💚 Health check: http://localhost:${PORT}/health`);
-});
+// Start server when run directly (tests import the app without listening)
+if (require.main === module) {
+  try {
+    checkProxyConfig();
+  } catch (error) {
+    logger.error(error.message);
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    logger.info("PITC Bill Checker API server running", {
+      port: Number(PORT),
+      apiEndpoint: `http://localhost:${PORT}/api/check-bill`,
+      health: `http://localhost:${PORT}/health`,
+    });
+    if (API_KEYS_REQUIRED && !ADMIN_TOKEN && listApiKeys().length === 0) {
+      logger.warn("API keys are required but none exist - set ADMIN_TOKEN to issue one");
+    }
+  });
+  startScheduler();
+}
 
 module.exports = app;
@@ -0,0 +1,276 @@
+const axios = require("axios");
+const cheerio = require("cheerio");
+const { startUpstreamTimer } = require("./metrics");
+
+/**
+ * How long a ViewState session is reused before it is fetched again (ms)
+ * Set PITC_SESSION_MAX_AGE=0 to fetch fresh tokens for every lookup
+ */
+const SESSION_MAX_AGE_MS =
+  (process.env.PITC_SESSION_MAX_AGE !== undefined
+    ? parseInt(process.env.PITC_SESSION_MAX_AGE, 10) || 0
+    : 15 * 60) * 1000;
+
+/**
+ * Messages ASP.NET returns when posted tokens are no longer accepted
+ */
+const STALE_SESSION_PATTERNS = [
+  /validation of viewstate mac failed/i,
+  /the state information is invalid/i,
+  /invalid postback or callback argument/i,
+  /anti-forgery/i,
+];
+
+// Live sessions and in-flight session fetches, keyed by company code
+const sessions = new Map();
+const pending = new Map();
+
+const stats = {
+  created: 0,
+  reused: 0,
+  refreshed: 0,
+};
+
+/**
+ * Extracts the hidden WebForms fields required for form submission
+ *
+ * @param {CheerioStatic} $ - Cheerio object loaded with the form page
+ * @returns {Object|null} Token set or null if required tokens are missing
+ */
+function extractTokens($) {
+  const tokens = {
+    viewState: $("#__VIEWSTATE").val(),
+    viewStateGenerator: $("#__VIEWSTATEGENERATOR").val(),
+    eventValidation: $("#__EVENTVALIDATION").val(),
+    requestVerificationToken: $(
+      'input[name="__RequestVerificationToken"]'
+    ).val(),
+  };
+
+  if (!tokens.viewState || !tokens.viewStateGenerator || !tokens.eventValidation) {
+    return null;
+  }
+
+  return tokens;
+}
+
+/**
+ * Checks whether a page is the portal's search form
+ *
+ * Bill pages and ASP.NET error pages can carry hidden fields of their
+ * own, which the form does not accept; only the form's tokens are kept.
+ *
+ * @param {CheerioStatic} $ - Cheerio object loaded with the page
+ * @returns {boolean}
+ */
+function isSearchForm($) {
+  return $("form #searchTextBox").length > 0 && $("form #btnSearch").length > 0;
+}
+
+/**
+ * Merges Set-Cookie headers into a cookie jar
+ *
+ * @param {Map} jar - Cookie name -> value
+ * @param {Array<string>|undefined} setCookie - Set-Cookie header values
+ */
+function storeCookies(jar, setCookie) {
+  (setCookie || []).forEach((cookie) => {
+    const pair = cookie.split(";")[0];
+    const separator = pair.indexOf("=");
+    if (separator > 0) {
+      jar.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+    }
+  });
+}
+
+/**
+ * Builds the Cookie request header for a session
+ *
+ * @param {Object} session - Session from acquireSession
+ * @returns {string} Cookie header value
+ */
+function getCookieHeader(session) {
+  return Array.from(session.cookies.entries())
+    .map(([name, value]) => `${name}=${value}`)
+    .join("; ");
+}
+
+/**
+ * Fetches the company's form page and creates a new session
+ *
+ * @param {Object} company - Company from COMPANIES
+ * @param {Object} axiosConfig - axios config (timeout, headers, proxy agent)
+ * @param {Object} [http=axios] - axios instance used for the GET
+ * @returns {Promise<Object|null>} Session or null if tokens could not be extracted
+ */
+async function createSession(company, axiosConfig, http = axios) {
+  const done = startUpstreamTimer(company.code, "GET");
+  let response;
+  try {
+    response = await http.get(company.url, axiosConfig);
+    done(response.status);
+  } catch (error) {
+    done(error.response?.status || error.code);
+    throw error;
+  }
+
+  const tokens = extractTokens(cheerio.load(response.data));
+
+  if (!tokens) {
+    return null;
+  }
+
+  const cookies = new Map();
+  storeCookies(cookies, response.headers["set-cookie"]);
+
+  stats.created++;
+
+  return {
+    company: company.code,
+    tokens,
+    cookies,
+    createdAt: Date.now(),
+    lastUsedAt: Date.now(),
+    uses: 0,
+  };
+}
+
+/**
+ * Gets a session (ViewState tokens + cookie jar) for a company
+ *
+ * Sessions are kept per company page URL and reused until they are older
+ * than PITC_SESSION_MAX_AGE or invalidated. Concurrent callers share a
+ * single in-flight GET.
+ *
+ * @param {Object} company - Company from COMPANIES (or a client's copy with its own `url`)
+ * @param {Object} axiosConfig - axios config used for the GET
+ * @param {Object} [options] - Acquire options
+ * @param {boolean} [options.forceRefresh=false] - Always fetch new tokens
+ * @param {Object} [options.http] - axios instance used for the GET (default axios)
+ * @returns {Promise<Object|null>} Session or null if tokens could not be extracted
+ */
+async function acquireSession(company, axiosConfig, options = {}) {
+  const key = company.url;
+  const existing = sessions.get(key);
+
+  if (
+    !options.forceRefresh &&
+    existing &&
+    Date.now() - existing.createdAt < SESSION_MAX_AGE_MS
+  ) {
+    existing.uses++;
+    existing.lastUsedAt = Date.now();
+    stats.reused++;
+    return existing;
+  }
+
+  if (!pending.has(key)) {
+    const request = createSession(company, axiosConfig, options.http)
+      .then((session) => {
+        if (session && SESSION_MAX_AGE_MS > 0) {
+          sessions.set(key, session);
+        } else {
+          sessions.delete(key);
+        }
+        return session;
+      })
+      .finally(() => {
+        pending.delete(key);
+      });
+    pending.set(key, request);
+  }
+
+  const session = await pending.get(key);
+  if (session) {
+    session.uses++;
+  }
+  return session;
+}
+
+/**
+ * Updates a session from a POST response: new cookies and, when the
+ * response page is the form again, its fresh tokens
+ *
+ * @param {Object} session - Session from acquireSession
+ * @param {Object} response - axios response
+ * @param {CheerioStatic} [$] - Cheerio object for the response, if already loaded
+ */
+function updateSession(session, response, $) {
+  storeCookies(session.cookies, response.headers["set-cookie"]);
+
+  const page = $ || cheerio.load(response.data);
+  if (!isSearchForm(page)) {
+    return;
+  }
+  const tokens = extractTokens(page);
+  if (tokens) {
+    session.tokens = tokens;
+  }
+}
+
+/**
+ * Drops a company's session so the next lookup fetches new tokens
+ *
+ * @param {Object} company - Company passed to acquireSession
+ * @param {Object} [session] - Only drop if this is still the pooled session
+ */
+function invalidateSession(company, session) {
+  if (!session || sessions.get(company.url) === session) {
+    sessions.delete(company.url);
+    stats.refreshed++;
+  }
+}
+
+/**
+ * Checks whether the portal rejected a POST because of stale tokens
+ *
+ * Only ASP.NET's token errors count: other error statuses (an outage)
+ * are left to the retry policy rather than fetching a new session each time.
+ *
+ * @param {Object} response - axios response (any status)
+ * @returns {boolean}
+ */
+function isStaleSessionResponse(response) {
+  if (response.status < 400) {
+    return false;
+  }
+
+  const body = typeof response.data === "string" ? response.data : "";
+  return STALE_SESSION_PATTERNS.some((pattern) => pattern.test(body));
+}
+
+/**
+ * Gets pool statistics
+ *
+ * @returns {Object} Counters and per-company session ages
+ */
+function getSessionPoolStats() {
+  return {
+    ...stats,
+    maxAgeSeconds: SESSION_MAX_AGE_MS / 1000,
+    sessions: Array.from(sessions.values()).map((session) => ({
+      company: session.company,
+      ageSeconds: Math.floor((Date.now() - session.createdAt) / 1000),
+      uses: session.uses,
+    })),
+  };
+}
+
+/**
+ * Drops all pooled sessions
+ */
+function clearSessions() {
+  sessions.clear();
+}
+
+module.exports = {
+  acquireSession,
+  updateSession,
+  invalidateSession,
+  isStaleSessionResponse,
+  isSearchForm,
+  getCookieHeader,
+  extractTokens,
+  getSessionPoolStats,
+  clearSessions,
+};
@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+/**
+ * Bill page snapshots
+ *
+ * When a bill page parses with required fields missing, the page is kept
+ * on disk so the new markup can be turned into a test fixture: each
+ * snapshot is saved as <dir>/<company>/<time>-<refNo>.html (the layout the
+ * mock portal reads from test/fixtures) with a .json file next to it
+ * listing the missing and unparsed fields.
+ *
+ * Pages contain the consumer's name and address; keep the directory
+ * private and scrub snapshots before committing them as fixtures.
+ */
+
+/**
+ * Snapshots kept per company; older ones are deleted
+ */
+const MAX_PER_COMPANY = parseInt(process.env.PARSE_SNAPSHOT_MAX, 10) || 20;
+
+/**
+ * Minimum time between two snapshots of the same company (ms), so a
+ * persistent markup change does not write a file for every lookup
+ */
+const MIN_INTERVAL_MS =
+  (parseInt(process.env.PARSE_SNAPSHOT_INTERVAL, 10) || 300) * 1000;
+
+/**
+ * Creates a snapshot store writing to a directory
+ *
+ * @param {Object} [options] - Store options
+ * @param {string} [options.dir] - Directory (default PARSE_SNAPSHOT_DIR or .data/snapshots)
+ * @param {number} [options.maxPerCompany] - Snapshots kept per company
+ * @param {number} [options.minIntervalMs] - Minimum time between snapshots of a company
+ * @returns {Object} Snapshot store
+ */
+function createSnapshotStore(options = {}) {
+  const {
+    dir = process.env.PARSE_SNAPSHOT_DIR || path.join(__dirname, ".data", "snapshots"),
+    maxPerCompany = MAX_PER_COMPANY,
+    minIntervalMs = MIN_INTERVAL_MS,
+  } = options;
+  const lastSavedAt = new Map();
+
+  /**
+   * Deletes a company's oldest snapshots beyond maxPerCompany
+   */
+  const prune = async (companyDir) => {
+    const pages = (await fs.promises.readdir(companyDir))
+      .filter((file) => file.endsWith(".html"))
+      .sort();
+
+    const expired = pages.slice(0, Math.max(pages.length - maxPerCompany, 0));
+    await Promise.all(
+      expired.flatMap((file) => [
+        fs.promises.rm(path.join(companyDir, file), { force: true }),
+        fs.promises.rm(path.join(companyDir, file.replace(/\.html$/, ".json")), {
+          force: true,
+        }),
+      ])
+    );
+  };
+
+  return {
+    dir,
+
+    /**
+     * Saves a bill page; skipped while the company's last snapshot is
+     * more recent than minIntervalMs. Write errors are logged, not thrown.
+     *
+     * @param {Object} snapshot - Snapshot
+     * @param {string} snapshot.company - Company code
+     * @param {string} snapshot.refNo - Reference number or customer ID
+     * @param {string} snapshot.html - Page HTML
+     * @param {Array<string>} [snapshot.missingFields] - Required fields not found
+     * @param {Array<Object>} [snapshot.unparsedFields] - Fields whose value could not be parsed
+     * @param {string} [snapshot.parseError] - Parser exception message
+     * @returns {Promise<string|null>} Path of the saved page, or null if skipped
+     */
+    async save({ company, refNo, html, missingFields = [], unparsedFields = [], parseError }) {
+      const now = Date.now();
+      if (now - (lastSavedAt.get(company) ?? -Infinity) < minIntervalMs) {
+        return null;
+      }
+      lastSavedAt.set(company, now);
+
+      const companyDir = path.join(dir, company);
+      const name = `${new Date(now).toISOString().replace(/[:.]/g, "-")}-${refNo}`;
+      const filePath = path.join(companyDir, `${name}.html`);
+
+      try {
+        await fs.promises.mkdir(companyDir, { recursive: true });
+        await fs.promises.writeFile(filePath, html);
+        await fs.promises.writeFile(
+          path.join(companyDir, `${name}.json`),
+          JSON.stringify(
+            {
+              company,
+              refNo,
+              capturedAt: new Date(now).toISOString(),
+              missingFields,
+              unparsedFields,
+              parseError,
+            },
+            null,
+            2
+          )
+        );
+        await prune(companyDir);
+        return filePath;
+      } catch (error) {
+        logger.error("Error writing bill page snapshot", { company, error: error.message });
+        return null;
+      }
+    },
+
+    /**
+     * Lists saved snapshots of a company, oldest first
+     *
+     * @param {string} company - Company code
+     * @returns {Promise<Array<string>>} Paths of the saved pages
+     */
+    async list(company) {
+      const companyDir = path.join(dir, company);
+      try {
+        return (await fs.promises.readdir(companyDir))
+          .filter((file) => file.endsWith(".html"))
+          .sort()
+          .map((file) => path.join(companyDir, file));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return [];
+        }
+        throw error;
+      }
+    },
+  };
+}
+
+let store;
+
+/**
+ * Gets the shared snapshot store, created from the environment on first
+ * use; null when PARSE_SNAPSHOTS=false
+ *
+ * @returns {Object|null} Snapshot store
+ */
+function getSnapshotStore() {
+  if (store === undefined) {
+    store = process.env.PARSE_SNAPSHOTS === "false" ? null : createSnapshotStore();
+  }
+  return store;
+}
+
+/**
+ * Replaces the shared snapshot store (e.g. in tests); null disables
+ * snapshots, undefined recreates the store from the environment
+ *
+ * @param {Object|null|undefined} newStore - Store from createSnapshotStore
+ */
+function setSnapshotStore(newStore) {
+  store = newStore;
+}
+
+module.exports = {
+  createSnapshotStore,
+  getSnapshotStore,
+  setSnapshotStore,
+};
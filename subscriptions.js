@@ -0,0 +1,708 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getCachedPITCBill } = require("./cache");
+const { withPaymentStatus } = require("./bill-lookup");
+const { logger } = require("./logger");
+const { lookupError } = require("./errors");
+const {
+  validateBatchItem,
+  mapWithConcurrency,
+  DEFAULT_CONCURRENCY,
+} = require("./batch");
+const {
+  generateSecret,
+  getRetryDelay,
+  sendWebhook,
+  checkWebhookTarget,
+} = require("./webhooks");
+
+/**
+ * How often each subscription's bill is looked up (seconds)
+ */
+const CHECK_INTERVAL_SECONDS =
+  parseInt(process.env.SUBSCRIPTION_CHECK_INTERVAL, 10) || 6 * 60 * 60;
+
+/**
+ * How often the scheduler wakes up to run due checks and retries (seconds)
+ */
+const SCHEDULER_TICK_SECONDS = parseInt(process.env.SCHEDULER_TICK, 10) || 60;
+
+/**
+ * Finished deliveries kept in the log; the oldest are dropped beyond this
+ */
+const DELIVERY_LOG_LIMIT = parseInt(process.env.DELIVERY_LOG_LIMIT, 10) || 1000;
+
+/**
+ * Default reminder lead time for bill.due_soon (days before the due date)
+ */
+const DEFAULT_REMINDER_DAYS = 3;
+const MAX_REMINDER_DAYS = 30;
+
+/**
+ * Event types a subscription can receive
+ *   bill.issued         - a bill for a new month has been issued
+ *   bill.due_soon       - the due date is reminderDays or fewer days away
+ *   bill.after_due_date - the due date has passed and the late amount applies
+ */
+const EVENT_TYPES = ["bill.issued", "bill.due_soon", "bill.after_due_date"];
+
+/**
+ * Bills carry local (PKT, UTC+5) dates
+ */
+const PKT_OFFSET_MS = 5 * 60 * 60 * 1000;
+
+/**
+ * Creates a subscription store, persisted to a JSON file when a path is given
+ *
+ * @param {Object} [options] - Store options
+ * @param {string|null} [options.filePath] - JSON file (default SUBSCRIPTIONS_FILE
+ *   or .data/subscriptions.json); null keeps everything in memory
+ * @returns {Object} Store with `subscriptions` (Map by id), `deliveries` (array) and save()
+ */
+function createSubscriptionStore(options = {}) {
+  const filePath =
+    options.filePath !== undefined
+      ? options.filePath
+      : process.env.SUBSCRIPTIONS_FILE ||
+        path.join(__dirname, ".data", "subscriptions.json");
+  const subscriptions = new Map();
+  const deliveries = [];
+
+  if (filePath) {
+    try {
+      const stored = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      (stored.subscriptions || []).forEach((subscription) => {
+        subscriptions.set(subscription.id, subscription);
+      });
+      deliveries.push(...(stored.deliveries || []));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.error("Error loading subscriptions file", { error: error.message });
+      }
+    }
+  }
+
+  // Serialize writes so concurrent changes never interleave
+  let pendingWrite = Promise.resolve();
+  const save = () => {
+    if (!filePath) {
+      return pendingWrite;
+    }
+    pendingWrite = pendingWrite
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(
+          tmpPath,
+          JSON.stringify({
+            subscriptions: [...subscriptions.values()],
+            deliveries,
+          })
+        );
+        await fs.promises.rename(tmpPath, filePath);
+      })
+      .catch((error) => {
+        logger.error("Error writing subscriptions file", { error: error.message });
+      });
+    return pendingWrite;
+  };
+
+  return {
+    filePath,
+    subscriptions,
+    deliveries,
+    save,
+  };
+}
+
+let store = createSubscriptionStore();
+let schedulerTimer = null;
+let checksRunning = false;
+
+/**
+ * Replaces the subscription store (e.g. an in-memory one in tests)
+ *
+ * @param {Object} newStore - Store from createSubscriptionStore
+ */
+function setSubscriptionStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Creates a prefixed random id
+ *
+ * @param {string} prefix - Id prefix
+ * @returns {string} Id such as "sub_5f0c2a9e41b7d3a8"
+ */
+function createId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+/**
+ * Returns today's date in Pakistan as YYYY-MM-DD
+ *
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string} ISO date
+ */
+function getLocalDate(now = Date.now()) {
+  return new Date(now + PKT_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Days from one ISO date to another (negative when `to` is earlier)
+ *
+ * @returns {number} Whole days
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Strips the signing secret from a subscription for API responses
+ *
+ * @param {Object} subscription - Stored subscription
+ * @returns {Object} Subscription without `secret`
+ */
+function toPublicSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+/**
+ * Validates the webhook settings of a new subscription
+ *
+ * The webhook host must resolve to public addresses only (see
+ * checkWebhookTarget), unless it is listed in WEBHOOK_ALLOWED_HOSTS.
+ *
+ * @param {Object} input - { webhookUrl, reminderDays, events }
+ * @returns {Promise<Object>} { valid, error } or { valid, webhookUrl, reminderDays, events }
+ */
+async function validateWebhookSettings(input) {
+  const { webhookUrl, reminderDays = DEFAULT_REMINDER_DAYS, events = EVENT_TYPES } = input;
+
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return {
+      valid: false,
+      error: "webhookUrl must be an absolute http(s) URL",
+    };
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") {
+    return {
+      valid: false,
+      error: "webhookUrl must be an absolute http(s) URL",
+    };
+  }
+
+  const target = await checkWebhookTarget(url.toString());
+  if (!target.allowed) {
+    return {
+      valid: false,
+      error: target.error,
+    };
+  }
+
+  const days = Number(reminderDays);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_REMINDER_DAYS) {
+    return {
+      valid: false,
+      error: `reminderDays must be a whole number between 0 and ${MAX_REMINDER_DAYS}`,
+    };
+  }
+
+  if (
+    !Array.isArray(events) ||
+    events.length === 0 ||
+    events.some((event) => !EVENT_TYPES.includes(event))
+  ) {
+    return {
+      valid: false,
+      error: `events must be a non-empty list of: ${EVENT_TYPES.join(", ")}`,
+    };
+  }
+
+  return {
+    valid: true,
+    webhookUrl: url.toString(),
+    reminderDays: days,
+    events: [...new Set(events)],
+  };
+}
+
+/**
+ * Registers a subscription
+ *
+ * The first check runs on the next scheduler tick. The bill found then is
+ * recorded as the baseline, so bill.issued fires from the following bill on.
+ *
+ * @param {Object} input - Subscription request
+ * @param {string} input.refNo - Reference number or customer ID
+ * @param {string} [input.company] - Company code (inferred from the reference number when omitted, else hesco)
+ * @param {string} input.webhookUrl - URL receiving the events
+ * @param {string} [input.searchBy="refno"] - Search mode
+ * @param {string} [input.ruCode] - Urban/rural code
+ * @param {number} [input.reminderDays=3] - Lead time for bill.due_soon
+ * @param {Array<string>} [input.events] - Event types to send (default all)
+ * @param {string} [input.secret] - Signing secret (generated when omitted)
+ * @param {Object} [options] - Options
+ * @param {string} [options.ownerKeyId] - API key the subscription belongs to
+ * @returns {Promise<Object>} { success, subscription } including the secret, or a coded
+ *   failure (see errors.js)
+ */
+async function createSubscription(input = {}, options = {}) {
+  const validation = validateBatchItem(input);
+  if (!validation.valid) {
+    return lookupError(validation.code || "INVALID_REQUEST", validation.error);
+  }
+
+  const settings = await validateWebhookSettings(input);
+  if (!settings.valid) {
+    return lookupError("INVALID_REQUEST", settings.error);
+  }
+
+  const now = new Date().toISOString();
+  const subscription = {
+    id: createId("sub"),
+    refNo: validation.refNo,
+    company: validation.company,
+    searchBy: validation.searchBy,
+    ruCode: validation.ruCode,
+    webhookUrl: settings.webhookUrl,
+    reminderDays: settings.reminderDays,
+    events: settings.events,
+    secret: input.secret ? String(input.secret) : generateSecret(),
+    ownerKeyId: options.ownerKeyId ?? null,
+    createdAt: now,
+    nextCheckAt: now,
+    lastCheckedAt: null,
+    lastError: null,
+    state: {
+      billKey: null,
+      notified: {},
+    },
+  };
+
+  store.subscriptions.set(subscription.id, subscription);
+  await store.save();
+
+  return {
+    success: true,
+    subscription,
+  };
+}
+
+/**
+ * Whether a subscription is visible to the given owner
+ *
+ * Without an owner (ownerKeyId undefined, e.g. when API keys are not
+ * required) every subscription is visible.
+ *
+ * @param {Object} subscription - Stored subscription
+ * @param {string} [ownerKeyId] - API key id of the caller
+ * @returns {boolean}
+ */
+function isOwnedBy(subscription, ownerKeyId) {
+  return ownerKeyId === undefined || subscription.ownerKeyId === ownerKeyId;
+}
+
+/**
+ * Lists subscriptions (without secrets)
+ *
+ * @param {Object} [options] - Options
+ * @param {string} [options.ownerKeyId] - Only those of this API key
+ * @returns {Array<Object>} Subscriptions
+ */
+function listSubscriptions(options = {}) {
+  return [...store.subscriptions.values()]
+    .filter((subscription) => isOwnedBy(subscription, options.ownerKeyId))
+    .map(toPublicSubscription);
+}
+
+/**
+ * Gets a subscription by id (without its secret)
+ *
+ * @param {string} id - Subscription id
+ * @param {Object} [options] - Options
+ * @param {string} [options.ownerKeyId] - Only if it belongs to this API key
+ * @returns {Object|null} Subscription or null if unknown or not owned
+ */
+function getSubscription(id, options = {}) {
+  const subscription = store.subscriptions.get(id);
+  return subscription && isOwnedBy(subscription, options.ownerKeyId)
+    ? toPublicSubscription(subscription)
+    : null;
+}
+
+/**
+ * Removes a subscription; its pending deliveries are dropped
+ *
+ * @param {string} id - Subscription id
+ * @param {Object} [options] - Options
+ * @param {string} [options.ownerKeyId] - Only if it belongs to this API key
+ * @returns {Promise<boolean>} Whether the subscription existed (and was owned)
+ */
+async function deleteSubscription(id, options = {}) {
+  const subscription = store.subscriptions.get(id);
+  if (!subscription || !isOwnedBy(subscription, options.ownerKeyId)) {
+    return false;
+  }
+  store.subscriptions.delete(id);
+
+  store.deliveries.forEach((delivery) => {
+    if (delivery.subscriptionId === id && delivery.status === "pending") {
+      delivery.status = "failed";
+      delivery.lastError = "Subscription deleted";
+      delivery.nextAttemptAt = null;
+    }
+  });
+  await store.save();
+  return true;
+}
+
+/**
+ * Gets the delivery log of a subscription, newest first
+ *
+ * @param {string} subscriptionId - Subscription id
+ * @returns {Array<Object>} Deliveries
+ */
+function getDeliveries(subscriptionId) {
+  return store.deliveries
+    .filter((delivery) => delivery.subscriptionId === subscriptionId)
+    .reverse();
+}
+
+/**
+ * Works out which events a freshly fetched bill triggers
+ *
+ * Pure function: returns the events together with the subscription state
+ * to store afterwards. Each bill (identified by its month) triggers every
+ * event type at most once. Bills whose `payment.status` is "paid" get no
+ * payment reminders.
+ *
+ * @param {Object} subscription - Stored subscription
+ * @param {Object} bill - Parsed bill (result.data from getPITCBill)
+ * @param {string} today - Local date as YYYY-MM-DD
+ * @returns {Object} { events: [{ type, data }], state }
+ */
+function detectEvents(subscription, bill, today) {
+  const { billDetails = {}, charges = {}, payment = {} } = bill;
+  const billKey = billDetails.billMonth || billDetails.issueDate || billDetails.dueDate;
+  const previous = subscription.state || { billKey: null, notified: {} };
+  const state = { billKey: billKey || previous.billKey, notified: { ...previous.notified } };
+  const events = [];
+
+  if (!billKey) {
+    return { events, state };
+  }
+
+  const daysUntilDue = billDetails.dueDate ? daysBetween(today, billDetails.dueDate) : null;
+  const data = {
+    billMonth: billDetails.billMonth || null,
+    issueDate: billDetails.issueDate || null,
+    dueDate: billDetails.dueDate || null,
+    daysUntilDue,
+    unitsConsumed: billDetails.unitsConsumed ?? null,
+    totalAmount: charges.totalAmount ?? null,
+    amountAfterDueDate: charges.amountAfterDueDate ?? null,
+  };
+
+  const fire = (type) => {
+    state.notified[type] = billKey;
+    if (subscription.events.includes(type)) {
+      events.push({ type, data });
+    }
+  };
+
+  // A different bill than last time; the very first one is only the baseline
+  if (previous.billKey && previous.billKey !== billKey) {
+    fire("bill.issued");
+  }
+
+  if (payment.status === "paid") {
+    return { events, state };
+  }
+
+  if (
+    daysUntilDue !== null &&
+    daysUntilDue >= 0 &&
+    daysUntilDue <= subscription.reminderDays &&
+    state.notified["bill.due_soon"] !== billKey
+  ) {
+    fire("bill.due_soon");
+  }
+
+  if (
+    daysUntilDue !== null &&
+    daysUntilDue < 0 &&
+    typeof charges.amountAfterDueDate === "number" &&
+    state.notified["bill.after_due_date"] !== billKey
+  ) {
+    fire("bill.after_due_date");
+  }
+
+  return { events, state };
+}
+
+/**
+ * Drops the oldest finished deliveries beyond DELIVERY_LOG_LIMIT
+ */
+function trimDeliveryLog() {
+  let excess = store.deliveries.length - DELIVERY_LOG_LIMIT;
+  for (let i = 0; i < store.deliveries.length && excess > 0; ) {
+    if (store.deliveries[i].status !== "pending") {
+      store.deliveries.splice(i, 1);
+      excess--;
+    } else {
+      i++;
+    }
+  }
+}
+
+/**
+ * Makes one delivery attempt and schedules a retry when it fails
+ *
+ * @param {Object} delivery - Delivery log entry
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Object>} The updated delivery
+ */
+async function attemptDelivery(delivery, now = Date.now()) {
+  const subscription = store.subscriptions.get(delivery.subscriptionId);
+
+  if (!subscription) {
+    delivery.status = "failed";
+    delivery.lastError = "Subscription deleted";
+    delivery.nextAttemptAt = null;
+    return delivery;
+  }
+
+  const outcome = await sendWebhook(subscription.webhookUrl, subscription.secret, delivery.payload);
+
+  delivery.attempts.push({
+    at: new Date(now).toISOString(),
+    statusCode: outcome.statusCode,
+    error: outcome.error,
+    durationMs: outcome.durationMs,
+  });
+  delivery.lastStatusCode = outcome.statusCode;
+  delivery.lastError = outcome.error;
+
+  if (outcome.ok) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date(now).toISOString();
+    delivery.nextAttemptAt = null;
+    return delivery;
+  }
+
+  const retryDelay = getRetryDelay(delivery.attempts.length);
+  if (retryDelay === null) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    logger.error("Webhook delivery failed", {
+      deliveryId: delivery.id,
+      subscriptionId: delivery.subscriptionId,
+      attempts: delivery.attempts.length,
+      error: outcome.error,
+    });
+  } else {
+    delivery.nextAttemptAt = new Date(now + retryDelay).toISOString();
+  }
+
+  return delivery;
+}
+
+/**
+ * Looks up a subscription's bill and delivers any events it triggers
+ *
+ * Lookups go through the bill cache, so a new bill shows up at most one
+ * cache TTL after it is issued. Failed lookups are recorded on the
+ * subscription and retried at the next check.
+ *
+ * @param {Object} subscription - Stored subscription
+ * @param {Object} [options] - Check options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Object>} { success, events, deliveries } or { success: false, error }
+ */
+async function checkSubscription(subscription, options = {}) {
+  const { now = Date.now() } = options;
+
+  subscription.lastCheckedAt = new Date(now).toISOString();
+  subscription.nextCheckAt = new Date(now + CHECK_INTERVAL_SECONDS * 1000).toISOString();
+
+  const { result } = await getCachedPITCBill(subscription.refNo, subscription.company, {
+    searchBy: subscription.searchBy,
+    ruCode: subscription.ruCode,
+  });
+
+  if (!result.success) {
+    subscription.lastError = result.error;
+    await store.save();
+    return {
+      success: false,
+      error: result.error,
+    };
+  }
+
+  subscription.lastError = null;
+  // The payment status as of this check, not of the cache entry
+  const { data } = withPaymentStatus(result, new Date(now));
+  const { events, state } = detectEvents(subscription, data, getLocalDate(now));
+  subscription.state = state;
+
+  const deliveries = events.map(({ type, data }) => {
+    const id = createId("evt");
+    return {
+      id,
+      subscriptionId: subscription.id,
+      event: type,
+      status: "pending",
+      createdAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now).toISOString(),
+      deliveredAt: null,
+      lastStatusCode: null,
+      lastError: null,
+      attempts: [],
+      payload: {
+        id,
+        type,
+        createdAt: new Date(now).toISOString(),
+        subscription: {
+          id: subscription.id,
+          refNo: subscription.refNo,
+          company: subscription.company,
+        },
+        data,
+      },
+    };
+  });
+
+  store.deliveries.push(...deliveries);
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery, now);
+  }
+  trimDeliveryLog();
+  await store.save();
+
+  return {
+    success: true,
+    events: events.map((event) => event.type),
+    deliveries,
+  };
+}
+
+/**
+ * Retries failed deliveries whose next attempt is due
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function retryDeliveries(options = {}) {
+  const { now = Date.now() } = options;
+  const due = store.deliveries.filter(
+    (delivery) =>
+      delivery.status === "pending" &&
+      delivery.nextAttemptAt &&
+      Date.parse(delivery.nextAttemptAt) <= now
+  );
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery, now);
+  }
+  if (due.length) {
+    await store.save();
+  }
+
+  return due.length;
+}
+
+/**
+ * One scheduler pass: retries due deliveries, then checks every
+ * subscription whose next check is due
+ *
+ * Overlapping passes are skipped.
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Promise<Object>} { checked, retried } or { skipped: true }
+ */
+async function runScheduledChecks(options = {}) {
+  const { now = Date.now() } = options;
+
+  if (checksRunning) {
+    return { skipped: true };
+  }
+  checksRunning = true;
+
+  try {
+    const retried = await retryDeliveries({ now });
+    const due = [...store.subscriptions.values()].filter(
+      (subscription) => Date.parse(subscription.nextCheckAt) <= now
+    );
+
+    await mapWithConcurrency(due, DEFAULT_CONCURRENCY, async (subscription) => {
+      try {
+        await checkSubscription(subscription, { now });
+      } catch (error) {
+        subscription.lastError = error.message;
+        logger.error("Subscription check failed", {
+          subscriptionId: subscription.id,
+          error: error.message,
+        });
+      }
+    });
+
+    return { checked: due.length, retried };
+  } finally {
+    checksRunning = false;
+  }
+}
+
+/**
+ * Starts the background scheduler (no-op if already running)
+ *
+ * @param {Object} [options] - Options
+ * @param {number} [options.tickSeconds] - Interval between passes (default SCHEDULER_TICK or 60)
+ */
+function startScheduler(options = {}) {
+  const { tickSeconds = SCHEDULER_TICK_SECONDS } = options;
+
+  if (schedulerTimer) {
+    return;
+  }
+
+  schedulerTimer = setInterval(() => {
+    runScheduledChecks().catch((error) => {
+      logger.error("Subscription scheduler error", { error });
+    });
+  }, tickSeconds * 1000);
+  schedulerTimer.unref();
+}
+
+/**
+ * Stops the background scheduler
+ */
+function stopScheduler() {
+  clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+module.exports = {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  getDeliveries,
+  detectEvents,
+  checkSubscription,
+  retryDeliveries,
+  runScheduledChecks,
+  startScheduler,
+  stopScheduler,
+  createSubscriptionStore,
+  setSubscriptionStore,
+  toPublicSubscription,
+  EVENT_TYPES,
+};
@@ -0,0 +1,535 @@
+/**
+ * NEPRA tariff engine
+ *
+ * Estimates an electricity bill from units consumed and a tariff code, and
+ * audits parsed PITC bills against the estimate. Tariff tables are versioned
+ * by effective date; add a new entry to TARIFF_VERSIONS whenever NEPRA
+ * notifies revised rates.
+ */
+
+/**
+ * Slab billing methods
+ *
+ * incremental - each slab's units are charged at that slab's rate
+ * single-slab - all units are charged at the rate of the slab reached
+ */
+const BILLING_METHODS = {
+  INCREMENTAL: "incremental",
+  SINGLE_SLAB: "single-slab",
+};
+
+/**
+ * Versioned tariff tables
+ *
+ * Rates are Rs/kWh. `upTo: null` marks the open-ended last slab. Taxes are
+ * shared by all tariffs of a version:
+ *   electricityDuty - share of energy charges
+ *   gst             - share of energy charges + FC surcharge + FPA + QTA
+ *   fcSurcharge     - Rs/kWh, not charged to protected/lifeline consumers
+ *   tvFee           - Rs per bill, by category
+ *   incomeTax       - rate above a bill threshold, only when requested
+ */
+const TARIFF_VERSIONS = [
+  {
+    version: "2023-07",
+    effectiveFrom: "2023-07-01",
+    tariffs: {
+      "residential-lifeline": {
+        name: "Residential (lifeline)",
+        category: "residential",
+        method: BILLING_METHODS.INCREMENTAL,
+        protected: true,
+        slabs: [
+          { upTo: 50, rate: 3.95 },
+          { upTo: 100, rate: 7.74 },
+        ],
+      },
+      "residential-protected": {
+        name: "Residential (protected)",
+        category: "residential",
+        method: BILLING_METHODS.INCREMENTAL,
+        protected: true,
+        slabs: [
+          { upTo: 100, rate: 7.74 },
+          { upTo: 200, rate: 10.06 },
+        ],
+      },
+      "residential-unprotected": {
+        name: "Residential (unprotected)",
+        category: "residential",
+        method: BILLING_METHODS.SINGLE_SLAB,
+        protected: false,
+        slabs: [
+          { upTo: 100, rate: 16.48 },
+          { upTo: 200, rate: 22.95 },
+          { upTo: 300, rate: 27.14 },
+          { upTo: 400, rate: 32.03 },
+          { upTo: 500, rate: 35.24 },
+          { upTo: 600, rate: 36.66 },
+          { upTo: 700, rate: 37.8 },
+          { upTo: null, rate: 42.72 },
+        ],
+      },
+      commercial: {
+        name: "Commercial (A-2a)",
+        category: "commercial",
+        method: BILLING_METHODS.SINGLE_SLAB,
+        protected: false,
+        slabs: [{ upTo: null, rate: 48.42 }],
+      },
+      industrial: {
+        name: "Industrial (B-1)",
+        category: "industrial",
+        method: BILLING_METHODS.SINGLE_SLAB,
+        protected: false,
+        slabs: [{ upTo: null, rate: 38.36 }],
+      },
+    },
+    taxes: {
+      electricityDuty: 0.015,
+      gst: 0.18,
+      fcSurcharge: 3.23,
+      tvFee: { residential: 35, commercial: 60, industrial: 60 },
+      incomeTax: { threshold: 25000, rate: 0.075 },
+    },
+  },
+  {
+    version: "2024-07",
+    effectiveFrom: "2024-07-01",
+    tariffs: {
+      "residential-lifeline": {
+        name: "Residential (lifeline)",
+        category: "residential",
+        method: BILLING_METHODS.INCREMENTAL,
+        protected: true,
+        slabs: [
+          { upTo: 50, rate: 3.95 },
+          { upTo: 100, rate: 7.74 },
+        ],
+      },
+      "residential-protected": {
+        name: "Residential (protected)",
+        category: "residential",
+        method: BILLING_METHODS.INCREMENTAL,
+        protected: true,
+        slabs: [
+          { upTo: 100, rate: 10.54 },
+          { upTo: 200, rate: 13.01 },
+        ],
+      },
+      "residential-unprotected": {
+        name: "Residential (unprotected)",
+        category: "residential",
+        method: BILLING_METHODS.SINGLE_SLAB,
+        protected: false,
+        slabs: [
+          { upTo: 100, rate: 22.44 },
+          { upTo: 200, rate: 28.91 },
+          { upTo: 300, rate: 33.1 },
+          { upTo: 400, rate: 37.99 },
+          { upTo: 500, rate: 40.2 },
+          { upTo: 600, rate: 41.62 },
+          { upTo: 700, rate: 42.76 },
+          { upTo: null, rate: 47.69 },
+        ],
+      },
+      commercial: {
+        name: "Commercial (A-2a)",
+        category: "commercial",
+        method: BILLING_METHODS.SINGLE_SLAB,
+        protected: false,
+        slabs: [{ upTo: null, rate: 62.47 }],
+      },
+      industrial: {
+        name: "Industrial (B-1)",
+        category: "industrial",
+        method: BILLING_METHODS.SINGLE_SLAB,
+        protected: false,
+        slabs: [{ upTo: null, rate: 46.3 }],
+      },
+    },
+    taxes: {
+      electricityDuty: 0.015,
+      gst: 0.18,
+      fcSurcharge: 3.23,
+      tvFee: { residential: 35, commercial: 60, industrial: 60 },
+      incomeTax: { threshold: 25000, rate: 0.075 },
+    },
+  },
+];
+
+/**
+ * Units per month above which a residential consumer loses protected status
+ */
+const PROTECTED_UNIT_LIMIT = 200;
+
+/**
+ * Months of consumption considered for protected status
+ */
+const PROTECTED_MONTHS = 6;
+
+/**
+ * Differences up to this amount (Rs) or share of the billed amount are
+ * treated as rounding
+ */
+const AUDIT_TOLERANCE = { amount: 5, ratio: 0.01 };
+
+/**
+ * Rounds to whole rupees, as printed on bills
+ *
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundRupees(value) {
+  return Math.round(value);
+}
+
+/**
+ * ISO date (YYYY-MM-DD) accepted in place of a version name
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Gets the tariff version in force on a date, or a version by name
+ *
+ * @param {string} [versionOrDate] - Version ("2024-07") or ISO date; latest when omitted
+ * @returns {Object|null} Tariff version, or null if none applies or the
+ *   value is neither a version name nor an ISO date
+ */
+function getTariffVersion(versionOrDate) {
+  const sorted = [...TARIFF_VERSIONS].sort((a, b) =>
+    a.effectiveFrom.localeCompare(b.effectiveFrom)
+  );
+
+  if (!versionOrDate) {
+    return sorted[sorted.length - 1];
+  }
+
+  const byName = sorted.find((v) => v.version === versionOrDate);
+  if (byName) {
+    return byName;
+  }
+
+  if (!ISO_DATE_PATTERN.test(versionOrDate)) {
+    return null;
+  }
+
+  const inForce = sorted.filter((v) => v.effectiveFrom <= versionOrDate);
+  return inForce.length ? inForce[inForce.length - 1] : null;
+}
+
+/**
+ * Lists tariff versions and codes
+ *
+ * @returns {Array<Object>} [{ version, effectiveFrom, tariffs: [{ code, name }] }]
+ */
+function listTariffs() {
+  return TARIFF_VERSIONS.map((v) => ({
+    version: v.version,
+    effectiveFrom: v.effectiveFrom,
+    tariffs: Object.entries(v.tariffs).map(([code, t]) => ({
+      code,
+      name: t.name,
+    })),
+  }));
+}
+
+/**
+ * Computes energy charges slab by slab
+ *
+ * @param {Object} tariff - Tariff definition
+ * @param {number} units - Units consumed
+ * @returns {Array<Object>} [{ from, to, units, rate, amount }]
+ */
+function computeSlabs(tariff, units) {
+  const lines = [];
+  let from = 0;
+
+  for (const slab of tariff.slabs) {
+    const to = slab.upTo === null ? Infinity : slab.upTo;
+
+    if (tariff.method === BILLING_METHODS.SINGLE_SLAB) {
+      if (units <= to) {
+        lines.push({
+          from: 1,
+          to: slab.upTo,
+          units,
+          rate: slab.rate,
+          amount: units * slab.rate,
+        });
+        break;
+      }
+    } else {
+      const slabUnits = Math.max(Math.min(units, to) - from, 0);
+      if (slabUnits > 0) {
+        lines.push({
+          from: from + 1,
+          to: slab.upTo,
+          units: slabUnits,
+          rate: slab.rate,
+          amount: slabUnits * slab.rate,
+        });
+      }
+    }
+
+    from = to;
+  }
+
+  return lines;
+}
+
+/**
+ * Estimates a bill from units and tariff code
+ *
+ * @param {Object} params - Estimate parameters
+ * @param {number} params.units - Units consumed (kWh)
+ * @param {string} params.tariff - Tariff code (see listTariffs)
+ * @param {string} [params.version] - Tariff version or ISO date (latest when omitted)
+ * @param {number} [params.fpaRate=0] - Fuel price adjustment (Rs/kWh, may be negative)
+ * @param {number} [params.qtaRate=0] - Quarterly tariff adjustment (Rs/kWh, may be negative)
+ * @param {number} [params.meterRent=0] - Meter rent for the bill (Rs), subject to GST
+ * @param {boolean} [params.incomeTax=false] - Apply income tax (non-filers above the threshold)
+ * @returns {Object} Estimate or { error }
+ *
+ * @example
+ * const estimate = estimateBill({ units: 288, tariff: "residential-unprotected" });
+ * console.log(estimate.total);
+ */
+function estimateBill(params) {
+  const { tariff: tariffCode, fpaRate = 0, qtaRate = 0, meterRent = 0 } = params;
+  const units = Number(params.units);
+
+  if (!Number.isInteger(units) || units < 0) {
+    return { error: "Units must be a non-negative whole number" };
+  }
+
+  const amounts = { fpaRate, qtaRate, meterRent };
+  const invalid = Object.keys(amounts).find((key) => !Number.isFinite(amounts[key]));
+  if (invalid) {
+    return { error: `${invalid} must be a number` };
+  }
+  if (params.incomeTax !== undefined && typeof params.incomeTax !== "boolean") {
+    return { error: "incomeTax must be true or false" };
+  }
+
+  const version = getTariffVersion(params.version);
+  if (!version) {
+    return {
+      error: ISO_DATE_PATTERN.test(params.version)
+        ? `No tariff in force for ${params.version}`
+        : `Unknown tariff version "${params.version}". Use one of ${TARIFF_VERSIONS.map(
+            (v) => v.version
+          ).join(", ")} or an ISO date`,
+    };
+  }
+
+  const tariff = version.tariffs[tariffCode];
+  if (!tariff) {
+    return {
+      error: `Invalid tariff code. Supported: ${Object.keys(version.tariffs).join(", ")}`,
+    };
+  }
+
+  const limit = tariff.slabs[tariff.slabs.length - 1].upTo;
+  if (limit !== null && units > limit) {
+    return {
+      error: `${tariff.name} tariff only applies up to ${limit} units`,
+    };
+  }
+
+  const { taxes } = version;
+  const slabs = computeSlabs(tariff, units);
+  const energyCharges = slabs.reduce((sum, line) => sum + line.amount, 0);
+
+  const fcSurcharge = tariff.protected ? 0 : units * taxes.fcSurcharge;
+  const fpa = units * fpaRate;
+  const qta = units * qtaRate;
+  const electricityDuty = energyCharges * taxes.electricityDuty;
+  const gst = (energyCharges + fcSurcharge + fpa + qta + meterRent) * taxes.gst;
+  const tvFee = taxes.tvFee[tariff.category] || 0;
+
+  const subtotal =
+    energyCharges + fcSurcharge + fpa + qta + meterRent + electricityDuty + gst + tvFee;
+  const incomeTax =
+    params.incomeTax && subtotal > taxes.incomeTax.threshold
+      ? subtotal * taxes.incomeTax.rate
+      : 0;
+
+  return {
+    tariff: tariffCode,
+    tariffName: tariff.name,
+    version: version.version,
+    units,
+    method: tariff.method,
+    slabs: slabs.map((line) => ({ ...line, amount: roundRupees(line.amount) })),
+    charges: {
+      energyCharges: roundRupees(energyCharges),
+      fcSurcharge: roundRupees(fcSurcharge),
+      fpa: roundRupees(fpa),
+      qta: roundRupees(qta),
+      meterRent: roundRupees(meterRent),
+      electricityDuty: roundRupees(electricityDuty),
+      gst: roundRupees(gst),
+      tvFee: roundRupees(tvFee),
+      incomeTax: roundRupees(incomeTax),
+    },
+    total: roundRupees(subtotal + incomeTax),
+  };
+}
+
+/**
+ * Maps a PITC tariff string to a tariff code
+ *
+ * Residential consumers are protected while they used at most 200 units in
+ * each of the last six months (history plus the current bill).
+ *
+ * @param {string} pitcTariff - Tariff as printed on the bill ("A-1a(01)")
+ * @param {number} units - Units on the current bill
+ * @param {Array<Object>} [history] - Bill history entries ({ units })
+ * @returns {string|null} Tariff code or null if unknown
+ */
+function resolveTariffCode(pitcTariff, units, history = []) {
+  const code = String(pitcTariff || "").toUpperCase().replace(/\s+/g, "");
+
+  if (code.startsWith("A-1") || code.startsWith("A1")) {
+    const recent = [units, ...history.slice(0, PROTECTED_MONTHS - 1).map((h) => h.units)];
+    const isProtected = recent.every(
+      (u) => typeof u === "number" && u <= PROTECTED_UNIT_LIMIT
+    );
+    return isProtected ? "residential-protected" : "residential-unprotected";
+  }
+  if (code.startsWith("A-2") || code.startsWith("A2")) {
+    return "commercial";
+  }
+  if (code.startsWith("B")) {
+    return "industrial";
+  }
+  return null;
+}
+
+/**
+ * Audits a parsed bill against the tariff estimate
+ *
+ * Compares the billed charges that are present on the bill with the
+ * computed ones and flags differences beyond rounding.
+ *
+ * @param {Object} billData - Parsed bill (result.data from getPITCBill)
+ * @param {Object} [options] - { fpaRate, qtaRate } if known
+ * @returns {Object} { status, tariff, version, estimate, checks, unchecked, discrepancies }
+ *   where status is "match", "mismatch" or "unavailable" and `unchecked`
+ *   lists billed charges that were not compared
+ */
+function auditBill(billData, options = {}) {
+  const { billDetails = {}, charges = {}, payment = {}, history = [] } = billData || {};
+  const units = billDetails.unitsConsumed;
+
+  if (!Number.isInteger(units)) {
+    return { status: "unavailable", reason: "Units consumed not found on bill" };
+  }
+
+  const tariffCode = resolveTariffCode(billDetails.tariff, units, history);
+  if (!tariffCode) {
+    return {
+      status: "unavailable",
+      reason: `Unsupported tariff: ${billDetails.tariff || "not found on bill"}`,
+    };
+  }
+
+  // FPA and QTA rates change monthly. Without a given rate, the billed
+  // amount goes into the GST base and total as it is; a bill that shows
+  // neither adjustment leaves GST and the total unverifiable.
+  const billedRate = (amount) => (typeof amount === "number" && units ? amount / units : 0);
+  const adjustmentsKnown = [options.fpaRate, options.qtaRate, charges.fpa, charges.qta].some(
+    (value) => typeof value === "number"
+  );
+
+  const estimate = estimateBill({
+    units,
+    tariff: tariffCode,
+    version: billDetails.issueDate || (billDetails.billMonth && `${billDetails.billMonth}-01`),
+    fpaRate: options.fpaRate ?? billedRate(charges.fpa),
+    qtaRate: options.qtaRate ?? billedRate(charges.qta),
+    meterRent: typeof charges.meterRent === "number" ? charges.meterRent : 0,
+  });
+
+  if (estimate.error) {
+    return { status: "unavailable", reason: estimate.error };
+  }
+
+  const sumBilled = (section, fields) =>
+    fields
+      .filter((field) => typeof section[field] === "number")
+      .reduce((sum, field) => sum + section[field], 0);
+
+  // Income, further and extra tax depend on the consumer's filer status,
+  // and arrears, installments and deferred amounts on past bills; they are
+  // taken into the total as billed, not checked
+  const billedExtras =
+    sumBilled(charges, ["incomeTax", "furtherTax", "extraTax"]) +
+    sumBilled(payment, ["arrears", "installment", "deferredAmount"]);
+
+  const comparisons = [
+    ["electricityCharges", estimate.charges.energyCharges],
+    ["fcSurcharge", estimate.charges.fcSurcharge],
+    ["electricityDuty", estimate.charges.electricityDuty],
+    ["tvFee", estimate.charges.tvFee],
+    ...(options.fpaRate !== undefined ? [["fpa", estimate.charges.fpa]] : []),
+    ...(options.qtaRate !== undefined ? [["qta", estimate.charges.qta]] : []),
+    ...(adjustmentsKnown
+      ? [
+          ["gst", estimate.charges.gst],
+          ["totalAmount", roundRupees(estimate.total + billedExtras)],
+        ]
+      : []),
+  ];
+
+  const checks = comparisons
+    .filter(([field]) => typeof charges[field] === "number")
+    .map(([field, expected]) => {
+      const billed = charges[field];
+      const difference = roundRupees(billed - expected);
+      const tolerance = Math.max(
+        AUDIT_TOLERANCE.amount,
+        Math.abs(expected) * AUDIT_TOLERANCE.ratio
+      );
+      return {
+        field,
+        billed,
+        expected,
+        difference,
+        ok: Math.abs(difference) <= tolerance,
+      };
+    });
+
+  const discrepancies = checks.filter((check) => !check.ok);
+
+  // Billed charges the audit could not verify, e.g. FPA without its rate
+  const checked = new Set(checks.map((check) => check.field));
+  const unchecked = Object.keys(charges).filter(
+    (field) =>
+      typeof charges[field] === "number" &&
+      !checked.has(field) &&
+      !["amountAfterDueDate", "displayAmount"].includes(field)
+  );
+
+  return {
+    status: checks.length === 0 ? "unavailable" : discrepancies.length ? "mismatch" : "match",
+    tariff: tariffCode,
+    version: estimate.version,
+    estimate,
+    checks,
+    unchecked,
+    discrepancies: discrepancies.map((check) => check.field),
+  };
+}
+
+module.exports = {
+  estimateBill,
+  auditBill,
+  resolveTariffCode,
+  getTariffVersion,
+  listTariffs,
+  TARIFF_VERSIONS,
+  BILLING_METHODS,
+  PROTECTED_UNIT_LIMIT,
+};
@@ -0,0 +1,330 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMockPortal } = require("./mock-portal");
+
+const ADMIN_TOKEN = "test-admin-token";
+const portal = createMockPortal();
+let api;
+let server;
+let apiKeys;
+let cache;
+let subscriptions;
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.LOG_LEVEL = "silent";
+  process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+  process.env.CORS_ORIGINS = "https://app.example.com";
+  const app = require("../server");
+  apiKeys = require("../api-keys");
+  cache = require("../cache");
+  subscriptions = require("../subscriptions");
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await portal.stop();
+});
+
+beforeEach(() => {
+  portal.reset();
+  cache.setBillCache(cache.createMemoryCache());
+  apiKeys.setApiKeyStore(apiKeys.createApiKeyStore({ filePath: null }));
+  subscriptions.setSubscriptionStore(subscriptions.createSubscriptionStore({ filePath: null }));
+});
+
+const request = async (method, path, { headers = {}, body } = {}) => {
+  const res = await fetch(`${api}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+};
+
+const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+
+const issueKey = async (options = {}) => {
+  const { status, body } = await request("POST", "/api/admin/keys", {
+    headers: admin,
+    body: { name: "test", ...options },
+  });
+  assert.equal(status, 201);
+  return body;
+};
+
+describe("API key authentication", () => {
+  it("rejects /api requests without a key", async () => {
+    const { status, body } = await request("GET", "/api/companies");
+
+    assert.equal(status, 401);
+    assert.match(body.error, /X-API-Key/);
+    assert.equal(body.code, "UNAUTHORIZED");
+    assert.equal(body.retryable, false);
+  });
+
+  it("rejects unknown keys", async () => {
+    const { status, body } = await request("GET", "/api/companies", {
+      headers: { "X-API-Key": "pitc_nope" },
+    });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, "Invalid or revoked API key");
+    assert.equal(body.code, "UNAUTHORIZED");
+  });
+
+  it("accepts issued keys and reports limits in headers", async () => {
+    const { key } = await issueKey({ rateLimit: 10, dailyQuota: 100 });
+
+    const { status, headers } = await request("GET", "/api/companies", {
+      headers: { "X-API-Key": key },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(headers.get("x-ratelimit-limit"), "10");
+    assert.equal(headers.get("x-ratelimit-remaining"), "9");
+    // Listing companies is not a bill lookup
+    assert.equal(headers.get("x-quota-remaining"), "100");
+  });
+
+  it("leaves / and /health open", async () => {
+    assert.equal((await request("GET", "/")).status, 200);
+    assert.equal((await request("GET", "/health")).status, 200);
+  });
+});
+
+describe("rate limits and quotas", () => {
+  it("returns 429 once the per-minute limit is used up", async () => {
+    const { key } = await issueKey({ rateLimit: 2 });
+    const headers = { "X-API-Key": key };
+
+    await request("GET", "/api/companies", { headers });
+    await request("GET", "/api/companies", { headers });
+    const limited = await request("GET", "/api/companies", { headers });
+
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /Rate limit of 2 requests per minute/);
+    assert.equal(limited.body.code, "RATE_LIMITED");
+    assert.equal(limited.body.retryable, true);
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+    assert.equal(limited.body.retryAfterSeconds, Number(limited.headers.get("retry-after")));
+  });
+
+  it("counts every batch item against the daily quota", async () => {
+    const { key } = await issueKey({ dailyQuota: 3 });
+    const headers = { "X-API-Key": key };
+    const items = [
+      { refNo: "06113530462901", company: "lesco" },
+      { refNo: "09371234567890", company: "hesco" },
+    ];
+
+    const first = await request("POST", "/api/check-bills", { headers, body: { items } });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("x-quota-remaining"), "1");
+
+    const second = await request("POST", "/api/check-bills", { headers, body: { items } });
+    assert.equal(second.status, 429);
+    assert.match(second.body.error, /Daily quota of 3 lookups/);
+    assert.equal(second.body.code, "RATE_LIMITED");
+  });
+
+  it("counts only bill lookups against the daily quota", async () => {
+    const { key } = await issueKey({ dailyQuota: 1 });
+    const headers = { "X-API-Key": key };
+
+    const lookup = await request("GET", "/api/check-bill?refNo=06113530462901", { headers });
+    assert.equal(lookup.headers.get("x-quota-remaining"), "0");
+
+    const others = [
+      ["GET", "/api/companies"],
+      ["GET", "/api/reference/06113530462901"],
+      ["GET", "/api/subscriptions"],
+    ];
+    for (const [method, path] of others) {
+      const { status } = await request(method, path, { headers });
+      assert.equal(status, 200, path);
+    }
+
+    const history = await request("GET", "/api/history?refNo=06113530462901", { headers });
+    assert.equal(history.status, 429);
+    assert.match(history.body.error, /Daily quota of 1 lookups/);
+  });
+
+  it("resets the rate window after a minute", () => {
+    const record = { id: "key_test", rateLimit: 1, dailyQuota: 10 };
+    const now = Date.parse("2025-10-22T10:00:00Z");
+
+    assert.equal(apiKeys.consumeApiKey(record, { now }).allowed, true);
+    assert.equal(apiKeys.consumeApiKey(record, { now: now + 1000 }).reason, "rate_limited");
+    assert.equal(apiKeys.consumeApiKey(record, { now: now + 60 * 1000 }).allowed, true);
+  });
+});
+
+describe("subscription ownership", () => {
+  it("keeps each key's subscriptions to itself", async () => {
+    const alice = { "X-API-Key": (await issueKey({ name: "alice" })).key };
+    const bob = { "X-API-Key": (await issueKey({ name: "bob" })).key };
+
+    const created = await request("POST", "/api/subscriptions", {
+      headers: alice,
+      body: { refNo: "06113530462901", webhookUrl: "https://203.0.113.10/hooks" },
+    });
+    assert.equal(created.status, 201);
+    const { id } = created.body.subscription;
+
+    const listed = async (headers) =>
+      (await request("GET", "/api/subscriptions", { headers })).body.subscriptions;
+    assert.equal((await listed(alice)).length, 1);
+    assert.deepEqual(await listed(bob), []);
+
+    for (const [method, path] of [
+      ["GET", `/api/subscriptions/${id}`],
+      ["GET", `/api/subscriptions/${id}/deliveries`],
+      ["DELETE", `/api/subscriptions/${id}`],
+    ]) {
+      assert.equal((await request(method, path, { headers: bob })).status, 404, path);
+    }
+
+    const own = await request("DELETE", `/api/subscriptions/${id}`, { headers: alice });
+    assert.equal(own.status, 200);
+  });
+});
+
+describe("admin routes", () => {
+  it("require the admin token", async () => {
+    const missing = await request("GET", "/api/admin/keys");
+    assert.equal(missing.status, 401);
+
+    const wrong = await request("GET", "/api/admin/keys", {
+      headers: { Authorization: "Bearer wrong" },
+    });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, "UNAUTHORIZED");
+  });
+
+  it("list keys without their hashes", async () => {
+    const issued = await issueKey();
+    assert.match(issued.key, /^pitc_[0-9a-f]{48}$/);
+
+    const { body } = await request("GET", "/api/admin/keys", { headers: admin });
+    assert.equal(body.keys.length, 1);
+    assert.equal(body.keys[0].id, issued.apiKey.id);
+    assert.equal(body.keys[0].prefix, issued.key.slice(0, 12));
+    assert.equal(body.keys[0].hash, undefined);
+  });
+
+  it("revoke keys", async () => {
+    const { key, apiKey } = await issueKey();
+
+    const revoked = await request("DELETE", `/api/admin/keys/${apiKey.id}`, { headers: admin });
+    assert.equal(revoked.status, 200);
+    assert.ok(revoked.body.apiKey.revokedAt);
+
+    const { status } = await request("GET", "/api/companies", {
+      headers: { "X-API-Key": key },
+    });
+    assert.equal(status, 401);
+
+    const unknown = await request("DELETE", "/api/admin/keys/key_missing", { headers: admin });
+    assert.equal(unknown.status, 404);
+  });
+
+  it("validate key limits", async () => {
+    const { status, body } = await request("POST", "/api/admin/keys", {
+      headers: admin,
+      body: { rateLimit: -1 },
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_REQUEST");
+    assert.match(body.error, /rateLimit/);
+  });
+
+  it("persist keys to the store file", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pitc-keys-"));
+    const filePath = path.join(dir, "api-keys.json");
+
+    try {
+      apiKeys.setApiKeyStore(apiKeys.createApiKeyStore({ filePath }));
+      const { key } = await issueKey();
+
+      apiKeys.setApiKeyStore(apiKeys.createApiKeyStore({ filePath }));
+      assert.ok(apiKeys.findApiKey(key));
+      assert.equal(fs.readFileSync(filePath, "utf8").includes(key), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("keep the day's lookups across a reload of the store", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pitc-keys-"));
+    const filePath = path.join(dir, "api-keys.json");
+
+    try {
+      const first = apiKeys.createApiKeyStore({ filePath });
+      apiKeys.setApiKeyStore(first);
+      const { key } = await issueKey({ dailyQuota: 2 });
+      const headers = { "X-API-Key": key };
+
+      const lookup = await request("GET", "/api/check-bill?refNo=06113530462901&company=lesco", {
+        headers,
+      });
+      assert.equal(lookup.headers.get("x-quota-remaining"), "1");
+      await first.save();
+
+      // A restart: the key and its usage come back from the file
+      apiKeys.setApiKeyStore(apiKeys.createApiKeyStore({ filePath }));
+      const { body } = await request("GET", "/api/admin/keys", { headers: admin });
+      assert.equal(body.keys[0].lookupsToday, 1);
+      assert.equal(body.keys[0].usage, undefined);
+
+      const items = [
+        { refNo: "06113530462901", company: "lesco" },
+        { refNo: "09371234567890", company: "hesco" },
+      ];
+      const batch = await request("POST", "/api/check-bills", { headers, body: { items } });
+      assert.equal(batch.status, 429);
+      assert.equal(batch.body.code, "RATE_LIMITED");
+      assert.match(batch.body.error, /Daily quota of 2 lookups/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("CORS", () => {
+  it("allows allowlisted origins only", async () => {
+    const allowed = await request("GET", "/", {
+      headers: { Origin: "https://app.example.com" },
+    });
+    assert.equal(
+      allowed.headers.get("access-control-allow-origin"),
+      "https://app.example.com"
+    );
+
+    const other = await request("GET", "/", { headers: { Origin: "https://evil.example" } });
+    assert.equal(other.headers.get("access-control-allow-origin"), null);
+  });
+
+  it("answers preflight requests without a key", async () => {
+    const res = await fetch(`${api}/api/check-bill`, {
+      method: "OPTIONS",
+      headers: {
+        Origin: "https://app.example.com",
+        "Access-Control-Request-Headers": "x-api-key",
+      },
+    });
+
+    assert.equal(res.status, 204);
+    assert.match(res.headers.get("access-control-allow-headers"), /X-API-Key/);
+  });
+});
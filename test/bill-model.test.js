@@ -0,0 +1,131 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findField,
+  normalizeLabel,
+  parseAmount,
+  parseInteger,
+  parseDate,
+  parseMonth,
+  getPaymentStatus,
+  createBillModel,
+} = require("../bill-model");
+
+describe("normalizeLabel / findField", () => {
+  it("normalizes case, whitespace and trailing punctuation", () => {
+    assert.equal(normalizeLabel("  Due   Date: "), "due date");
+    assert.equal(normalizeLabel("Cust ID."), "cust id");
+  });
+
+  it("maps consumer id to customerId rather than name", () => {
+    const field = findField("CONSUMER ID");
+    assert.equal(field.section, "consumerDetails");
+    assert.equal(field.key, "customerId");
+  });
+
+  it("does not match labels by substring", () => {
+    assert.equal(findField("Meter ID Remarks"), null);
+    assert.equal(findField("Sanctioned Load Units"), null);
+  });
+});
+
+describe("parseAmount", () => {
+  it("parses PKR display amounts", () => {
+    assert.equal(parseAmount("Rs. 4,512"), 4512);
+    assert.equal(parseAmount("PKR 18,744.50"), 18744.5);
+    assert.equal(parseAmount("0"), 0);
+  });
+
+  it("parses negative amounts", () => {
+    assert.equal(parseAmount("(120)"), -120);
+    assert.equal(parseAmount("-75"), -75);
+  });
+
+  it("returns null for non-numeric values", () => {
+    assert.equal(parseAmount("N/A"), null);
+    assert.equal(parseAmount(""), null);
+  });
+});
+
+describe("parseInteger", () => {
+  it("parses readings with thousands separators", () => {
+    assert.equal(parseInteger("10,538"), 10538);
+  });
+
+  it("rejects fractions and text", () => {
+    assert.equal(parseInteger("12.5"), null);
+    assert.equal(parseInteger("--"), null);
+  });
+});
+
+describe("parseDate", () => {
+  it("parses PITC date formats into ISO dates", () => {
+    assert.equal(parseDate("15 NOV 25"), "2025-11-15");
+    assert.equal(parseDate("15-Nov-2025"), "2025-11-15");
+    assert.equal(parseDate("26/10/2025"), "2025-10-26");
+    assert.equal(parseDate("2025-11-15"), "2025-11-15");
+  });
+
+  it("rejects impossible dates", () => {
+    assert.equal(parseDate("31/02/2025"), null);
+    assert.equal(parseDate("15 FOO 25"), null);
+  });
+});
+
+describe("parseMonth", () => {
+  it("parses billing months into YYYY-MM", () => {
+    assert.equal(parseMonth("OCT 25"), "2025-10");
+    assert.equal(parseMonth("Sep25"), "2025-09");
+    assert.equal(parseMonth("Oct-2025"), "2025-10");
+    assert.equal(parseMonth("11/2025"), "2025-11");
+  });
+
+  it("rejects invalid months", () => {
+    assert.equal(parseMonth("13/2025"), null);
+    assert.equal(parseMonth("Total"), null);
+  });
+});
+
+describe("createBillModel", () => {
+  it("creates an empty model in PKR", () => {
+    const model = createBillModel("09371234567890", "hesco");
+    assert.equal(model.currency, "PKR");
+    assert.deepEqual(model.history, []);
+    assert.deepEqual(model.unparsedFields, []);
+  });
+});
+
+describe("getPaymentStatus", () => {
+  const bill = (payment = {}, totalAmount = 11452) => ({
+    billDetails: { billMonth: "2025-10", issueDate: "2025-10-10", dueDate: "2025-10-24" },
+    charges: { totalAmount },
+    payment,
+  });
+  const beforeDue = new Date("2025-10-20T12:00:00Z");
+  const afterDue = new Date("2025-10-25T12:00:00Z");
+
+  it("is unpaid before and overdue after the due date (in PKT)", () => {
+    assert.equal(getPaymentStatus(bill(), beforeDue), "unpaid");
+    assert.equal(getPaymentStatus(bill(), afterDue), "overdue");
+    // 19:30 UTC on the due date is already the next day in Pakistan
+    assert.equal(getPaymentStatus(bill(), new Date("2025-10-24T18:30:00Z")), "unpaid");
+    assert.equal(getPaymentStatus(bill(), new Date("2025-10-24T19:30:00Z")), "overdue");
+  });
+
+  it("counts payments made since the bill was issued", () => {
+    const paid = { lastPaymentDate: "2025-10-21", lastPaymentAmount: 11452 };
+    assert.equal(getPaymentStatus(bill(paid), afterDue), "paid");
+
+    const partly = { lastPaymentDate: "2025-10-21", lastPaymentAmount: 5000 };
+    assert.equal(getPaymentStatus(bill(partly), afterDue), "partially_paid");
+
+    const previousBill = { lastPaymentDate: "2025-09-20", lastPaymentAmount: 12010 };
+    assert.equal(getPaymentStatus(bill(previousBill), afterDue), "overdue");
+  });
+
+  it("trusts a PAID status and treats credit balances as paid", () => {
+    assert.equal(getPaymentStatus(bill({ reportedStatus: "PAID" }), afterDue), "paid");
+    assert.equal(getPaymentStatus(bill({}, -250), afterDue), "paid");
+    assert.equal(getPaymentStatus(bill({}, null), afterDue), null);
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMockPortal } = require("./mock-portal");
+
+const portal = createMockPortal();
+let cli;
+let sessionPool;
+let dir;
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.PITC_RETRY_DELAY = "1";
+  process.env.LOG_LEVEL = "silent";
+  cli = require("../index");
+  sessionPool = require("../session-pool");
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "pitc-cli-"));
+});
+
+after(async () => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  await portal.stop();
+});
+
+beforeEach(() => {
+  portal.reset();
+  sessionPool.clearSessions();
+});
+
+// Runs the CLI and captures its output
+const run = async (...argv) => {
+  let stdout = "";
+  let stderr = "";
+  const exitCode = await cli.run(argv, {
+    stdout: { write: (text) => (stdout += text) },
+    stderr: { write: (text) => (stderr += text) },
+  });
+  return { exitCode, stdout, stderr };
+};
+
+const writeFile = (name, contents) => {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+};
+
+describe("check", () => {
+  it("prints the bill as a field table", async () => {
+    const { exitCode, stdout } = await run("check", "06113530462901", "lesco");
+
+    assert.equal(exitCode, 0);
+    assert.match(stdout, /^field\s+value$/m);
+    assert.match(stdout, /^charges\.totalAmount\s+22610$/m);
+    assert.doesNotMatch(stdout, /rawHtml/);
+  });
+
+  it("prints JSON without rawHtml unless --raw is given", async () => {
+    const plain = JSON.parse((await run("check", "06113530462901", "--format=json")).stdout);
+    assert.equal(plain.company, "lesco");
+    assert.equal(plain.data.rawHtml, undefined);
+
+    const raw = JSON.parse((await run("check", "06113530462901", "--format", "json", "--raw")).stdout);
+    assert.match(raw.data.rawHtml, /<html/i);
+  });
+
+  it("treats a bare reference number as check", async () => {
+    const { exitCode, stdout } = await run("06113530462901", "--format=csv");
+
+    assert.equal(exitCode, 0);
+    assert.match(stdout, /^refNo,company,status,/);
+    assert.match(stdout, /^06113530462901,lesco,ok,/m);
+  });
+
+  it("exits with 1 when the bill is not found", async () => {
+    const { exitCode, stdout } = await run("check", "06113530469999", "--format=csv");
+
+    assert.equal(exitCode, 1);
+    assert.match(stdout, /^06113530469999,lesco,failed,/m);
+  });
+
+  it("passes timeout and retries to getPITCBill", async () => {
+    portal.setFailure("lesco", { type: "status", status: 503 });
+
+    const { exitCode } = await run("check", "06113530462901", "--retries=0", "--timeout=5");
+
+    assert.equal(exitCode, 1);
+    assert.equal(portal.requests.length, 1);
+  });
+});
+
+describe("batch", () => {
+  it("reads reference numbers from a text file", async () => {
+    const file = writeFile(
+      "refs.txt",
+      "# bills to check\n06113530462901 lesco\n\n09371234567890\n06113530469999\n"
+    );
+
+    const { exitCode, stdout, stderr } = await run("batch", file, "--format=json");
+
+    assert.equal(exitCode, 1);
+    const { summary, results } = JSON.parse(stdout);
+    assert.equal(summary.total, 3);
+    assert.equal(summary.succeeded, 2);
+    assert.deepEqual(
+      results.map((result) => [result.company, result.success]),
+      [
+        ["lesco", true],
+        ["hesco", true],
+        ["lesco", false],
+      ]
+    );
+    assert.match(stderr, /2\/3 bills fetched/);
+  });
+
+  it("reads a CSV with a header and writes --out", async () => {
+    const file = writeFile("refs.csv", "Company,Ref No\nlesco,06113530462901\n");
+    const out = path.join(dir, "bills.csv");
+
+    const { exitCode, stdout } = await run("batch", file, "--format=csv", `--out=${out}`);
+
+    assert.equal(exitCode, 0);
+    assert.equal(stdout, "");
+    const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+    assert.equal(lines.length, 2);
+    assert.match(lines[1], /^06113530462901,lesco,ok,AYESHA KHAN,2025-10,2025-10-26,426,22610,24484,overdue,$/);
+  });
+
+  it("rejects unreadable and empty files", async () => {
+    assert.equal((await run("batch", path.join(dir, "missing.txt"))).exitCode, 2);
+    assert.equal((await run("batch", writeFile("empty.txt", "# nothing\n"))).exitCode, 2);
+  });
+});
+
+describe("companies and decode", () => {
+  it("lists companies", async () => {
+    const { exitCode, stdout } = await run("companies", "--format=csv");
+
+    assert.equal(exitCode, 0);
+    assert.equal(stdout.trim().split("\n").length, 10);
+    assert.match(stdout, /^lesco,Lahore Electric Supply Company$/m);
+  });
+
+  it("decodes reference numbers", async () => {
+    const { exitCode, stdout } = await run("decode", "06 11353 0462901 U", "--format=json");
+
+    assert.equal(exitCode, 0);
+    const decoded = JSON.parse(stdout);
+    assert.equal(decoded.subDivision, "11353");
+    assert.equal(decoded.company.code, "lesco");
+
+    assert.equal((await run("decode", "12345")).exitCode, 1);
+  });
+});
+
+describe("usage errors", () => {
+  it("exit with 2", async () => {
+    for (const argv of [
+      [],
+      ["frobnicate"],
+      ["companies", "--format=xml"],
+      ["check", "06113530462901", "--unknown"],
+      ["check", "123"],
+      ["check", "06113530462901", "--timeout=soon"],
+    ]) {
+      const { exitCode, stderr } = await run(...argv);
+      assert.equal(exitCode, 2, argv.join(" "));
+      assert.ok(stderr.length > 0);
+    }
+  });
+
+  it("--help prints usage and exits with 0", async () => {
+    const { exitCode, stdout } = await run("--help");
+
+    assert.equal(exitCode, 0);
+    assert.match(stdout, /Commands:/);
+  });
+});
+
+describe("renderTable / renderCsv", () => {
+  it("aligns columns and quotes CSV cells", () => {
+    assert.equal(
+      cli.renderTable(["a", "long"], [["x", null]]),
+      "a  long\n-  ----\nx  -"
+    );
+    assert.equal(
+      cli.renderCsv(["name"], [['KHAN, "A"']]),
+      'name\n"KHAN, ""A"""'
+    );
+  });
+});
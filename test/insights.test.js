@@ -0,0 +1,147 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeConsumption, computeBaseline } = require("../insights");
+
+// Months before 2025-10, newest first
+const history = (units) =>
+  units.map((value, index) => ({
+    month: new Date(Date.UTC(2025, 8 - index, 1)).toISOString().slice(0, 7),
+    units: value,
+  }));
+
+const bill = (billDetails, units) => ({
+  billDetails: {
+    tariff: "A-1a(01)",
+    billMonth: "2025-10",
+    issueDate: "2025-10-10",
+    ...billDetails,
+  },
+  history: history(units),
+});
+
+const flagTypes = (insights) => insights.flags.map((flag) => flag.type);
+
+describe("computeBaseline", () => {
+  it("uses the median, the recent average and last year's month", () => {
+    const baseline = computeBaseline(
+      history([300, 340, 350, 330, 250, 160, 120, 110, 118, 125, 170, 265]),
+      "2025-10"
+    );
+
+    assert.deepEqual(baseline, {
+      units: 210,
+      recentUnits: 330,
+      sameMonthLastYear: 265,
+      months: 12,
+    });
+  });
+
+  it("ignores zero months and needs at least three usable months", () => {
+    assert.equal(computeBaseline(history([120, 0, 0, 110]), "2025-10"), null);
+    assert.equal(computeBaseline(history([120, 0, 130, 110]), "2025-10").months, 3);
+  });
+});
+
+describe("analyzeConsumption", () => {
+  it("reports normal consumption", () => {
+    const insights = analyzeConsumption(
+      bill({ unitsConsumed: 150 }, [140, 160, 150, 145, 155, 150])
+    );
+
+    assert.equal(insights.status, "normal");
+    assert.equal(insights.baseline.units, 150);
+    assert.equal(insights.changePercent, 0);
+    assert.deepEqual(insights.flags, []);
+  });
+
+  it("flags a spike above both the median and the recent average", () => {
+    const insights = analyzeConsumption(
+      bill({ tariff: "A-2a", unitsConsumed: 480 }, [150, 160, 150, 145, 155, 150])
+    );
+
+    assert.equal(insights.status, "attention");
+    const [spike] = insights.flags;
+    assert.equal(spike.type, "spike");
+    assert.equal(spike.severity, "high");
+    assert.equal(spike.baseline, 153);
+    assert.equal(spike.ratio, 3.14);
+  });
+
+  it("does not flag a seasonal rise in line with recent months", () => {
+    const insights = analyzeConsumption(
+      bill({ tariff: "A-2a", unitsConsumed: 400 }, [380, 420, 390, 150, 120, 110, 115])
+    );
+
+    assert.deepEqual(flagTypes(insights), []);
+  });
+
+  it("flags drops", () => {
+    const insights = analyzeConsumption(
+      bill({ unitsConsumed: 40 }, [150, 160, 150, 145])
+    );
+
+    assert.deepEqual(flagTypes(insights), ["drop"]);
+    assert.equal(insights.flags[0].severity, "warning");
+  });
+
+  it("flags zero and estimated readings", () => {
+    const zero = analyzeConsumption(bill({ unitsConsumed: 0 }, [150, 0, 150, 145]));
+    assert.deepEqual(flagTypes(zero), ["zero-reading", "zero-reading"]);
+    assert.deepEqual(
+      zero.flags.map((flag) => [flag.month, flag.severity]),
+      [
+        ["2025-10", "warning"],
+        ["2025-08", "info"],
+      ]
+    );
+
+    const unchanged = analyzeConsumption(
+      bill(
+        { unitsConsumed: 150, previousReading: 10250, currentReading: 10250 },
+        [150, 160, 150]
+      )
+    );
+    assert.deepEqual(flagTypes(unchanged), ["estimated-reading"]);
+
+    const status = analyzeConsumption(
+      bill({ unitsConsumed: 150, readingStatus: "Estimated" }, [150, 160, 150])
+    );
+    assert.deepEqual(flagTypes(status), ["estimated-reading"]);
+    assert.equal(status.flags[0].readingStatus, "Estimated");
+  });
+
+  it("flags the loss of protected status above 200 units", () => {
+    const insights = analyzeConsumption(
+      bill({ unitsConsumed: 205 }, [190, 180, 170, 185, 160, 150])
+    );
+
+    const crossing = insights.flags.find((flag) => flag.type === "slab-crossing");
+    assert.equal(crossing.severity, "high");
+    assert.equal(crossing.threshold, 200);
+    assert.equal(crossing.protectedStatusLost, true);
+  });
+
+  it("flags single-slab crossings for unprotected consumers", () => {
+    const insights = analyzeConsumption(
+      bill({ unitsConsumed: 310 }, [290, 280, 260, 250, 240, 230])
+    );
+
+    assert.deepEqual(flagTypes(insights), ["slab-crossing"]);
+    assert.equal(insights.flags[0].threshold, 300);
+    assert.equal(insights.flags[0].protectedStatusLost, false);
+  });
+
+  it("ignores a history row for the billed month itself", () => {
+    const data = bill({ unitsConsumed: 150 }, [150, 160, 150]);
+    data.history.unshift({ month: "2025-10", units: 150 });
+
+    assert.equal(analyzeConsumption(data).baseline.months, 3);
+  });
+
+  it("is unavailable without units consumed", () => {
+    const insights = analyzeConsumption({ billDetails: {}, history: [] });
+
+    assert.equal(insights.status, "unavailable");
+    assert.deepEqual(insights.flags, []);
+  });
+});
@@ -0,0 +1,190 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockPortal } = require("./mock-portal");
+
+const portal = createMockPortal();
+let api;
+let server;
+let cache;
+let subscriptions;
+let logging;
+let lines;
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.API_KEYS_REQUIRED = "false";
+  logging = require("../logger");
+  const app = require("../server");
+  cache = require("../cache");
+  subscriptions = require("../subscriptions");
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  logging.setLogWriter(null);
+  await new Promise((resolve) => server.close(resolve));
+  await portal.stop();
+});
+
+beforeEach(() => {
+  portal.reset();
+  cache.setBillCache(cache.createMemoryCache());
+  lines = [];
+  logging.setLogLevel("info");
+  logging.setLogWriter((line) => lines.push(JSON.parse(line)));
+});
+
+describe("redact", () => {
+  it("replaces names and addresses and masks reference numbers", () => {
+    const redacted = logging.redact({
+      refNo: "06113530462901",
+      consumerDetails: { name: "MUHAMMAD ALI", address: "HOUSE 12 LAHORE", customerId: "4512345" },
+      companyName: "Lahore Electric Supply Company",
+    });
+
+    assert.deepEqual(redacted, {
+      refNo: "**********2901",
+      consumerDetails: { name: "[REDACTED]", address: "[REDACTED]", customerId: "***2345" },
+      companyName: "Lahore Electric Supply Company",
+    });
+  });
+
+  it("masks reference numbers inside messages and errors", () => {
+    const error = new Error("No bill found for 06113530462901");
+
+    assert.equal(
+      logging.redact("lookup 06113530462901 failed at 2025-10-22"),
+      "lookup **********2901 failed at 2025-10-22"
+    );
+    const redacted = logging.redact({ error });
+    assert.equal(redacted.error.name, "Error");
+    assert.equal(redacted.error.message, "No bill found for **********2901");
+  });
+
+  it("masks reference numbers with separators and a U/R suffix", () => {
+    assert.equal(
+      logging.redact("/api/reference/06113530462901U"),
+      "/api/reference/***********901U"
+    );
+    assert.equal(logging.redact("ref 06-11353-0462901"), "ref ************2901");
+    assert.equal(logging.redact("ref 06 11353 0462901 r."), "ref **************01 r.");
+    assert.equal(logging.redact("took 1234 ms on 2025-10-22"), "took 1234 ms on 2025-10-22");
+  });
+
+  it("handles circular structures", () => {
+    const value = { a: 1 };
+    value.self = value;
+
+    assert.deepEqual(logging.redact(value), { a: 1, self: "[Truncated]" });
+  });
+});
+
+describe("createLogger", () => {
+  it("writes JSON lines with bindings and respects the level", () => {
+    const log = logging.createLogger({ requestId: "req-1" }).child({ company: "lesco" });
+
+    log.debug("hidden");
+    log.info("shown", { refNo: "06113530462901" });
+
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, "info");
+    assert.equal(lines[0].msg, "shown");
+    assert.equal(lines[0].requestId, "req-1");
+    assert.equal(lines[0].company, "lesco");
+    assert.equal(lines[0].refNo, "**********2901");
+    assert.ok(Date.parse(lines[0].time));
+  });
+
+  it("can be silenced", () => {
+    logging.setLogLevel("silent");
+    logging.logger.error("nothing");
+
+    assert.deepEqual(lines, []);
+    assert.throws(() => logging.setLogLevel("verbose"), /Unknown log level/);
+  });
+});
+
+describe("request IDs", () => {
+  it("echoes X-Request-Id and tags the lookup's log entries with it", async () => {
+    const res = await fetch(`${api}/api/check-bill?refNo=06113530462901&company=lesco`, {
+      headers: { "X-Request-Id": "trace-abc-123" },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("x-request-id"), "trace-abc-123");
+
+    const lookup = lines.find((entry) => entry.msg === "Bill lookup finished");
+    assert.equal(lookup.requestId, "trace-abc-123");
+    assert.equal(lookup.company, "lesco");
+    assert.equal(lookup.refNo, "**********2901");
+
+    const access = lines.find((entry) => entry.msg === "Request completed");
+    assert.equal(access.requestId, "trace-abc-123");
+    assert.equal(access.status, 200);
+    assert.equal(JSON.stringify(lines).includes("06113530462901"), false);
+  });
+
+  it("keeps reference numbers in any accepted form out of the access log", async () => {
+    const paths = [
+      "/api/reference/06113530462901U",
+      "/api/reference/06-11353-0462901",
+      "/api/reference/06%2011353%200462901%20R",
+      "/api/unknown/06113530462901",
+    ];
+    for (const path of paths) {
+      await fetch(`${api}${path}`);
+    }
+
+    const access = lines.filter((entry) => entry.msg === "Request completed");
+    assert.equal(access.length, 4);
+    assert.equal(access[0].route, "/api/reference/:refNo");
+    assert.equal(access[0].path, undefined);
+    assert.equal(access[3].path, "/api/unknown/**********2901");
+    const logged = JSON.stringify(lines);
+    ["06113530462901", "0462901", "11353"].forEach((digits) => {
+      assert.equal(logged.includes(digits), false, digits);
+    });
+  });
+
+  it("generates an ID when none or an invalid one is sent", async () => {
+    const res = await fetch(`${api}/health`, {
+      headers: { "X-Request-Id": "bad id with spaces" },
+    });
+
+    assert.match(res.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+  });
+
+  it("logs unexpected errors without returning their details", async () => {
+    subscriptions.setSubscriptionStore({
+      get subscriptions() {
+        throw new Error("Store unavailable for 06113530462901");
+      },
+    });
+
+    try {
+      const res = await fetch(`${api}/api/subscriptions`, {
+        headers: { "X-Request-Id": "trace-500" },
+      });
+      const body = await res.json();
+
+      assert.equal(res.status, 500);
+      assert.deepEqual(body, {
+        success: false,
+        error: "Internal server error",
+        requestId: "trace-500",
+      });
+
+      const failure = lines.find((entry) => entry.msg === "Request failed");
+      assert.equal(failure.level, "error");
+      assert.equal(failure.requestId, "trace-500");
+      assert.equal(failure.error.message, "Store unavailable for **********2901");
+    } finally {
+      subscriptions.setSubscriptionStore(
+        subscriptions.createSubscriptionStore({ filePath: null })
+      );
+    }
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockPortal } = require("./mock-portal");
+
+const portal = createMockPortal();
+let api;
+let server;
+let cache;
+let sessionPool;
+let metrics;
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.LOG_LEVEL = "silent";
+  process.env.PITC_RETRIES = "0";
+  process.env.API_KEYS_REQUIRED = "false";
+  const app = require("../server");
+  cache = require("../cache");
+  sessionPool = require("../session-pool");
+  metrics = require("../metrics");
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await portal.stop();
+});
+
+beforeEach(() => {
+  portal.reset();
+  sessionPool.clearSessions();
+  cache.setBillCache(cache.createMemoryCache());
+  metrics.resetMetrics();
+});
+
+const scrape = async () => {
+  const res = await fetch(`${api}/metrics`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/plain/);
+  return res.text();
+};
+
+// Sums the samples of a metric whose labels include all of `labels`
+const sample = (text, name, labels = {}) =>
+  text
+    .split("\n")
+    .filter((line) => line.startsWith(`${name}{`) || line.startsWith(`${name} `))
+    .filter((line) =>
+      Object.entries(labels).every(([key, value]) => line.includes(`${key}="${value}"`))
+    )
+    .reduce((sum, line) => sum + Number(line.split(" ").pop()), 0);
+
+describe("GET /metrics", () => {
+  it("counts requests per route and company", async () => {
+    await fetch(`${api}/api/check-bill?refNo=06113530462901&company=lesco`);
+    await fetch(`${api}/api/check-bill?refNo=06113530462901`);
+    await fetch(`${api}/api/companies`);
+    await fetch(`${api}/api/nope`);
+
+    const text = await scrape();
+    const checkBill = { route: "/api/check-bill", company: "lesco", status: "200" };
+    assert.equal(sample(text, "http_requests_total", checkBill), 2);
+    assert.equal(
+      sample(text, "http_request_duration_seconds_count", {
+        route: "/api/check-bill",
+        company: "lesco",
+      }),
+      2
+    );
+    assert.equal(
+      sample(text, "http_requests_total", { route: "/api/companies", company: "none" }),
+      1
+    );
+    assert.equal(
+      sample(text, "http_requests_total", { route: "unmatched", status: "404" }),
+      1
+    );
+  });
+
+  it("times upstream GET and POST requests", async () => {
+    await fetch(`${api}/api/check-bill?refNo=06113530462901&company=lesco&fresh=1`);
+    await fetch(`${api}/api/check-bill?refNo=06113530462901&company=lesco&fresh=1`);
+
+    const text = await scrape();
+    const upstream = "pitc_upstream_request_duration_seconds_count";
+    // The second lookup reuses the pooled session
+    assert.equal(sample(text, upstream, { company: "lesco", method: "GET", status: "200" }), 1);
+    assert.equal(sample(text, upstream, { company: "lesco", method: "POST", status: "200" }), 2);
+  });
+
+  it("counts token extraction failures and portal errors", async () => {
+    portal.setFailure("hesco", { type: "no-tokens" });
+    await fetch(`${api}/api/check-bill?refNo=09371234567890&company=hesco`);
+    await fetch(`${api}/api/check-bill?refNo=06113530469999&company=lesco`);
+
+    const text = await scrape();
+    assert.equal(sample(text, "pitc_token_extraction_failures_total", { company: "hesco" }), 1);
+    assert.equal(sample(text, "pitc_portal_errors_total", { company: "lesco" }), 1);
+  });
+
+  it("reports parse field coverage", async () => {
+    await fetch(`${api}/api/check-bill?refNo=06113530462901&company=lesco`);
+
+    const text = await scrape();
+    assert.equal(sample(text, "pitc_bills_parsed_total", { company: "lesco" }), 1);
+    assert.equal(
+      sample(text, "pitc_bill_fields_found_total", {
+        company: "lesco",
+        field: "charges.totalAmount",
+      }),
+      1
+    );
+
+    const coverage = sample(text, "pitc_bill_field_coverage_ratio", { company: "lesco" });
+    assert.ok(coverage > 0 && coverage <= 1);
+  });
+
+  it("is served without an API key", async () => {
+    const res = await fetch(`${api}/metrics`);
+    assert.equal(res.status, 200);
+  });
+});
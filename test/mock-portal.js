@@ -0,0 +1,229 @@
+/**
+ * Local stand-in for the PITC bill portal
+ *
+ * Mimics the ASP.NET WebForms flow used by getPITCBill:
+ *   GET  /<company>bill  - search form with ViewState tokens and a session cookie
+ *   POST /<company>bill  - validates the tokens, then serves the recorded bill
+ *                          page from fixtures/<company>/<searchText>.html or the
+ *                          form again with a "not found" message in #ua
+ *
+ * Point the library at it with PITC_BASE_URL before requiring pitc-bill.js.
+ *
+ * Usage (standalone):
+ *   node test/mock-portal.js [port]
+ *   API_KEYS_REQUIRED=false PITC_BASE_URL=http://localhost:4000 node server.js
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+/**
+ * Creates a mock portal server
+ *
+ * Failures can be injected per company with setFailure():
+ *   { type: "status", status: 503 } - respond with an HTTP error
+ *   { type: "reset" }               - destroy the socket (ECONNRESET)
+ *   { type: "no-tokens" }           - serve a form without ViewState tokens
+ *   { type: "slow", ms: 1000 }      - hold the request for `ms`, then drop it
+ * An optional `count` limits how many requests fail before recovering.
+ *
+ * @param {Object} [options] - Server options
+ * @param {string} [options.fixturesDir] - Directory with form.html and <company>/ fixtures
+ * @returns {Object} Mock portal
+ */
+function createMockPortal(options = {}) {
+  const fixturesDir = options.fixturesDir || FIXTURES_DIR;
+  const failures = new Map();
+  const requests = [];
+  let generation = 1;
+  let server = null;
+
+  const tokensFor = (gen) => ({
+    VIEWSTATE: `viewstate-${gen}`,
+    EVENTVALIDATION: `eventvalidation-${gen}`,
+    REQUEST_TOKEN: `request-token-${gen}`,
+  });
+
+  const render = (template, values) =>
+    template.replace(/\{\{(\w+)\}\}/g, (match, key) => values[key] ?? "");
+
+  const renderForm = (company, pagePath, error = "", tokens = tokensFor(generation)) =>
+    render(fs.readFileSync(path.join(fixturesDir, "form.html"), "utf8"), {
+      COMPANY: company.toUpperCase(),
+      PATH: pagePath,
+      ERROR: error,
+      ...tokens,
+    });
+
+  // Returns the injected failure for a company, consuming one use
+  const takeFailure = (company) => {
+    const failure = failures.get(company);
+    if (!failure) {
+      return null;
+    }
+    if (failure.count !== undefined && --failure.count <= 0) {
+      failures.delete(company);
+    }
+    return failure;
+  };
+
+  const handle = (req, res, body) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/(\w+)bill\/?$/);
+    const form = new URLSearchParams(body);
+
+    requests.push({
+      method: req.method,
+      path: url.pathname,
+      cookie: req.headers.cookie || "",
+      userAgent: req.headers["user-agent"] || "",
+      form: Object.fromEntries(form.entries()),
+    });
+
+    if (!match) {
+      res.writeHead(404, { "Content-Type": "text/html" });
+      return res.end("<h1>404 - Not Found</h1>");
+    }
+
+    const company = match[1];
+    const pagePath = `${company}bill`;
+    const failure = takeFailure(company);
+
+    if (failure?.type === "reset") {
+      return req.socket.destroy();
+    }
+
+    if (failure?.type === "slow") {
+      setTimeout(() => req.socket.destroy(), failure.ms || 1000);
+      return;
+    }
+
+    if (failure?.type === "status") {
+      res.writeHead(failure.status, { "Content-Type": "text/html" });
+      return res.end(`<h1>Server Error</h1><p>HTTP ${failure.status}</p>`);
+    }
+
+    if (req.method === "GET") {
+      const tokens =
+        failure?.type === "no-tokens"
+          ? { VIEWSTATE: "", EVENTVALIDATION: "", REQUEST_TOKEN: "" }
+          : tokensFor(generation);
+      res.writeHead(200, {
+        "Content-Type": "text/html; charset=utf-8",
+        "Set-Cookie": [
+          `ASP.NET_SessionId=session-${generation}; path=/; HttpOnly`,
+          `__RequestVerificationToken=cookie-${generation}; path=/; HttpOnly`,
+        ],
+      });
+      return res.end(renderForm(company, pagePath, "", tokens));
+    }
+
+    // Reject tokens from an older generation like ASP.NET does
+    const expected = tokensFor(generation);
+    if (
+      form.get("__VIEWSTATE") !== expected.VIEWSTATE ||
+      form.get("__EVENTVALIDATION") !== expected.EVENTVALIDATION
+    ) {
+      res.writeHead(500, { "Content-Type": "text/html" });
+      return res.end(
+        "<h2>Server Error in '/' Application.</h2><p>Validation of viewstate MAC failed.</p>"
+      );
+    }
+
+    const searchText = String(form.get("searchTextBox") || "").replace(/\D/g, "");
+    const billFile = path.join(fixturesDir, company, `${searchText}.html`);
+
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    if (searchText && fs.existsSync(billFile)) {
+      return res.end(render(fs.readFileSync(billFile, "utf8"), expected));
+    }
+
+    return res.end(
+      renderForm(
+        company,
+        pagePath,
+        `The given input does not belongs to ${company.toUpperCase()}`
+      )
+    );
+  };
+
+  return {
+    /**
+     * Starts listening on the given port (0 picks a free one)
+     *
+     * @param {number} [port=0] - Port
+     * @returns {Promise<string>} Base URL of the portal
+     */
+    start(port = 0) {
+      server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+          body += chunk;
+        });
+        req.on("end", () => handle(req, res, body));
+      });
+
+      return new Promise((resolve) => {
+        server.listen(port, "127.0.0.1", () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+
+    /**
+     * Stops the server
+     *
+     * @returns {Promise<void>}
+     */
+    stop() {
+      return new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+      });
+    },
+
+    /**
+     * Injects a failure for a company's page
+     *
+     * @param {string} company - Company code
+     * @param {Object} failure - See createMockPortal
+     */
+    setFailure(company, failure) {
+      failures.set(company, { ...failure });
+    },
+
+    /**
+     * Issues new tokens so previously handed out ones become stale
+     */
+    rotateTokens() {
+      generation++;
+    },
+
+    /**
+     * Clears injected failures and the request log
+     */
+    reset() {
+      failures.clear();
+      requests.length = 0;
+    },
+
+    requests,
+  };
+}
+
+module.exports = {
+  createMockPortal,
+  FIXTURES_DIR,
+};
+
+// Run standalone: node test/mock-portal.js [port]
+if (require.main === module) {
+  const portal = createMockPortal();
+  portal.start(parseInt(process.argv[2], 10) || 4000).then((url) => {
+    console.log(`🧪 Mock PITC portal running at ${url}`);
+    console.log(`   API_KEYS_REQUIRED=false PITC_BASE_URL=${url} node server.js`);
+  });
+}
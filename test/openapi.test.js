@@ -0,0 +1,69 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { FIXTURES_DIR } = require("./mock-portal");
+const { parseBillDetails } = require("../pitc-bill");
+const { BILL_FIELDS } = require("../bill-model");
+const { openApiDocument, validateResponse } = require("../openapi");
+
+const parseFixture = (company, refNo) =>
+  parseBillDetails(
+    cheerio.load(fs.readFileSync(path.join(FIXTURES_DIR, company, `${refNo}.html`), "utf8")),
+    refNo,
+    company
+  );
+
+describe("openApiDocument", () => {
+  it("documents the bill, companies and health routes", () => {
+    assert.equal(openApiDocument.openapi, "3.1.0");
+    assert.ok(openApiDocument.paths["/api/check-bill"].get);
+    assert.ok(openApiDocument.paths["/api/check-bill"].post);
+    assert.ok(openApiDocument.paths["/api/companies"].get);
+    assert.ok(openApiDocument.paths["/health"].get);
+  });
+
+  it("derives the bill sections from BILL_FIELDS", () => {
+    const { Bill } = openApiDocument.components.schemas;
+
+    BILL_FIELDS.forEach((field) => {
+      assert.ok(
+        Bill.properties[field.section].properties[field.key],
+        `${field.section}.${field.key} is documented`
+      );
+    });
+  });
+});
+
+describe("validateResponse", () => {
+  it("accepts the parsed fixtures", () => {
+    const fixtures = [
+      ["hesco", "09371234567890"],
+      ["hesco", "09371234567891"],
+      ["lesco", "06113530462901"],
+    ];
+
+    fixtures.forEach(([company, refNo]) => {
+      assert.equal(validateResponse("Bill", parseFixture(company, refNo)), null);
+    });
+  });
+
+  it("reports fields missing from the schema", () => {
+    const bill = parseFixture("hesco", "09371234567890");
+    bill.charges.waterCharges = 120;
+
+    const errors = validateResponse("Bill", bill);
+    assert.ok(errors);
+    assert.equal(errors[0].field, "charges");
+  });
+
+  it("reports wrongly typed values", () => {
+    const bill = parseFixture("hesco", "09371234567890");
+    bill.billDetails.unitsConsumed = "288";
+
+    assert.deepEqual(validateResponse("Bill", bill), [
+      { field: "billDetails.unitsConsumed", message: "must be integer" },
+    ]);
+  });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMockPortal } = require("./mock-portal");
+
+const portal = createMockPortal();
+let api;
+let server;
+let cache;
+let sessionPool;
+let snapshots;
+let getPITCBill;
+let findMissingFields;
+let tmpDir;
+let snapshotDir;
+
+const DRIFTED_REF = "06113530470001";
+const LESCO_MISSING = [
+  "consumerDetails.name",
+  "billDetails.billMonth",
+  "billDetails.dueDate",
+  "billDetails.unitsConsumed",
+  "charges.totalAmount",
+  "charges.amountAfterDueDate",
+  "history",
+];
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.LOG_LEVEL = "silent";
+  process.env.API_KEYS_REQUIRED = "false";
+  process.env.OPENAPI_VALIDATE_RESPONSES = "strict";
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "pitc-snapshots-"));
+  const app = require("../server");
+  cache = require("../cache");
+  sessionPool = require("../session-pool");
+  snapshots = require("../snapshots");
+  ({ getPITCBill } = require("../pitc-bill"));
+  ({ findMissingFields } = require("../bill-model"));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  snapshots.setSnapshotStore(undefined);
+  await new Promise((resolve) => server.close(resolve));
+  await portal.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  portal.reset();
+  sessionPool.clearSessions();
+  cache.setBillCache(cache.createMemoryCache());
+  snapshotDir = fs.mkdtempSync(path.join(tmpDir, "test-"));
+  snapshots.setSnapshotStore(snapshots.createSnapshotStore({ dir: snapshotDir }));
+});
+
+const get = async (urlPath) => {
+  const res = await fetch(`${api}${urlPath}`);
+  return { status: res.status, body: await res.json() };
+};
+
+describe("findMissingFields", () => {
+  it("lists required fields that were not parsed", () => {
+    const bill = {
+      consumerDetails: { name: "AYESHA KHAN" },
+      billDetails: { billMonth: "2025-10" },
+      charges: { totalAmount: null },
+      history: [],
+    };
+
+    assert.deepEqual(findMissingFields(bill), [
+      "billDetails.dueDate",
+      "billDetails.unitsConsumed",
+      "charges.totalAmount",
+    ]);
+    assert.deepEqual(findMissingFields(bill, ["consumerDetails.name", "history"]), ["history"]);
+  });
+});
+
+describe("getPITCBill with changed markup", () => {
+  it("marks complete bills as not partial", async () => {
+    const result = await getPITCBill("06113530462901", "lesco");
+
+    assert.equal(result.partial, false);
+    assert.deepEqual(result.missingFields, []);
+    assert.deepEqual(await snapshots.getSnapshotStore().list("lesco"), []);
+  });
+
+  it("returns a partial result listing the missing fields", async () => {
+    const result = await getPITCBill(DRIFTED_REF, "lesco");
+
+    assert.equal(result.success, true);
+    assert.equal(result.partial, true);
+    assert.deepEqual(result.missingFields, LESCO_MISSING);
+    assert.equal(result.data.billDetails.tariff, "A-1a(01)");
+  });
+
+  it("saves the page and its missing fields as a snapshot", async () => {
+    await getPITCBill(DRIFTED_REF, "lesco");
+
+    const [page] = await snapshots.getSnapshotStore().list("lesco");
+    assert.ok(page.endsWith(`-${DRIFTED_REF}.html`));
+    assert.match(fs.readFileSync(page, "utf8"), /Net Payable/);
+
+    const meta = JSON.parse(fs.readFileSync(page.replace(/\.html$/, ".json"), "utf8"));
+    assert.equal(meta.company, "lesco");
+    assert.equal(meta.refNo, DRIFTED_REF);
+    assert.deepEqual(meta.missingFields, LESCO_MISSING);
+  });
+});
+
+describe("createSnapshotStore", () => {
+  it("limits how often and how many snapshots are kept per company", async () => {
+    const store = snapshots.createSnapshotStore({
+      dir: snapshotDir,
+      maxPerCompany: 2,
+      minIntervalMs: 60000,
+    });
+    const snapshot = { company: "lesco", refNo: DRIFTED_REF, html: "<html></html>" };
+
+    assert.ok(await store.save(snapshot));
+    assert.equal(await store.save(snapshot), null);
+    assert.ok(await store.save({ ...snapshot, company: "hesco" }));
+
+    const unthrottled = snapshots.createSnapshotStore({
+      dir: snapshotDir,
+      maxPerCompany: 2,
+      minIntervalMs: 0,
+    });
+    for (let i = 0; i < 3; i++) {
+      await unthrottled.save(snapshot);
+      await new Promise((resolve) => setTimeout(resolve, 2));
+    }
+    assert.equal((await unthrottled.list("lesco")).length, 2);
+    assert.equal(fs.readdirSync(path.join(snapshotDir, "lesco")).length, 4);
+  });
+});
+
+describe("GET /api/check-bill", () => {
+  it("leaves out rawHtml unless include=raw", async () => {
+    const plain = await get("/api/check-bill?refNo=06113530462901&company=lesco");
+    assert.equal(plain.status, 200);
+    assert.equal("rawHtml" in plain.body.data, false);
+
+    const raw = await get("/api/check-bill?refNo=06113530462901&company=lesco&include=raw");
+    assert.equal(raw.status, 200);
+    assert.match(raw.body.data.rawHtml, /AYESHA KHAN/);
+
+    const invalid = await get("/api/check-bill?refNo=06113530462901&company=lesco&include=all");
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "include must be raw");
+  });
+
+  it("reports partial bills", async () => {
+    const { status, body } = await get(`/api/check-bill?refNo=${DRIFTED_REF}&company=lesco`);
+
+    assert.equal(status, 200);
+    assert.equal(body.partial, true);
+    assert.deepEqual(body.missingFields, LESCO_MISSING);
+  });
+});
+
+describe("POST /api/check-bills", () => {
+  it("counts partial results and strips rawHtml", async () => {
+    const res = await fetch(`${api}/api/check-bills`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        items: [
+          { refNo: "06113530462901", company: "lesco" },
+          { refNo: DRIFTED_REF, company: "lesco" },
+        ],
+      }),
+    });
+    const body = await res.json();
+
+    assert.equal(body.summary.succeeded, 2);
+    assert.equal(body.summary.partial, 1);
+    assert.deepEqual(
+      body.results.map((result) => result.partial),
+      [false, true]
+    );
+    assert.ok(body.results.every((result) => !("rawHtml" in result.data)));
+  });
+});
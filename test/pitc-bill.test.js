@@ -0,0 +1,503 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { createMockPortal, FIXTURES_DIR } = require("./mock-portal");
+
+const portal = createMockPortal();
+let pitc;
+let sessionPool;
+let circuitBreaker;
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.LOG_LEVEL = "silent";
+  process.env.PITC_RETRY_DELAY = "1";
+  pitc = require("../pitc-bill");
+  sessionPool = require("../session-pool");
+  circuitBreaker = require("../circuit-breaker");
+});
+
+after(() => portal.stop());
+
+beforeEach(() => {
+  portal.reset();
+  sessionPool.clearSessions();
+  circuitBreaker.resetBreakers();
+});
+
+const loadFixture = (company, refNo) =>
+  cheerio.load(
+    fs.readFileSync(path.join(FIXTURES_DIR, company, `${refNo}.html`), "utf8")
+  );
+
+describe("parseBillDetails", () => {
+  it("parses a HESCO bill into typed fields", () => {
+    const bill = pitc.parseBillDetails(
+      loadFixture("hesco", "09371234567890"),
+      "09371234567890",
+      "hesco"
+    );
+
+    assert.deepEqual(bill.consumerDetails, {
+      customerId: "3456789012",
+      name: "MUHAMMAD ASLAM",
+      address: "HOUSE 12 BLOCK C LATIFABAD HYDERABAD",
+    });
+    assert.deepEqual(bill.billDetails, {
+      tariff: "A-1a(01)",
+      billMonth: "2025-10",
+      readingDate: "2025-10-08",
+      issueDate: "2025-10-10",
+      dueDate: "2025-10-24",
+      previousReading: 10250,
+      currentReading: 10538,
+      unitsConsumed: 288,
+    });
+    assert.deepEqual(bill.charges, {
+      electricityCharges: 9216,
+      gst: 1740,
+      totalAmount: 11452,
+      amountAfterDueDate: 12373,
+    });
+    assert.deepEqual(bill.unparsedFields, []);
+  });
+
+  it("parses the 12-month history grid", () => {
+    const bill = pitc.parseBillDetails(
+      loadFixture("hesco", "09371234567890"),
+      "09371234567890",
+      "hesco"
+    );
+
+    assert.equal(bill.history.length, 12);
+    assert.deepEqual(bill.history[0], {
+      month: "2025-09",
+      units: 301,
+      billAmount: 12010,
+      payment: 12010,
+    });
+    assert.equal(bill.history[11].month, "2024-10");
+  });
+
+  it("lists values it cannot parse instead of guessing", () => {
+    const bill = pitc.parseBillDetails(
+      loadFixture("lesco", "06113530462901"),
+      "06113530462901",
+      "lesco"
+    );
+
+    assert.equal(bill.consumerDetails.customerId, "4412903");
+    assert.equal(bill.consumerDetails.name, "AYESHA KHAN");
+    assert.equal(bill.billDetails.dueDate, "2025-10-26");
+    assert.equal(bill.charges.totalAmount, 22610);
+    assert.equal(bill.charges.gst, undefined);
+    assert.deepEqual(bill.unparsedFields, [
+      { field: "charges.gst", label: "GST:", value: "N/A" },
+      { field: "history.units", label: "units", value: "--" },
+    ]);
+    assert.equal(bill.history[2].units, null);
+  });
+
+  it("itemizes adjustments, duties, taxes and fees", () => {
+    const bill = pitc.parseBillDetails(
+      loadFixture("hesco", "09371234567891"),
+      "09371234567891",
+      "hesco"
+    );
+
+    assert.deepEqual(bill.charges, {
+      electricityCharges: 9216,
+      fpa: 230,
+      fcSurcharge: 164,
+      qta: -96,
+      meterRent: 25,
+      electricityDuty: 138,
+      gst: 1740,
+      furtherTax: 0,
+      extraTax: 0,
+      incomeTax: 0,
+      tvFee: 35,
+      totalAmount: 11452,
+      amountAfterDueDate: 12373,
+    });
+  });
+});
+
+describe("payment details", () => {
+  it("parses arrears, deferred amounts and the last payment", () => {
+    const bill = pitc.parseBillDetails(
+      loadFixture("hesco", "09371234567891"),
+      "09371234567891",
+      "hesco"
+    );
+
+    assert.deepEqual(bill.payment, {
+      arrears: 2150,
+      installment: 1000,
+      deferredAmount: 4000,
+      reportedStatus: "PARTIALLY PAID",
+      lastPaymentDate: "2025-10-20",
+      lastPaymentAmount: 5000,
+    });
+  });
+
+  it("adds the computed payment status to lookups", async () => {
+    const partly = await pitc.getPITCBill("09371234567891", "hesco");
+    assert.equal(partly.data.payment.status, "partially_paid");
+
+    // The fixture's due date (2025-10-24) has passed and nothing was paid
+    const overdue = await pitc.getPITCBill("09371234567890", "hesco");
+    assert.deepEqual(overdue.data.payment, { status: "overdue" });
+  });
+});
+
+describe("validateReferenceNumber", () => {
+  it("accepts 10-14 digit reference numbers", () => {
+    assert.deepEqual(pitc.validateReferenceNumber(" 06113530462901 "), {
+      valid: true,
+      refNo: "06113530462901",
+      searchBy: "refno",
+      ruCode: undefined,
+    });
+  });
+
+  it("rejects missing and malformed reference numbers", () => {
+    assert.equal(
+      pitc.validateReferenceNumber("").error,
+      "Reference number is required"
+    );
+    assert.equal(
+      pitc.validateReferenceNumber("12345").error,
+      "Reference number must be 10-14 digits"
+    );
+  });
+
+  it("validates customer IDs and U/R codes", () => {
+    const result = pitc.validateReferenceNumber("1234567890", {
+      searchBy: "custid",
+      ruCode: "r",
+    });
+    assert.equal(result.valid, true);
+    assert.equal(result.ruCode, "R");
+
+    assert.equal(
+      pitc.validateReferenceNumber("06113530462901", { searchBy: "custid" })
+        .error,
+      "Customer ID must be 10 digits"
+    );
+    assert.equal(
+      pitc.validateReferenceNumber("1234567890", { ruCode: "X" }).valid,
+      false
+    );
+    assert.equal(
+      pitc.validateReferenceNumber("1234567890", { searchBy: "meter" }).valid,
+      false
+    );
+  });
+});
+
+describe("validateReferenceNumber with a company", () => {
+  it("accepts references that match the company's structure", () => {
+    assert.equal(
+      pitc.validateReferenceNumber("06113530462901", { company: "lesco" }).valid,
+      true
+    );
+    assert.equal(
+      pitc.validateReferenceNumber("1234567890", { company: "lesco" }).valid,
+      true
+    );
+  });
+
+  it("names the owning company on a mismatch", () => {
+    assert.equal(
+      pitc.validateReferenceNumber("06113530462901", { company: "hesco" }).error,
+      "Reference number belongs to LESCO, not HESCO"
+    );
+    assert.equal(
+      pitc.validateReferenceNumber("12345678901234", { company: "hesco" }).error,
+      "Reference number is not a valid HESCO reference number"
+    );
+  });
+});
+
+describe("getCompanyByCode", () => {
+  it("looks up companies case-insensitively", () => {
+    assert.equal(pitc.getCompanyByCode("LeSco").code, "lesco");
+    assert.equal(pitc.getCompanyByCode("kesc"), null);
+    assert.equal(pitc.getCompanyByCode(undefined), null);
+  });
+
+  it("builds company URLs from PITC_BASE_URL", () => {
+    assert.equal(
+      pitc.COMPANIES.HESCO.url,
+      `${process.env.PITC_BASE_URL}/hescobill`
+    );
+  });
+});
+
+describe("getPITCBill", () => {
+  it("fetches and parses a bill", async () => {
+    const result = await pitc.getPITCBill("09371234567890", "hesco");
+
+    assert.equal(result.success, true);
+    assert.equal(result.company, "hesco");
+    assert.equal(result.companyName, "Hyderabad Electric Supply Company");
+    assert.equal(result.data.charges.totalAmount, 11452);
+
+    const post = portal.requests.find((r) => r.method === "POST");
+    assert.equal(post.form.__VIEWSTATE, "viewstate-1");
+    assert.equal(post.form.rbSearchByList, "refno");
+    assert.equal(post.form.searchTextBox, "09371234567890");
+    assert.match(post.cookie, /ASP\.NET_SessionId=session-1/);
+  });
+
+  it("returns the portal's #ua message when the bill is not found", async () => {
+    const result = await pitc.getPITCBill("06119999999999", "lesco");
+
+    assert.deepEqual(result, {
+      success: false,
+      error: "The given input does not belongs to LESCO",
+      code: "REF_NOT_FOUND",
+      retryable: false,
+      refNo: "06119999999999",
+      searchBy: "refno",
+      company: "lesco",
+    });
+  });
+
+  it("rejects unknown companies and search modes without contacting the portal", async () => {
+    const invalidCompany = await pitc.getPITCBill("09371234567890", "kesc");
+    assert.match(invalidCompany.error, /^Invalid company code/);
+
+    const invalidMode = await pitc.getPITCBill("09371234567890", "hesco", {
+      searchBy: "meter",
+    });
+    assert.match(invalidMode.error, /^Invalid search mode/);
+
+    assert.equal(portal.requests.length, 0);
+  });
+
+  it("posts the customer ID search mode and U/R code", async () => {
+    await pitc.getPITCBill("1234567890", "mepco", {
+      searchBy: "custid",
+      ruCode: "r",
+    });
+
+    const post = portal.requests.find((r) => r.method === "POST");
+    assert.equal(post.form.rbSearchByList, "custid");
+    assert.equal(post.form.ruCodeTextBox, "R");
+  });
+
+  it("reuses the ViewState session across lookups", async () => {
+    await pitc.getPITCBill("09371234567890", "hesco");
+    await pitc.getPITCBill("09371234567890", "hesco");
+    await pitc.getPITCBill("09379999999999", "hesco");
+
+    const gets = portal.requests.filter((r) => r.method === "GET");
+    const posts = portal.requests.filter((r) => r.method === "POST");
+    assert.equal(gets.length, 1);
+    assert.equal(posts.length, 3);
+  });
+
+  it("refreshes the session when the portal rejects stale tokens", async () => {
+    await pitc.getPITCBill("09371234567890", "hesco");
+    portal.rotateTokens();
+
+    const result = await pitc.getPITCBill("09371234567890", "hesco");
+
+    assert.equal(result.success, true);
+    const methods = portal.requests.map((r) => r.method);
+    assert.deepEqual(methods, ["GET", "POST", "POST", "GET", "POST"]);
+  });
+
+  it("retries other portal errors without fetching a new session", async () => {
+    await pitc.getPITCBill("09371234567890", "hesco");
+    portal.setFailure("hesco", { type: "status", status: 503, count: 1 });
+
+    const result = await pitc.getPITCBill("09371234567890", "hesco");
+
+    assert.equal(result.success, true);
+    const methods = portal.requests.map((r) => r.method);
+    assert.deepEqual(methods, ["GET", "POST", "POST", "POST"]);
+  });
+
+  it("keeps the form's tokens when a bill page carries its own", () => {
+    const hidden = (value) =>
+      `<input type="hidden" id="__VIEWSTATE" value="${value}" />` +
+      `<input type="hidden" id="__VIEWSTATEGENERATOR" value="gen" />` +
+      `<input type="hidden" id="__EVENTVALIDATION" value="ev-${value}" />`;
+    const session = { cookies: new Map(), tokens: { viewState: "form-1" } };
+    const page = (html) => ({ headers: {}, data: html });
+
+    sessionPool.updateSession(session, page(`<form>${hidden("bill")}<table></table></form>`));
+    assert.equal(session.tokens.viewState, "form-1");
+
+    sessionPool.updateSession(
+      session,
+      page(
+        `<form>${hidden("form-2")}<input id="searchTextBox" />` +
+          `<input type="submit" id="btnSearch" /></form>`
+      )
+    );
+    assert.equal(session.tokens.viewState, "form-2");
+  });
+
+  it("retries transient failures", async () => {
+    portal.setFailure("hesco", { type: "reset", count: 1 });
+
+    const result = await pitc.getPITCBill("09371234567890", "hesco");
+
+    assert.equal(result.success, true);
+  });
+
+  it("reports token extraction failures", async () => {
+    portal.setFailure("hesco", { type: "no-tokens" });
+
+    const result = await pitc.getPITCBill("09371234567890", "hesco", {
+      retries: 0,
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(
+      result.error,
+      "Failed to extract required tokens from PITC portal"
+    );
+  });
+
+  it("opens the circuit after repeated upstream failures", async () => {
+    portal.setFailure("fesco", { type: "status", status: 503 });
+
+    const first = await pitc.getPITCBill("09371234567890", "fesco", {
+      retries: 4,
+    });
+    assert.equal(first.error, "Request failed with status code 503");
+
+    const requestsSoFar = portal.requests.length;
+    const second = await pitc.getPITCBill("09371234567890", "fesco");
+
+    assert.match(second.error, /FESCO portal is temporarily unavailable/);
+    assert.equal(portal.requests.length, requestsSoFar);
+    assert.equal(circuitBreaker.getBreaker("fesco").getStatus().state, "open");
+  });
+});
+
+describe("error codes", () => {
+  it("codes portal timeouts, server errors and missing tokens", async () => {
+    const client = new pitc.PITCClient({ timeout: 50, retry: { retries: 0 } });
+
+    portal.setFailure("hesco", { type: "slow", ms: 300, count: 1 });
+    const timeout = await client.getBill("09371234567890", "hesco");
+    assert.equal(timeout.code, "UPSTREAM_TIMEOUT");
+    assert.equal(timeout.retryable, true);
+
+    portal.setFailure("hesco", { type: "status", status: 503, count: 1 });
+    assert.equal((await client.getBill("09371234567890", "hesco")).code, "UPSTREAM_ERROR");
+
+    portal.setFailure("hesco", { type: "no-tokens", count: 1 });
+    assert.equal(
+      (await client.getBill("09371234567890", "hesco")).code,
+      "TOKEN_EXTRACTION_FAILED"
+    );
+  });
+
+  it("codes invalid input and unreachable portals", async () => {
+    assert.equal((await pitc.getPITCBill("09371234567890", "kesc")).code, "INVALID_COMPANY");
+    assert.equal(
+      (await pitc.getPITCBill("09371234567890", "hesco", { ruCode: "X" })).code,
+      "INVALID_REQUEST"
+    );
+
+    const client = new pitc.PITCClient({ baseUrl: "http://127.0.0.1:1", retry: { retries: 0 } });
+    const unreachable = await client.getBill("09371234567890", "hesco");
+    assert.equal(unreachable.code, "UPSTREAM_UNREACHABLE");
+    assert.equal(unreachable.error, "Unable to connect to PITC server");
+  });
+});
+
+describe("PITCClient", () => {
+  it("sends its own headers and reports requests to hooks", async () => {
+    const events = [];
+    const client = new pitc.PITCClient({
+      headers: { "User-Agent": "bill-checker-test/1.0" },
+      proxyPool: null,
+      hooks: {
+        onRequest: (event) => events.push({ hook: "request", ...event }),
+        onResponse: (event) => events.push({ hook: "response", ...event }),
+      },
+    });
+
+    const result = await client.getBill("09371234567890", "hesco");
+
+    assert.equal(result.success, true);
+    assert.ok(portal.requests.every((r) => r.userAgent === "bill-checker-test/1.0"));
+    assert.deepEqual(
+      events.map((e) => [e.hook, e.method, e.company, e.status]),
+      [
+        ["request", "GET", "hesco", undefined],
+        ["response", "GET", "hesco", 200],
+        ["request", "POST", "hesco", undefined],
+        ["response", "POST", "hesco", 200],
+      ]
+    );
+    assert.ok(events.every((e) => e.url.endsWith("/hescobill")));
+    assert.ok(events.filter((e) => e.hook === "response").every((e) => e.durationMs >= 0));
+  });
+
+  it("applies its retry policy and ignores failing hooks", async () => {
+    portal.setFailure("hesco", { type: "status", status: 503 });
+    const retries = [];
+    const client = new pitc.PITCClient({
+      retry: { retries: 1, baseDelayMs: 1 },
+      hooks: {
+        onRequest: () => {
+          throw new Error("hook failed");
+        },
+        onRetry: (event) => retries.push(event.attempt),
+      },
+    });
+
+    const result = await client.getBill("09371234567890", "hesco");
+
+    assert.equal(result.error, "Request failed with status code 503");
+    assert.deepEqual(retries, [1]);
+    assert.equal(portal.requests.length, 2);
+  });
+
+  it("talks to the portal at its base URL with separate sessions and breakers", async () => {
+    const mirror = createMockPortal();
+    const baseUrl = await mirror.start();
+    try {
+      const client = new pitc.PITCClient({ baseUrl, retry: { retries: 0 } });
+      mirror.setFailure("fesco", { type: "reset" });
+
+      assert.equal((await client.getBill("09371234567890", "hesco")).success, true);
+      for (let i = 0; i < 5; i++) {
+        await client.getBill("09371234567890", "fesco");
+      }
+
+      assert.equal(portal.requests.length, 0);
+      assert.equal(mirror.requests.filter((r) => r.method === "GET").length, 6);
+      assert.equal(client.getBreaker("fesco").getStatus().state, "open");
+      assert.equal(circuitBreaker.getBreaker("fesco").getStatus().state, "closed");
+
+      assert.equal((await pitc.getPITCBill("09371234567890", "hesco")).success, true);
+      assert.equal(portal.requests.filter((r) => r.method === "GET").length, 1);
+    } finally {
+      await mirror.stop();
+    }
+  });
+});
+
+describe("getHESCOBill", () => {
+  it("looks up HESCO bills through getPITCBill", async () => {
+    const { getHESCOBill } = require("../hesco-bill");
+
+    const result = await getHESCOBill("09371234567890");
+
+    assert.equal(result.success, true);
+    assert.equal(result.company, "hesco");
+    assert.equal(result.data.consumerDetails.name, "MUHAMMAD ASLAM");
+  });
+});
@@ -0,0 +1,226 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { createMockPortal, FIXTURES_DIR } = require("./mock-portal");
+
+const portal = createMockPortal();
+let api;
+let server;
+let cache;
+let sessionPool;
+let providers;
+let pitcProvider;
+let parseBillDetails;
+let lookupError;
+let fetches;
+
+// Fixture-backed adapter for a gas utility: reads bill pages from
+// test/fixtures/testgas/<refNo>.html instead of contacting a portal
+const testGasProvider = {
+  id: "testgas",
+  name: "Test Gas Portal",
+  utility: "gas",
+  companies: [{ code: "tgc", name: "Test Gas Company" }],
+
+  validate(refNo, options = {}) {
+    if (!/^\d{10}$/.test(String(refNo || ""))) {
+      return { valid: false, error: "Consumer number must be 10 digits" };
+    }
+    if (options.company && options.company !== "tgc") {
+      return { valid: false, error: "Invalid company code. Supported: tgc" };
+    }
+    return { valid: true, query: { refNo: String(refNo), company: "tgc" } };
+  },
+
+  async fetch(query) {
+    fetches++;
+    const file = path.join(FIXTURES_DIR, "testgas", `${query.refNo}.html`);
+    if (!fs.existsSync(file)) {
+      return lookupError("REF_NOT_FOUND", "Consumer not found", { refNo: query.refNo });
+    }
+    return { success: true, html: fs.readFileSync(file, "utf8") };
+  },
+
+  parse(html, query) {
+    const bill = parseBillDetails(cheerio.load(html), query.refNo, query.company);
+    bill.rawHtml = null;
+    return bill;
+  },
+};
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.LOG_LEVEL = "silent";
+  process.env.API_KEYS_REQUIRED = "false";
+  process.env.OPENAPI_VALIDATE_RESPONSES = "strict";
+  const app = require("../server");
+  cache = require("../cache");
+  sessionPool = require("../session-pool");
+  providers = require("../providers");
+  ({ pitcProvider, parseBillDetails } = require("../pitc-bill"));
+  ({ lookupError } = require("../errors"));
+
+  providers.registerProvider(testGasProvider);
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  providers.unregisterProvider("testgas");
+  await new Promise((resolve) => server.close(resolve));
+  await portal.stop();
+});
+
+beforeEach(() => {
+  portal.reset();
+  sessionPool.clearSessions();
+  cache.setBillCache(cache.createMemoryCache());
+  fetches = 0;
+});
+
+const get = async (urlPath) => {
+  const res = await fetch(`${api}${urlPath}`);
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+describe("registry", () => {
+  it("lists the built-in PITC provider and registered adapters", () => {
+    const [pitc, gas] = providers.listProviders();
+
+    assert.equal(pitc.id, "pitc");
+    assert.equal(pitc.utility, "electricity");
+    assert.equal(pitc.companies.length, 9);
+    assert.deepEqual(gas, {
+      id: "testgas",
+      name: "Test Gas Portal",
+      utility: "gas",
+      companies: [{ code: "tgc", name: "Test Gas Company" }],
+    });
+    assert.equal(providers.getProvider("PITC"), pitcProvider);
+  });
+
+  it("rejects incomplete, duplicate and unknown-utility adapters", () => {
+    assert.throws(
+      () => providers.registerProvider({ id: "half", companies: [], validate() {} }),
+      /needs id, companies, validate, fetch and parse/
+    );
+    assert.throws(() => providers.registerProvider(testGasProvider), /already registered/);
+    assert.throws(
+      () => providers.registerProvider({ ...testGasProvider, id: "water", utility: "water" }),
+      /Unknown utility "water"/
+    );
+  });
+});
+
+describe("PITC adapter", () => {
+  it("infers the company and checks the reference structure", () => {
+    assert.deepEqual(pitcProvider.validate("06113530462901"), {
+      valid: true,
+      query: { refNo: "06113530462901", company: "lesco", searchBy: "refno", ruCode: undefined },
+    });
+    assert.match(
+      pitcProvider.validate("06113530462901", { company: "hesco" }).error,
+      /belongs to LESCO/
+    );
+    assert.match(pitcProvider.validate("1234567890").error, /Company is required/);
+  });
+
+  it("parses fixture pages", () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, "lesco", "06113530462901.html"), "utf8");
+    const bill = pitcProvider.parse(html, { refNo: "06113530462901", company: "lesco" });
+
+    assert.equal(bill.consumerDetails.name, "AYESHA KHAN");
+    assert.equal(bill.charges.totalAmount, 22610);
+  });
+});
+
+describe("getProviderBill", () => {
+  it("validates, fetches and parses through the adapter", async () => {
+    const result = await providers.getProviderBill("testgas", "4401234567");
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, "testgas");
+    assert.equal(result.company, "tgc");
+    assert.equal(result.companyName, "Test Gas Company");
+    assert.equal(result.partial, false);
+    assert.equal(result.data.charges.totalAmount, 3950);
+    assert.equal(result.data.billDetails.dueDate, "2025-11-20");
+    assert.match(result.data.rawHtml, /FATIMA NOOR/);
+  });
+
+  it("returns validation, fetch and unknown-provider errors", async () => {
+    assert.deepEqual(await providers.getProviderBill("testgas", "44"), {
+      success: false,
+      error: "Consumer number must be 10 digits",
+      code: "INVALID_REQUEST",
+      retryable: false,
+    });
+    assert.equal((await providers.getProviderBill("testgas", "4409999999")).error, "Consumer not found");
+    assert.equal((await providers.getProviderBill("kelectric", "4401234567")).code, "NOT_FOUND");
+  });
+});
+
+describe("GET /api/providers", () => {
+  it("lists providers and their companies", async () => {
+    const { status, body } = await get("/api/providers");
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.providers.map((provider) => provider.id),
+      ["pitc", "testgas"]
+    );
+  });
+
+  it("feeds /api/companies", async () => {
+    const { body } = await get("/api/companies");
+
+    assert.deepEqual(body.companies.at(-1), {
+      code: "tgc",
+      name: "Test Gas Company",
+      provider: "testgas",
+      utility: "gas",
+    });
+  });
+});
+
+describe("GET /api/providers/:provider/bill", () => {
+  it("fetches PITC bills with the company inferred", async () => {
+    const { status, body } = await get("/api/providers/pitc/bill?refNo=06113530462901");
+
+    assert.equal(status, 200);
+    assert.equal(body.provider, "pitc");
+    assert.equal(body.company, "lesco");
+    assert.equal(body.data.consumerDetails.name, "AYESHA KHAN");
+    assert.equal("rawHtml" in body.data, false);
+  });
+
+  it("serves other providers through the cache", async () => {
+    const first = await get("/api/providers/testgas/bill?refNo=4401234567&include=raw");
+    const second = await get("/api/providers/testgas/bill?refNo=4401234567");
+
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("x-cache"), "MISS");
+    assert.match(first.body.data.rawHtml, /FATIMA NOOR/);
+    assert.equal(second.headers.get("x-cache"), "HIT");
+    assert.equal("rawHtml" in second.body.data, false);
+    assert.equal(fetches, 1);
+  });
+
+  it("returns 400, 404 for bad input, unknown providers and missing bills", async () => {
+    assert.equal((await get("/api/providers/pitc/bill?refNo=123")).status, 400);
+    assert.equal((await get("/api/providers/pitc/bill")).status, 400);
+
+    const unknown = await get("/api/providers/kelectric/bill?refNo=4401234567");
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, "Unknown provider. Supported: pitc, testgas");
+
+    const missing = await get("/api/providers/testgas/bill?refNo=4409999999");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "Consumer not found");
+  });
+});
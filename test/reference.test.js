@@ -0,0 +1,56 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { decodeReferenceNumber, inferCompany } = require("../reference");
+
+describe("decodeReferenceNumber", () => {
+  it("splits a 14-digit reference into its components", () => {
+    assert.deepEqual(decodeReferenceNumber("06113530462901"), {
+      valid: true,
+      refNo: "06113530462901",
+      format: "standard",
+      batch: "06",
+      subDivision: "11353",
+      discoCode: "11",
+      serial: "0462901",
+      ruCode: null,
+      company: { code: "lesco", name: "Lahore Electric Supply Company" },
+    });
+  });
+
+  it("accepts the printed form with spaces and a U/R suffix", () => {
+    const decoded = decodeReferenceNumber("09 37123 4567890 R");
+
+    assert.equal(decoded.refNo, "09371234567890");
+    assert.equal(decoded.ruCode, "R");
+    assert.equal(decoded.company.code, "hesco");
+  });
+
+  it("does not infer a company from an unknown DISCO code", () => {
+    const decoded = decodeReferenceNumber("12345678901234");
+
+    assert.equal(decoded.valid, true);
+    assert.equal(decoded.discoCode, "34");
+    assert.equal(decoded.company, null);
+  });
+
+  it("accepts short references without decoding them", () => {
+    const decoded = decodeReferenceNumber("1234567890");
+
+    assert.equal(decoded.format, "short");
+    assert.equal(decoded.subDivision, null);
+    assert.equal(decoded.company, null);
+  });
+
+  it("rejects malformed input", () => {
+    assert.equal(decodeReferenceNumber("").valid, false);
+    assert.equal(decodeReferenceNumber("12345").valid, false);
+    assert.equal(decodeReferenceNumber("0611353046290X").valid, false);
+  });
+});
+
+describe("inferCompany", () => {
+  it("returns the company code when it can be inferred", () => {
+    assert.equal(inferCompany("03131234567890"), "fesco");
+    assert.equal(inferCompany("1234567890"), null);
+  });
+});
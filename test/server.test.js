@@ -0,0 +1,701 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockPortal } = require("./mock-portal");
+
+const portal = createMockPortal();
+let api;
+let server;
+let cache;
+let sessionPool;
+let circuitBreaker;
+let subscriptions;
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.LOG_LEVEL = "silent";
+  process.env.PITC_RETRY_DELAY = "1";
+  process.env.API_KEYS_REQUIRED = "false";
+  process.env.OPENAPI_VALIDATE_RESPONSES = "strict";
+  const app = require("../server");
+  cache = require("../cache");
+  sessionPool = require("../session-pool");
+  circuitBreaker = require("../circuit-breaker");
+  subscriptions = require("../subscriptions");
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await portal.stop();
+});
+
+beforeEach(() => {
+  portal.reset();
+  sessionPool.clearSessions();
+  circuitBreaker.resetBreakers();
+  cache.setBillCache(cache.createMemoryCache());
+  subscriptions.setSubscriptionStore(
+    subscriptions.createSubscriptionStore({ filePath: null })
+  );
+});
+
+const get = async (path) => {
+  const res = await fetch(`${api}${path}`);
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+const post = async (path, body) => {
+  const res = await fetch(`${api}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, headers: res.headers, body: await res.json() };
+};
+
+describe("GET /", () => {
+  it("describes the service", async () => {
+    const { status, body } = await get("/");
+
+    assert.equal(status, 200);
+    assert.equal(body.status, "online");
+    assert.equal(body.supportedCompanies.length, 9);
+    assert.ok(body.endpoints.checkBill);
+  });
+});
+
+describe("GET /health", () => {
+  it("reports each DISCO's upstream status", async () => {
+    const { status, body } = await get("/health");
+
+    assert.equal(status, 200);
+    assert.equal(body.status, "healthy");
+    assert.equal(Object.keys(body.upstream).length, 9);
+    assert.equal(body.upstream.lesco.state, "closed");
+  });
+
+  it("is degraded while a circuit is open", async () => {
+    portal.setFailure("lesco", { type: "status", status: 503 });
+    await get("/api/check-bill?refNo=06113530462901&company=lesco");
+    await get("/api/check-bill?refNo=06113530462901&company=lesco&fresh=1");
+
+    const { body } = await get("/health");
+
+    assert.equal(body.status, "degraded");
+    assert.equal(body.upstream.lesco.state, "open");
+    assert.equal(body.upstream.lesco.errorRate, 1);
+  });
+});
+
+describe("GET /api/companies", () => {
+  it("lists supported companies", async () => {
+    const { body } = await get("/api/companies");
+
+    assert.equal(body.success, true);
+    assert.deepEqual(body.companies[1], {
+      code: "lesco",
+      name: "Lahore Electric Supply Company",
+      provider: "pitc",
+      utility: "electricity",
+    });
+  });
+});
+
+describe("GET /api/check-bill", () => {
+  it("returns the parsed bill", async () => {
+    const { status, body, headers } = await get(
+      "/api/check-bill?refNo=06113530462901&company=lesco"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.data.charges.totalAmount, 22610);
+    assert.equal(headers.get("x-cache"), "MISS");
+  });
+
+  it("includes a tariff audit", async () => {
+    const { body } = await get("/api/check-bill?refNo=09371234567890&company=hesco");
+
+    assert.equal(body.audit.tariff, "residential-unprotected");
+    assert.equal(body.audit.version, "2024-07");
+    // The bill shows no FPA or QTA, so GST and the total cannot be checked
+    assert.deepEqual(
+      body.audit.checks.map((c) => c.field),
+      ["electricityCharges"]
+    );
+    assert.deepEqual(body.audit.unchecked, ["gst", "totalAmount"]);
+
+    const itemized = await get("/api/check-bill?refNo=09371234567891&company=hesco");
+    assert.deepEqual(
+      itemized.body.audit.checks.map((c) => c.field),
+      ["electricityCharges", "fcSurcharge", "electricityDuty", "tvFee", "gst", "totalAmount"]
+    );
+    // Without the month's FPA and QTA rates those lines are reported, not judged
+    assert.deepEqual(itemized.body.audit.unchecked, [
+      "fpa",
+      "qta",
+      "meterRent",
+      "furtherTax",
+      "extraTax",
+      "incomeTax",
+    ]);
+    assert.equal(itemized.body.audit.discrepancies.includes("fpa"), false);
+  });
+
+  it("includes consumption insights", async () => {
+    const { body } = await get("/api/check-bill?refNo=09371234567890&company=hesco");
+
+    assert.equal(body.insights.status, "normal");
+    assert.equal(body.insights.changePercent, 37);
+  });
+
+  it("serves repeated lookups from the cache unless fresh=1", async () => {
+    await get("/api/check-bill?refNo=06113530462901&company=lesco");
+
+    const cached = await get("/api/check-bill?refNo=06113530462901&company=lesco");
+    assert.equal(cached.headers.get("x-cache"), "HIT");
+    assert.match(cached.headers.get("cache-control"), /^private, max-age=\d+$/);
+
+    const fresh = await get(
+      "/api/check-bill?refNo=06113530462901&company=lesco&fresh=1"
+    );
+    assert.equal(fresh.headers.get("x-cache"), "BYPASS");
+    assert.equal(portal.requests.filter((r) => r.method === "POST").length, 2);
+  });
+
+  it("infers the company from the reference number", async () => {
+    const { status, body } = await get("/api/check-bill?refNo=06113530462901");
+
+    assert.equal(status, 200);
+    assert.equal(body.company, "lesco");
+  });
+
+  it("defaults to HESCO when the company cannot be inferred", async () => {
+    const { body } = await get("/api/check-bill?refNo=1234567890");
+
+    assert.equal(body.company, "hesco");
+  });
+
+  it("returns 400 when the reference belongs to another company", async () => {
+    const { status, body } = await get(
+      "/api/check-bill?refNo=06113530462901&company=hesco"
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Reference number belongs to LESCO, not HESCO");
+  });
+
+  it("returns 400 for invalid reference numbers", async () => {
+    const { status, body } = await get("/api/check-bill?refNo=123&company=fesco");
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Reference number must be 10-14 digits");
+  });
+
+  it("validates the query against the OpenAPI schema", async () => {
+    const { status, body } = await get(
+      "/api/check-bill?refNo=06113530462901&company=kesc&format=xml"
+    );
+
+    assert.equal(status, 400);
+    assert.match(body.error, /^Invalid company code/);
+    assert.deepEqual(
+      body.details.map((detail) => [detail.in, detail.field]),
+      [
+        ["query", "company"],
+        ["query", "format"],
+      ]
+    );
+    assert.equal(portal.requests.length, 0);
+  });
+
+  it("returns 404 when the portal does not know the reference", async () => {
+    const { status, body, headers } = await get(
+      "/api/check-bill?refNo=06119999999999&company=lesco"
+    );
+
+    assert.equal(status, 404);
+    assert.equal(body.error, "The given input does not belongs to LESCO");
+    assert.equal(headers.get("cache-control"), "no-store");
+  });
+});
+
+describe("GET /api/check-bill.pdf", () => {
+  it("renders the bill as a PDF", async () => {
+    const res = await fetch(
+      `${api}/api/check-bill.pdf?refNo=09371234567890&company=hesco`
+    );
+    const pdf = Buffer.from(await res.arrayBuffer());
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+    assert.match(
+      res.headers.get("content-disposition"),
+      /filename="hesco-bill-09371234567890\.pdf"/
+    );
+    assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+  });
+
+  it("is also available as format=pdf", async () => {
+    const res = await fetch(
+      `${api}/api/check-bill?refNo=06113530462901&company=lesco&format=pdf`
+    );
+
+    assert.equal(res.headers.get("content-type"), "application/pdf");
+  });
+
+  it("returns JSON errors", async () => {
+    const { status, body } = await get(
+      "/api/check-bill.pdf?refNo=06119999999999&company=lesco"
+    );
+
+    assert.equal(status, 404);
+    assert.equal(body.success, false);
+  });
+});
+
+describe("POST /api/check-bill", () => {
+  it("returns the parsed bill", async () => {
+    const { status, body } = await post("/api/check-bill", {
+      refNo: "09371234567890",
+      company: "hesco",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.billDetails.unitsConsumed, 288);
+  });
+
+  it("supports customer ID search", async () => {
+    const { status } = await post("/api/check-bill", {
+      refNo: "1234567890",
+      company: "mepco",
+      searchBy: "custid",
+      ruCode: "R",
+    });
+
+    assert.equal(status, 404);
+    const form = portal.requests.find((r) => r.method === "POST").form;
+    assert.equal(form.rbSearchByList, "custid");
+    assert.equal(form.ruCodeTextBox, "R");
+  });
+
+  it("returns 400 without a reference number", async () => {
+    const { status, body } = await post("/api/check-bill", { company: "lesco" });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Reference number is required");
+  });
+
+  it("accepts company codes in any case", async () => {
+    const { status, body } = await post("/api/check-bill", {
+      refNo: "09371234567890",
+      company: "HesCo",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.company, "hesco");
+
+    const lesco = await get("/api/check-bill?refNo=06113530462901&company=Lesco");
+    assert.equal(lesco.status, 200);
+    assert.equal(lesco.body.company, "lesco");
+  });
+
+  it("rejects wrongly typed body fields", async () => {
+    const { status, body } = await post("/api/check-bill", {
+      refNo: true,
+      company: "lesco",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.details[0].field, "refNo");
+  });
+
+  it("rejects numeric reference numbers, which lose their leading zeros", async () => {
+    const { status, body } = await post("/api/check-bill", { refNo: 6113530462901 });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_REQUEST");
+    assert.equal(body.error, "Reference number must be a string of 10-14 digits");
+    assert.equal(portal.requests.length, 0);
+  });
+});
+
+describe("POST /api/check-bills", () => {
+  it("returns per-item results and a summary", async () => {
+    const { status, body } = await post("/api/check-bills", {
+      items: [
+        { refNo: "06113530462901", company: "lesco" },
+        { refNo: "09371234567890", company: "hesco" },
+        { refNo: "06119999999999", company: "lesco" },
+        { refNo: "123", company: "lesco" },
+        { refNo: "09371234567890", company: "kesc" },
+      ],
+      concurrency: 2,
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      { ...body.summary, durationMs: 0 },
+      { total: 5, succeeded: 2, failed: 3, partial: 0, concurrency: 2, durationMs: 0 }
+    );
+    assert.deepEqual(
+      body.results.map((r) => [r.index, r.success]),
+      [
+        [0, true],
+        [1, true],
+        [2, false],
+        [3, false],
+        [4, false],
+      ]
+    );
+    assert.equal(body.results[3].error, "Reference number must be 10-14 digits");
+    assert.match(body.results[4].error, /^Invalid company code/);
+  });
+
+  it("returns 400 without items", async () => {
+    const { status } = await post("/api/check-bills", { items: [] });
+
+    assert.equal(status, 400);
+  });
+
+  it("filters results by payment status", async () => {
+    const items = [
+      { refNo: "06113530462901", company: "lesco" },
+      { refNo: "09371234567891", company: "hesco" },
+      { refNo: "06119999999999", company: "lesco" },
+    ];
+
+    const { status, body } = await fetch(`${api}/api/check-bills?status=partially_paid`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ items }),
+    }).then(async (res) => ({ status: res.status, body: await res.json() }));
+
+    assert.equal(status, 200);
+    assert.equal(body.summary.total, 3);
+    assert.equal(body.summary.matched, 1);
+    assert.deepEqual(
+      body.results.map((r) => [r.index, r.data.payment.status]),
+      [[1, "partially_paid"]]
+    );
+
+    const invalid = await post("/api/check-bills?status=settled", { items });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, "INVALID_REQUEST");
+  });
+
+  it("works out the payment status of cached bills when they are served", async () => {
+    const items = [{ refNo: "09371234567890", company: "hesco" }];
+    await post("/api/check-bills", { items });
+
+    // A bill cached before its due date still says unpaid
+    const { store } = cache.getBillCache();
+    const entry = await store.get(cache.getCacheKey("09371234567890", "hesco"));
+    entry.value.data.payment = { status: "unpaid" };
+
+    const { body } = await post("/api/check-bills?status=overdue", { items });
+    assert.equal(body.results[0].cache, "HIT");
+    assert.equal(body.summary.matched, 1);
+    assert.equal(body.results[0].data.payment.status, "overdue");
+    assert.equal(entry.value.data.payment.status, "unpaid");
+  });
+});
+
+describe("POST /api/estimate", () => {
+  it("estimates a bill", async () => {
+    const { status, body } = await post("/api/estimate", {
+      units: 150,
+      tariff: "residential-protected",
+      version: "2024-07",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.estimate.charges.energyCharges, 1705);
+  });
+
+  it("returns 400 for an unknown tariff", async () => {
+    const { status, body } = await post("/api/estimate", { units: 150, tariff: "x" });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_REQUEST");
+    assert.equal(body.retryable, false);
+  });
+
+  it("rejects adjustments, flags and versions of the wrong kind", async () => {
+    const base = { units: 150, tariff: "residential-protected" };
+    const cases = [
+      [{ fpaRate: "abc" }, "fpaRate must be a non-negative number"],
+      [{ qtaRate: -1 }, "qtaRate must be a non-negative number"],
+      [{ meterRent: "25" }, "meterRent must be a non-negative number"],
+      [{ incomeTax: "false" }, "incomeTax must be true or false"],
+      [{ version: "garbage" }, "version must be one of 2023-07, 2024-07 or an ISO date"],
+      [{ units: 1.5 }, "Units must be a non-negative whole number"],
+    ];
+
+    for (const [fields, error] of cases) {
+      const { status, body } = await post("/api/estimate", { ...base, ...fields });
+      assert.equal(status, 400, error);
+      assert.equal(body.code, "INVALID_REQUEST");
+      assert.equal(body.error, error);
+      assert.equal(body.details[0].in, "body");
+    }
+  });
+
+  it("accepts ISO dates as the version", async () => {
+    const dated = await post("/api/estimate", {
+      units: 150,
+      tariff: "residential-protected",
+      version: "2024-01-15",
+      incomeTax: false,
+    });
+    assert.equal(dated.status, 200);
+    assert.equal(dated.body.estimate.version, "2023-07");
+
+    const early = await post("/api/estimate", {
+      units: 150,
+      tariff: "residential-protected",
+      version: "2020-01-01",
+    });
+    assert.equal(early.status, 400);
+    assert.equal(early.body.error, "No tariff in force for 2020-01-01");
+  });
+});
+
+describe("GET /api/reference/:refNo", () => {
+  it("decodes the reference number", async () => {
+    const { status, body } = await get("/api/reference/06%2011353%200462901%20U");
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.subDivision, "11353");
+    assert.equal(body.ruCode, "U");
+    assert.equal(body.company.code, "lesco");
+  });
+
+  it("returns 400 for malformed references", async () => {
+    const { status } = await get("/api/reference/12ab");
+
+    assert.equal(status, 400);
+  });
+});
+
+describe("GET /api/history", () => {
+  it("returns the consumption history", async () => {
+    const { status, body } = await get(
+      "/api/history?refNo=09371234567890&company=hesco"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.history.length, 12);
+    assert.deepEqual(body.history[0], {
+      month: "2025-09",
+      units: 301,
+      billAmount: 12010,
+      payment: 12010,
+    });
+  });
+
+  it("returns 404 when the bill is not found", async () => {
+    const { status, body } = await get("/api/history?refNo=09379999999999&company=hesco");
+
+    assert.equal(status, 404);
+    assert.equal(body.code, "REF_NOT_FOUND");
+    assert.equal(body.retryable, false);
+  });
+});
+
+describe("GET /api/insights", () => {
+  it("returns consumption insights", async () => {
+    const { status, body } = await get(
+      "/api/insights?refNo=09371234567890&company=hesco"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.insights.status, "normal");
+    assert.equal(body.insights.units, 288);
+    assert.deepEqual(body.insights.baseline, {
+      units: 210,
+      recentUnits: 333,
+      sameMonthLastYear: 265,
+      months: 12,
+    });
+    assert.deepEqual(body.insights.flags, []);
+  });
+
+  it("returns 404 when the bill is not found", async () => {
+    const { status } = await get("/api/insights?refNo=09379999999999&company=hesco");
+
+    assert.equal(status, 404);
+  });
+
+  it("validates its query like the other lookups", async () => {
+    const { status, body } = await get(
+      "/api/insights?refNo=09371234567890&company=hesco&ruCode=X"
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_REQUEST");
+    assert.equal(body.error, "U/R code must be U (urban) or R (rural)");
+    assert.equal(body.details[0].in, "query");
+  });
+});
+
+describe("/api/subscriptions", () => {
+  const webhookUrl = "https://203.0.113.10/hooks/pitc";
+
+  it("creates a subscription and returns its secret once", async () => {
+    const { status, body } = await post("/api/subscriptions", {
+      refNo: "06113530462901",
+      webhookUrl,
+      reminderDays: 5,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.success, true);
+    assert.equal(body.subscription.company, "lesco");
+    assert.equal(body.subscription.reminderDays, 5);
+    assert.match(body.subscription.secret, /^whsec_/);
+
+    const list = await get("/api/subscriptions");
+    assert.equal(list.body.subscriptions.length, 1);
+    assert.equal(list.body.subscriptions[0].secret, undefined);
+
+    const single = await get(`/api/subscriptions/${body.subscription.id}`);
+    assert.equal(single.status, 200);
+    assert.equal(single.body.subscription.webhookUrl, webhookUrl);
+  });
+
+  it("returns 400 for invalid subscriptions", async () => {
+    const { status, body } = await post("/api/subscriptions", {
+      refNo: "06113530462901",
+      webhookUrl: "mailto:someone@example.com",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, "INVALID_REQUEST");
+    assert.match(body.error, /webhookUrl/);
+
+    const company = await post("/api/subscriptions", {
+      refNo: "06113530462901",
+      company: "kesc",
+      webhookUrl,
+    });
+    assert.equal(company.status, 400);
+    assert.equal(company.body.code, "INVALID_COMPANY");
+  });
+
+  it("lists deliveries and deletes subscriptions", async () => {
+    const created = await post("/api/subscriptions", {
+      refNo: "06113530462901",
+      webhookUrl,
+    });
+    const { id } = created.body.subscription;
+
+    const deliveries = await get(`/api/subscriptions/${id}/deliveries`);
+    assert.equal(deliveries.status, 200);
+    assert.deepEqual(deliveries.body.deliveries, []);
+
+    const res = await fetch(`${api}/api/subscriptions/${id}`, { method: "DELETE" });
+    assert.equal(res.status, 200);
+
+    const missing = await get(`/api/subscriptions/${id}/deliveries`);
+    assert.equal(missing.status, 404);
+  });
+});
+
+describe("GET /openapi.json", () => {
+  it("serves the OpenAPI document", async () => {
+    const { status, body } = await get("/openapi.json");
+
+    assert.equal(status, 200);
+    assert.equal(body.openapi, "3.1.0");
+    assert.ok(body.components.schemas.CheckBillResponse);
+  });
+
+  it("serves the docs page", async () => {
+    const res = await fetch(`${api}/docs`);
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/html/);
+    assert.match(await res.text(), /\/openapi\.json/);
+  });
+});
+
+describe("unknown routes", () => {
+  it("returns 404 with the available endpoints", async () => {
+    const { status, body } = await get("/api/nope");
+
+    assert.equal(status, 404);
+    assert.equal(body.error, "Endpoint not found");
+    assert.equal(body.code, "NOT_FOUND");
+    assert.ok(body.availableEndpoints.includes("POST /api/check-bills"));
+    assert.ok(body.availableEndpoints.includes("GET /api/providers/{provider}/bill"));
+    assert.ok(body.availableEndpoints.includes("DELETE /api/subscriptions/{id}"));
+  });
+});
+
+describe("error responses", () => {
+  it("answers invalid input with 400 and a code", async () => {
+    const company = await get("/api/history?refNo=09371234567890&company=kesc");
+    assert.equal(company.status, 400);
+    assert.equal(company.body.code, "INVALID_COMPANY");
+    assert.equal(company.body.retryable, false);
+
+    const validated = await get("/api/check-bill?refNo=09371234567890&company=kesc");
+    assert.equal(validated.status, 400);
+    assert.equal(validated.body.code, "INVALID_COMPANY");
+
+    const refNo = await get("/api/check-bill?refNo=123&company=hesco");
+    assert.equal(refNo.status, 400);
+    assert.equal(refNo.body.code, "INVALID_REQUEST");
+  });
+
+  it("answers admin routes with 503 ADMIN_DISABLED without ADMIN_TOKEN", async () => {
+    const { status, body } = await get("/api/admin/keys");
+
+    assert.equal(status, 503);
+    assert.equal(body.code, "ADMIN_DISABLED");
+    assert.equal(body.retryable, false);
+  });
+
+  it("answers unknown references with 404 REF_NOT_FOUND", async () => {
+    const { status, body } = await get("/api/check-bill?refNo=06119999999999&company=lesco");
+
+    assert.equal(status, 404);
+    assert.equal(body.code, "REF_NOT_FOUND");
+    assert.equal(body.retryable, false);
+  });
+
+  it("answers portal failures with 502 and retryable", async () => {
+    portal.setFailure("hesco", { type: "status", status: 503 });
+    const failing = await get("/api/check-bill?refNo=09371234567890&company=hesco");
+    assert.equal(failing.status, 502);
+    assert.equal(failing.body.code, "UPSTREAM_ERROR");
+    assert.equal(failing.body.retryable, true);
+
+    portal.setFailure("lesco", { type: "no-tokens" });
+    const tokens = await get("/api/check-bill?refNo=06113530462901&company=lesco");
+    assert.equal(tokens.status, 502);
+    assert.equal(tokens.body.code, "TOKEN_EXTRACTION_FAILED");
+  });
+
+  it("sends Retry-After while a portal's circuit is open", async () => {
+    const breaker = circuitBreaker.getBreaker("hesco");
+    for (let i = 0; i < 5; i++) {
+      breaker.recordFailure(new Error("Request failed with status code 503"));
+    }
+
+    const { status, headers, body } = await get(
+      "/api/check-bill?refNo=09371234567890&company=hesco"
+    );
+
+    assert.equal(status, 502);
+    assert.equal(body.code, "UPSTREAM_UNREACHABLE");
+    assert.equal(headers.get("retry-after"), String(body.retryAfterSeconds));
+    assert.equal(portal.requests.length, 0);
+  });
+});
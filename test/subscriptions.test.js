@@ -0,0 +1,384 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMockPortal } = require("./mock-portal");
+
+const portal = createMockPortal();
+let subscriptions;
+let webhooks;
+let cache;
+let sessionPool;
+let circuitBreaker;
+
+// Local webhook receiver recording every request
+const received = [];
+let receiverStatus = 200;
+let receiver;
+let receiverUrl;
+
+before(async () => {
+  process.env.PITC_BASE_URL = await portal.start();
+  process.env.LOG_LEVEL = "silent";
+  process.env.PITC_RETRY_DELAY = "1";
+  // The local receiver is on a loopback address, which is refused otherwise
+  process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+  subscriptions = require("../subscriptions");
+  webhooks = require("../webhooks");
+  cache = require("../cache");
+  sessionPool = require("../session-pool");
+  circuitBreaker = require("../circuit-breaker");
+
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(receiverStatus);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+});
+
+after(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  await portal.stop();
+});
+
+beforeEach(() => {
+  portal.reset();
+  sessionPool.clearSessions();
+  circuitBreaker.resetBreakers();
+  cache.setBillCache(cache.createMemoryCache());
+  subscriptions.setSubscriptionStore(
+    subscriptions.createSubscriptionStore({ filePath: null })
+  );
+  received.length = 0;
+  receiverStatus = 200;
+});
+
+// 2025-10-22 noon in Pakistan: two days before the HESCO fixture's due date
+const BEFORE_DUE = Date.parse("2025-10-22T07:00:00Z");
+const AFTER_DUE = Date.parse("2025-10-26T07:00:00Z");
+
+const subscribe = async (overrides = {}) => {
+  const result = await subscriptions.createSubscription({
+    refNo: "09371234567890",
+    webhookUrl: receiverUrl,
+    ...overrides,
+  });
+  assert.equal(result.success, true, result.error);
+  return result.subscription;
+};
+
+describe("detectEvents", () => {
+  const subscription = {
+    reminderDays: 3,
+    events: ["bill.issued", "bill.due_soon", "bill.after_due_date"],
+    state: { billKey: null, notified: {} },
+  };
+  const bill = {
+    billDetails: { billMonth: "2025-10", dueDate: "2025-10-24" },
+    charges: { totalAmount: 11452, amountAfterDueDate: 12373 },
+  };
+
+  it("records the first bill as the baseline", () => {
+    const { events, state } = subscriptions.detectEvents(subscription, bill, "2025-10-12");
+
+    assert.deepEqual(events, []);
+    assert.equal(state.billKey, "2025-10");
+  });
+
+  it("fires bill.issued for a bill of a new month", () => {
+    const { events } = subscriptions.detectEvents(
+      { ...subscription, state: { billKey: "2025-09", notified: {} } },
+      bill,
+      "2025-10-12"
+    );
+
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["bill.issued"]
+    );
+    assert.equal(events[0].data.totalAmount, 11452);
+  });
+
+  it("fires bill.due_soon once within the reminder window", () => {
+    const first = subscriptions.detectEvents(subscription, bill, "2025-10-21");
+    assert.deepEqual(
+      first.events.map((event) => event.type),
+      ["bill.due_soon"]
+    );
+    assert.equal(first.events[0].data.daysUntilDue, 3);
+
+    const second = subscriptions.detectEvents(
+      { ...subscription, state: first.state },
+      bill,
+      "2025-10-22"
+    );
+    assert.deepEqual(second.events, []);
+  });
+
+  it("fires bill.after_due_date once the due date has passed", () => {
+    const { events } = subscriptions.detectEvents(subscription, bill, "2025-10-25");
+
+    assert.deepEqual(
+      events.map((event) => event.type),
+      ["bill.after_due_date"]
+    );
+    assert.equal(events[0].data.amountAfterDueDate, 12373);
+    assert.equal(events[0].data.daysUntilDue, -1);
+  });
+
+  it("sends no payment reminders for paid bills", () => {
+    const paid = { ...bill, payment: { status: "paid" } };
+
+    for (const today of ["2025-10-21", "2025-10-25"]) {
+      const { events, state } = subscriptions.detectEvents(subscription, paid, today);
+      assert.deepEqual(events, [], today);
+      assert.deepEqual(state.notified, {});
+    }
+
+    const issued = subscriptions.detectEvents(
+      { ...subscription, state: { billKey: "2025-09", notified: {} } },
+      paid,
+      "2025-10-25"
+    );
+    assert.deepEqual(
+      issued.events.map((event) => event.type),
+      ["bill.issued"]
+    );
+  });
+
+  it("only emits the event types the subscription asked for", () => {
+    const { events, state } = subscriptions.detectEvents(
+      { ...subscription, events: ["bill.issued"] },
+      bill,
+      "2025-10-22"
+    );
+
+    assert.deepEqual(events, []);
+    assert.equal(state.notified["bill.due_soon"], "2025-10");
+  });
+});
+
+describe("webhook signatures", () => {
+  it("verifies its own signatures and rejects tampered bodies", () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const header = webhooks.signPayload("secret", timestamp, '{"a":1}');
+
+    assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.equal(webhooks.verifySignature("secret", header, '{"a":1}'), true);
+    assert.equal(webhooks.verifySignature("secret", header, '{"a":2}'), false);
+    assert.equal(webhooks.verifySignature("other", header, '{"a":1}'), false);
+  });
+
+  it("rejects stale timestamps", () => {
+    const timestamp = Math.floor(Date.now() / 1000) - 3600;
+    const header = webhooks.signPayload("secret", timestamp, "{}");
+
+    assert.equal(webhooks.verifySignature("secret", header, "{}"), false);
+  });
+});
+
+describe("createSubscription", () => {
+  it("infers the company and generates a secret", async () => {
+    const subscription = await subscribe();
+
+    assert.match(subscription.id, /^sub_/);
+    assert.equal(subscription.company, "hesco");
+    assert.equal(subscription.reminderDays, 3);
+    assert.match(subscription.secret, /^whsec_/);
+    assert.equal(subscriptions.getSubscription(subscription.id).secret, undefined);
+  });
+
+  it("rejects invalid webhook URLs, reminder windows and events", async () => {
+    const cases = [
+      [{ webhookUrl: "ftp://example.com" }, /webhookUrl/],
+      [{ webhookUrl: "not a url" }, /webhookUrl/],
+      [{ webhookUrl: receiverUrl, reminderDays: 45 }, /reminderDays/],
+      [{ webhookUrl: receiverUrl, events: ["bill.paid"] }, /events/],
+      [{ webhookUrl: receiverUrl, refNo: "123" }, /10-14 digits|reference/i],
+    ];
+
+    for (const [overrides, pattern] of cases) {
+      const result = await subscriptions.createSubscription({
+        refNo: "09371234567890",
+        ...overrides,
+      });
+      assert.equal(result.success, false);
+      assert.match(result.error, pattern);
+    }
+  });
+
+  it("refuses webhook URLs pointing into the server's network", async () => {
+    const urls = [
+      "http://localhost:8080/hooks",
+      "http://169.254.169.254/latest/meta-data/",
+      "http://10.0.0.12/hooks",
+      "http://192.168.1.1/hooks",
+      "http://0x7f000002/hooks",
+      "http://[::1]/hooks",
+      "http://[::ffff:127.0.0.1]/hooks",
+      "http://[64:ff9b::7f00:1]/hooks",
+      "http://[64:ff9b:1::a00:1]/hooks",
+      "http://[fd00::1]/hooks",
+    ];
+
+    for (const webhookUrl of urls) {
+      const result = await subscriptions.createSubscription({
+        refNo: "09371234567890",
+        webhookUrl,
+      });
+      assert.equal(result.success, false, webhookUrl);
+      assert.match(result.error, /loopback, private or link-local/);
+    }
+
+    const unresolvable = await subscriptions.createSubscription({
+      refNo: "09371234567890",
+      webhookUrl: "https://hooks.invalid/pitc",
+    });
+    assert.match(unresolvable.error, /could not be resolved/);
+
+    const external = await subscriptions.createSubscription({
+      refNo: "09371234567890",
+      webhookUrl: "https://203.0.113.10/hooks",
+    });
+    assert.equal(external.success, true);
+  });
+
+  it("checks the target again when delivering", async () => {
+    const result = await webhooks.sendWebhook("http://169.254.169.254/hooks", "whsec_test", {
+      id: "evt_1",
+      type: "bill.issued",
+    });
+
+    assert.equal(result.ok, false);
+    assert.match(result.error, /loopback, private or link-local/);
+  });
+
+  it("persists subscriptions to the store file", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pitc-subscriptions-"));
+    const filePath = path.join(dir, "subscriptions.json");
+
+    try {
+      subscriptions.setSubscriptionStore(
+        subscriptions.createSubscriptionStore({ filePath })
+      );
+      const subscription = await subscribe();
+
+      const reloaded = subscriptions.createSubscriptionStore({ filePath });
+      assert.equal(reloaded.subscriptions.get(subscription.id).refNo, "09371234567890");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("checkSubscription", () => {
+  it("delivers signed events and logs the delivery", async () => {
+    const subscription = await subscribe();
+
+    const result = await subscriptions.checkSubscription(subscription, { now: BEFORE_DUE });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.events, ["bill.due_soon"]);
+    assert.equal(received.length, 1);
+
+    const { headers, body } = received[0];
+    assert.equal(headers["x-pitc-event"], "bill.due_soon");
+    assert.equal(
+      webhooks.verifySignature(subscription.secret, headers["x-pitc-signature"], body),
+      true
+    );
+    const event = JSON.parse(body);
+    assert.equal(event.subscription.refNo, "09371234567890");
+    assert.equal(event.data.dueDate, "2025-10-24");
+    assert.equal(event.data.daysUntilDue, 2);
+
+    const [delivery] = subscriptions.getDeliveries(subscription.id);
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.attempts.length, 1);
+    assert.equal(delivery.attempts[0].statusCode, 200);
+  });
+
+  it("does not repeat events on later checks of the same bill", async () => {
+    const subscription = await subscribe();
+
+    await subscriptions.checkSubscription(subscription, { now: BEFORE_DUE });
+    await subscriptions.checkSubscription(subscription, { now: BEFORE_DUE + 3600 * 1000 });
+    await subscriptions.checkSubscription(subscription, { now: AFTER_DUE });
+
+    assert.deepEqual(
+      received.map((request) => request.headers["x-pitc-event"]),
+      ["bill.due_soon", "bill.after_due_date"]
+    );
+  });
+
+  it("retries failed deliveries until they succeed", async () => {
+    const subscription = await subscribe();
+    receiverStatus = 503;
+
+    await subscriptions.checkSubscription(subscription, { now: BEFORE_DUE });
+    let [delivery] = subscriptions.getDeliveries(subscription.id);
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.lastStatusCode, 503);
+    assert.equal(Date.parse(delivery.nextAttemptAt), BEFORE_DUE + 60 * 1000);
+
+    // Not due yet
+    assert.equal(await subscriptions.retryDeliveries({ now: BEFORE_DUE + 1000 }), 0);
+
+    receiverStatus = 204;
+    assert.equal(await subscriptions.retryDeliveries({ now: BEFORE_DUE + 60 * 1000 }), 1);
+    [delivery] = subscriptions.getDeliveries(subscription.id);
+    assert.equal(delivery.status, "delivered");
+    assert.equal(delivery.attempts.length, 2);
+  });
+
+  it("marks a delivery as failed once its attempts are used up", async () => {
+    const subscription = await subscribe();
+    receiverStatus = 500;
+
+    await subscriptions.checkSubscription(subscription, { now: BEFORE_DUE });
+    let now = BEFORE_DUE;
+    for (let attempt = 1; attempt < webhooks.WEBHOOK_MAX_ATTEMPTS; attempt++) {
+      now += 24 * 60 * 60 * 1000;
+      await subscriptions.retryDeliveries({ now });
+    }
+
+    const [delivery] = subscriptions.getDeliveries(subscription.id);
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.attempts.length, webhooks.WEBHOOK_MAX_ATTEMPTS);
+    assert.equal(delivery.nextAttemptAt, null);
+  });
+
+  it("records lookup failures on the subscription", async () => {
+    const subscription = await subscribe({ refNo: "09379999999999" });
+
+    const result = await subscriptions.checkSubscription(subscription, { now: BEFORE_DUE });
+
+    assert.equal(result.success, false);
+    assert.match(subscriptions.getSubscription(subscription.id).lastError, /does not belongs/);
+    assert.equal(received.length, 0);
+  });
+});
+
+describe("runScheduledChecks", () => {
+  it("checks subscriptions that are due and schedules the next check", async () => {
+    const subscription = await subscribe();
+    const now = Date.now();
+
+    const first = await subscriptions.runScheduledChecks({ now });
+    assert.equal(first.checked, 1);
+    assert.ok(Date.parse(subscription.nextCheckAt) > now);
+
+    const second = await subscriptions.runScheduledChecks({ now: now + 1000 });
+    assert.equal(second.checked, 0);
+  });
+});
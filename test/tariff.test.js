@@ -0,0 +1,206 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const cheerio = require("cheerio");
+const { parseBillDetails } = require("../pitc-bill");
+const { FIXTURES_DIR } = require("./mock-portal");
+const {
+  estimateBill,
+  auditBill,
+  resolveTariffCode,
+  getTariffVersion,
+} = require("../tariff");
+
+describe("getTariffVersion", () => {
+  it("picks the version in force on a date", () => {
+    assert.equal(getTariffVersion("2024-01-15").version, "2023-07");
+    assert.equal(getTariffVersion("2025-10-10").version, "2024-07");
+    assert.equal(getTariffVersion("2024-07").version, "2024-07");
+    assert.equal(getTariffVersion("2020-01-01"), null);
+    assert.equal(getTariffVersion("garbage"), null);
+  });
+});
+
+describe("estimateBill", () => {
+  it("charges protected consumers slab by slab", () => {
+    const estimate = estimateBill({
+      units: 150,
+      tariff: "residential-protected",
+      version: "2024-07",
+    });
+
+    assert.deepEqual(
+      estimate.slabs.map((s) => [s.units, s.rate]),
+      [
+        [100, 10.54],
+        [50, 13.01],
+      ]
+    );
+    assert.equal(estimate.charges.energyCharges, 1705);
+    assert.equal(estimate.charges.fcSurcharge, 0);
+  });
+
+  it("charges unprotected consumers at the slab reached", () => {
+    const estimate = estimateBill({
+      units: 288,
+      tariff: "residential-unprotected",
+      version: "2024-07",
+    });
+
+    assert.equal(estimate.slabs.length, 1);
+    assert.equal(estimate.slabs[0].rate, 33.1);
+    assert.equal(estimate.charges.energyCharges, 9533);
+    assert.equal(estimate.charges.fcSurcharge, 930);
+  });
+
+  it("applies FPA/QTA and taxes", () => {
+    const base = estimateBill({ units: 300, tariff: "residential-unprotected" });
+    const adjusted = estimateBill({
+      units: 300,
+      tariff: "residential-unprotected",
+      fpaRate: 2,
+      qtaRate: -1,
+    });
+
+    assert.equal(adjusted.charges.fpa, 600);
+    assert.equal(adjusted.charges.qta, -300);
+    assert.equal(adjusted.charges.gst - base.charges.gst, 54);
+    assert.equal(adjusted.charges.electricityDuty, base.charges.electricityDuty);
+  });
+
+  it("applies income tax above the threshold when requested", () => {
+    const estimate = estimateBill({
+      units: 900,
+      tariff: "residential-unprotected",
+      incomeTax: true,
+    });
+
+    assert.ok(estimate.charges.incomeTax > 0);
+  });
+
+  it("rejects invalid input", () => {
+    assert.match(estimateBill({ units: -1, tariff: "commercial" }).error, /Units/);
+    assert.match(estimateBill({ units: 10, tariff: "x" }).error, /Invalid tariff/);
+    assert.match(
+      estimateBill({ units: 250, tariff: "residential-protected" }).error,
+      /only applies up to 200 units/
+    );
+
+    const base = { units: 100, tariff: "commercial" };
+    assert.match(estimateBill({ ...base, fpaRate: "abc" }).error, /fpaRate must be a number/);
+    assert.match(estimateBill({ ...base, meterRent: NaN }).error, /meterRent must be a number/);
+    assert.match(estimateBill({ ...base, incomeTax: "false" }).error, /incomeTax/);
+    assert.match(estimateBill({ ...base, version: "garbage" }).error, /Unknown tariff version/);
+  });
+});
+
+describe("resolveTariffCode", () => {
+  it("keeps protected status only within 200 units for six months", () => {
+    const low = [{ units: 150 }, { units: 180 }, { units: 120 }];
+    assert.equal(resolveTariffCode("A-1a(01)", 190, low), "residential-protected");
+    assert.equal(
+      resolveTariffCode("A-1a(01)", 190, [...low, { units: 210 }]),
+      "residential-unprotected"
+    );
+    assert.equal(resolveTariffCode("A-2a(04)", 90), "commercial");
+    assert.equal(resolveTariffCode("unknown", 90), null);
+  });
+});
+
+describe("auditBill", () => {
+  const bill = (charges) => ({
+    billDetails: { tariff: "A-1a(01)", unitsConsumed: 288, issueDate: "2025-10-10" },
+    charges,
+    history: [],
+  });
+
+  it("matches bills within rounding tolerance", () => {
+    const audit = auditBill(bill({ electricityCharges: 9535 }));
+
+    assert.equal(audit.status, "match");
+    assert.equal(audit.tariff, "residential-unprotected");
+    assert.deepEqual(audit.discrepancies, []);
+  });
+
+  it("flags discrepancies", () => {
+    const audit = auditBill(bill({ electricityCharges: 9216, gst: 1883 }));
+
+    assert.equal(audit.status, "mismatch");
+    assert.deepEqual(audit.discrepancies, ["electricityCharges"]);
+    assert.equal(audit.checks[0].difference, -317);
+  });
+
+  it("checks itemized surcharges, duties and fees, and FPA only with its rate", () => {
+    const itemized = {
+      electricityCharges: 9533,
+      fcSurcharge: 930,
+      electricityDuty: 143,
+      tvFee: 35,
+      fpa: 600,
+    };
+
+    const audit = auditBill(bill({ ...itemized, incomeTax: 500 }));
+    assert.equal(audit.status, "match");
+    assert.deepEqual(
+      audit.checks.map((check) => check.field),
+      ["electricityCharges", "fcSurcharge", "electricityDuty", "tvFee"]
+    );
+
+    const withRate = auditBill(bill(itemized), { fpaRate: 2 });
+    assert.deepEqual(withRate.discrepancies, ["fpa"]);
+    assert.equal(withRate.checks.at(-1).expected, 576);
+  });
+
+  it("matches a bill computed exactly from the tariff with FPA and meter rent", () => {
+    const exact = bill({
+      electricityCharges: 9533,
+      fpa: 576,
+      fcSurcharge: 930,
+      meterRent: 25,
+      electricityDuty: 143,
+      gst: 1992,
+      incomeTax: 0,
+      tvFee: 35,
+      totalAmount: 13234,
+    });
+
+    for (const audit of [auditBill(exact), auditBill(exact, { fpaRate: 2 })]) {
+      assert.equal(audit.status, "match");
+      assert.deepEqual(audit.discrepancies, []);
+      assert.ok(audit.checks.some((check) => check.field === "gst"));
+      assert.ok(audit.checks.some((check) => check.field === "totalAmount"));
+    }
+  });
+
+  it("adds arrears, installments and deferred amounts to the expected total", () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, "hesco", "09371234567892.html"), "utf8");
+    const billData = parseBillDetails(cheerio.load(html), "09371234567892", "hesco");
+
+    const audit = auditBill(billData);
+
+    assert.equal(audit.status, "match");
+    assert.deepEqual(audit.discrepancies, []);
+    const total = audit.checks.find((check) => check.field === "totalAmount");
+    assert.equal(total.billed, 20384);
+    assert.equal(total.expected, 13234 + 2150 + 1000 + 4000);
+  });
+
+  it("leaves GST and the total out when the adjustments are unknown", () => {
+    const audit = auditBill(bill({ electricityCharges: 9533, gst: 1987, totalAmount: 13204 }));
+
+    assert.equal(audit.status, "match");
+    assert.deepEqual(
+      audit.checks.map((check) => check.field),
+      ["electricityCharges"]
+    );
+  });
+
+  it("is unavailable without units or a known tariff", () => {
+    assert.equal(auditBill({ billDetails: {} }).status, "unavailable");
+    assert.equal(
+      auditBill({ billDetails: { unitsConsumed: 10, tariff: "Z" } }).status,
+      "unavailable"
+    );
+  });
+});
@@ -0,0 +1,287 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const axios = require("axios");
+
+/**
+ * Timeout for a single webhook delivery attempt (milliseconds)
+ */
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000;
+
+/**
+ * Attempts per delivery before it is marked as failed
+ */
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+
+/**
+ * Wait before each retry (seconds): 1 min, 5 min, 30 min, 2 h
+ */
+const RETRY_SCHEDULE_SECONDS = [60, 5 * 60, 30 * 60, 2 * 60 * 60];
+
+/**
+ * Signature header sent with every delivery
+ */
+const SIGNATURE_HEADER = "X-PITC-Signature";
+
+/**
+ * Hosts that may receive webhooks although they resolve to a private
+ * address (comma-separated WEBHOOK_ALLOWED_HOSTS, e.g. an internal receiver)
+ */
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Addresses webhooks are never sent to: loopback, private, link-local
+ * (incl. cloud metadata at 169.254.169.254), shared, multicast and reserved
+ * ranges. IPv4-mapped IPv6 addresses are matched against the IPv4 ranges;
+ * NAT64 prefixes are blocked outright, since a NAT64 gateway would carry
+ * them to whatever IPv4 address they embed.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+/**
+ * Generates a random signing secret for a subscription
+ *
+ * @returns {string} Secret such as "whsec_3f9a..."
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Signs a webhook body
+ *
+ * The signature is an HMAC-SHA256 over "<timestamp>.<body>" so a receiver
+ * can reject replays by checking the timestamp.
+ *
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value "t=<timestamp>,v1=<hex digest>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verifies a signature header on a received webhook
+ *
+ * @param {string} secret - Subscription secret
+ * @param {string} header - X-PITC-Signature header value
+ * @param {string} body - Raw request body
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.toleranceSeconds=300] - Maximum age of the timestamp
+ * @returns {boolean} Whether the signature is valid and recent
+ *
+ * @example
+ * app.post("/hooks/pitc", express.text({ type: "*\/*" }), (req, res) => {
+ *   if (!verifySignature(SECRET, req.get("X-PITC-Signature"), req.body)) {
+ *     return res.sendStatus(401);
+ *   }
+ *   const event = JSON.parse(req.body);
+ *   // ...
+ * });
+ */
+function verifySignature(secret, header, body, options = {}) {
+  const { toleranceSeconds = 300 } = options;
+  const match = String(header || "").match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+
+  if (!match) {
+    return false;
+  }
+
+  const timestamp = parseInt(match[1], 10);
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(header);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Returns the wait before the next attempt of a delivery
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number|null} Delay in milliseconds, or null when no attempts are left
+ */
+function getRetryDelay(attempts) {
+  if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    return null;
+  }
+  const index = Math.min(attempts - 1, RETRY_SCHEDULE_SECONDS.length - 1);
+  return RETRY_SCHEDULE_SECONDS[Math.max(index, 0)] * 1000;
+}
+
+/**
+ * Whether an IP address is in a range webhooks are not sent to
+ *
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether the address is blocked
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Whether a host is exempt from the address check (WEBHOOK_ALLOWED_HOSTS)
+ *
+ * @param {string} hostname - Host name or IP address
+ * @returns {boolean} Whether the host is allowed
+ */
+function isAllowedHost(hostname) {
+  return WEBHOOK_ALLOWED_HOSTS.includes(String(hostname).toLowerCase());
+}
+
+/**
+ * Checks that a webhook URL does not point into the server's own network
+ *
+ * The host is resolved and every address it resolves to must be public,
+ * so the API cannot be used to post to internal services.
+ *
+ * @param {string} webhookUrl - Absolute http(s) URL
+ * @returns {Promise<Object>} { allowed: true } or { allowed: false, error }
+ */
+async function checkWebhookTarget(webhookUrl) {
+  const hostname = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, "");
+  if (isAllowedHost(hostname)) {
+    return { allowed: true };
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.promises.lookup(hostname, { all: true })).map((entry) => entry.address);
+  } catch (error) {
+    return { allowed: false, error: `webhookUrl host ${hostname} could not be resolved` };
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    return {
+      allowed: false,
+      error: "webhookUrl must not point to a loopback, private or link-local address",
+    };
+  }
+  return { allowed: true };
+}
+
+/**
+ * DNS lookup for webhook connections that refuses blocked addresses, so a
+ * host cannot resolve to a public address when checked and a private one
+ * when connected to
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    if (!isAllowedHost(hostname) && addresses.some(isBlockedAddress)) {
+      const blocked = new Error(`${hostname} resolves to a blocked address`);
+      blocked.code = "EBLOCKEDADDRESS";
+      return callback(blocked);
+    }
+    return callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Posts a signed event to a webhook URL
+ *
+ * Any 2xx response counts as delivered. Network errors, other statuses
+ * and targets refused by checkWebhookTarget are reported, never thrown.
+ *
+ * @param {string} url - Webhook URL
+ * @param {string} secret - Subscription secret
+ * @param {Object} event - Event payload ({ id, type, ... })
+ * @returns {Promise<Object>} { ok, statusCode, error, durationMs }
+ */
+async function sendWebhook(url, secret, event) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const target = await checkWebhookTarget(url);
+  if (!target.allowed) {
+    return { ok: false, statusCode: null, error: target.error, durationMs: 0 };
+  }
+
+  try {
+    const response = await axios.post(url, body, {
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true,
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "PITC-Bill-Checker-Webhooks/1.0",
+        "X-PITC-Event": event.type,
+        "X-PITC-Delivery": event.id,
+        [SIGNATURE_HEADER]: signPayload(secret, timestamp, body),
+      },
+    });
+
+    const ok = response.status >= 200 && response.status < 300;
+    return {
+      ok,
+      statusCode: response.status,
+      error: ok ? null : `Webhook responded with HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      ok: false,
+      statusCode: null,
+      error: error.code === "ECONNABORTED" ? "Webhook request timed out" : error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+module.exports = {
+  generateSecret,
+  signPayload,
+  verifySignature,
+  getRetryDelay,
+  sendWebhook,
+  checkWebhookTarget,
+  SIGNATURE_HEADER,
+  WEBHOOK_MAX_ATTEMPTS,
+};